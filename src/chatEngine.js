@@ -0,0 +1,276 @@
+// =============================================================================
+// CHAT CHANNEL & REDACTION ENGINE MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Route chat separately from guessing and keep the secret word secret
+// Players who already know the word chat in a channel hidden from guessers
+// =============================================================================
+
+const gameEngine = require('./gameEngine');
+const wordEngine = require('./wordEngine');
+const guessEngine = require('./guessEngine');
+const textNormalizer = require('./textNormalizer');
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+const CHANNELS = {
+  ALL: 'all', // Everyone in the room
+  GUESSED: 'guessed' // Drawer and players who already guessed the word
+};
+
+// Maximum chat message length
+const MAX_MESSAGE_LENGTH = 100;
+
+// Replacement character for redacted text
+const REDACTION_CHAR = '*';
+
+// Shorter tokens are only redacted on an exact/substring match, not as near variants
+const MIN_VARIANT_LENGTH = 3;
+
+// A token containing the word is only hidden if it is the word with a short
+// ending ("cats", "cat's") or a much longer compound ("catnip") - "box" never hides "ox"
+const MAX_SUFFIX_LENGTH = 2;
+const MIN_COMPOUND_WORD_LENGTH = 3;
+const COMPOUND_LENGTH_FACTOR = 2;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Validate chat message format
+ * @param {string} message - Raw message from player
+ * @returns {Object} { valid: boolean, text: string, error: string|null }
+ */
+function validateMessageFormat(message) {
+  if (typeof message !== 'string') {
+    return { valid: false, text: '', error: 'Message must be a string' };
+  }
+
+  const text = message.trim();
+
+  if (text.length === 0) {
+    return { valid: false, text: '', error: 'Message cannot be empty' };
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, text: '', error: `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  return { valid: true, text: text, error: null };
+}
+
+/**
+ * Check if the secret word is currently hidden from some players
+ * @param {Object} room - Room object
+ * @returns {boolean} True while a word is being drawn
+ */
+function isWordSecret(room) {
+  return Boolean(
+    room.game &&
+    room.game.phase === gameEngine.PHASES.DRAWING &&
+    wordEngine.getSelectedWord(room)
+  );
+}
+
+/**
+ * Check if player already knows the secret word
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True for the drawer and players who guessed correctly
+ */
+function knowsWord(room, playerId) {
+  return gameEngine.isCurrentDrawer(room, playerId) || guessEngine.hasPlayerGuessed(room, playerId);
+}
+
+/**
+ * Check if a compacted token spells out the secret word
+ * @param {string} compact - Token without spaces or punctuation
+ * @param {string} compactWord - Secret word without spaces
+ * @returns {boolean} True for the word, the word with a short ending, or a long compound
+ */
+function containsWord(compact, compactWord) {
+  if (compact === compactWord) {
+    return true;
+  }
+  if (compact.startsWith(compactWord) && compact.length - compactWord.length <= MAX_SUFFIX_LENGTH) {
+    return true;
+  }
+  return compactWord.length >= MIN_COMPOUND_WORD_LENGTH &&
+    compact.length >= compactWord.length * COMPOUND_LENGTH_FACTOR &&
+    compact.includes(compactWord);
+}
+
+/**
+ * Redact the secret word and near variants from a message
+ * Catches endings ("cats"), compounds ("catnip"), missing spaces ("icecream") and,
+ * for players who know the word, close spellings. Guessers never get near-variant
+ * redaction: blanking ordinary words like "fun" next to "sun" would itself be a hint
+ * @param {string} text - Message text
+ * @param {string} secretWord - Normalized secret word
+ * @param {number} threshold - Edit distance counted as a near variant
+ * @param {Object} options - Normalization options, as used for guesses (textNormalizer.getRoomOptions)
+ * @param {boolean} includeVariants - Also hide close spellings (sender knows the word)
+ * @returns {Object} { text: string, redacted: boolean }
+ */
+function redactSecretWord(text, secretWord, threshold, options = {}, includeVariants = false) {
+  if (!secretWord) {
+    return { text: text, redacted: false };
+  }
+
+  // Match the way guesses are matched (e.g., "cafe" hides "café" when diacritics are ignored)
+  secretWord = guessEngine.normalizeGuess(secretWord, options);
+  const compactWord = secretWord.replace(/\s+/g, '');
+  const wordTokenCount = secretWord.split(/\s+/).length;
+  const tokens = text.split(/(\s+)/); // Keep whitespace so the message layout survives
+  const wordIndexes = [];
+  tokens.forEach((token, index) => {
+    if (token.trim().length > 0) {
+      wordIndexes.push(index);
+    }
+  });
+
+  const hidden = new Set();
+
+  // Slide a window of 1..wordTokenCount tokens to catch multi-word answers
+  for (let size = 1; size <= wordTokenCount; size++) {
+    for (let start = 0; start + size <= wordIndexes.length; start++) {
+      const window = wordIndexes.slice(start, start + size);
+      const joined = window.map(index => tokens[index]).join(' ');
+      const normalized = guessEngine.normalizeGuess(joined, options).replace(/[^\p{L}\p{M}\p{N}\s]/gu, '');
+      const compact = normalized.replace(/\s+/g, '');
+
+      if (
+        compact.length > 0 &&
+        (containsWord(compact, compactWord) ||
+          normalized === secretWord ||
+          (includeVariants && compact.length >= MIN_VARIANT_LENGTH &&
+            guessEngine.isCloseGuess(normalized, secretWord, threshold)))
+      ) {
+        window.forEach(index => hidden.add(index));
+      }
+    }
+  }
+
+  if (hidden.size === 0) {
+    return { text: text, redacted: false };
+  }
+
+  const redactedText = tokens
+    .map((token, index) => (hidden.has(index) ? REDACTION_CHAR.repeat(token.length) : token))
+    .join('');
+
+  return { text: redactedText, redacted: true };
+}
+
+// =============================================================================
+// CHAT ROUTING FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the channel a player's chat goes to
+ * While a word is being drawn, players who know it are moved to the guessed channel
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {string} Channel name from CHANNELS
+ */
+function getChatChannel(room, playerId) {
+  if (isWordSecret(room) && knowsWord(room, playerId)) {
+    return CHANNELS.GUESSED;
+  }
+  return CHANNELS.ALL;
+}
+
+/**
+ * Get player IDs that should receive a message on a channel
+ * @param {Object} room - Room object
+ * @param {string} channel - Channel name from CHANNELS
+ * @returns {Array} Array of recipient player IDs
+ */
+function getChannelRecipients(room, channel) {
+  if (channel === CHANNELS.GUESSED && room.game) {
+    return room.players.filter(playerId => knowsWord(room, playerId));
+  }
+  // Spectators read the main channel
+  return [...room.players, ...(room.spectators || [])];
+}
+
+/**
+ * Check if player's chat should be treated as a guess instead
+ * Remaining guessers have no separate chat while the word is secret
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if message should go through guess validation
+ */
+function shouldTreatAsGuess(room, playerId) {
+  return isWordSecret(room) && !knowsWord(room, playerId);
+}
+
+/**
+ * Prepare a chat message for delivery
+ * Validates, picks the channel and redacts the secret word server-side
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID sending the message
+ * @param {string} message - Raw message from player
+ * @returns {Object} { success: boolean, channel: string|null, recipients: Array, text: string|null, redacted: boolean, error: string|null }
+ */
+function processChatMessage(room, playerId, message) {
+  if (room.spectators && room.spectators.includes(playerId)) {
+    return { success: false, channel: null, recipients: [], text: null, redacted: false, error: 'Spectators cannot chat' };
+  }
+
+  if (!room.players.includes(playerId)) {
+    return { success: false, channel: null, recipients: [], text: null, redacted: false, error: 'Player not in room' };
+  }
+
+  const formatValidation = validateMessageFormat(message);
+  if (!formatValidation.valid) {
+    return { success: false, channel: null, recipients: [], text: null, redacted: false, error: formatValidation.error };
+  }
+
+  const channel = getChatChannel(room, playerId);
+  const recipients = getChannelRecipients(room, channel);
+
+  let text = formatValidation.text;
+  let redacted = false;
+
+  if (isWordSecret(room)) {
+    const result = redactSecretWord(
+      text,
+      wordEngine.getSelectedWord(room),
+      room.settings.closeGuessThreshold,
+      textNormalizer.getRoomOptions(room),
+      knowsWord(room, playerId)
+    );
+    text = result.text;
+    redacted = result.redacted;
+  }
+
+  if (redacted) {
+    console.log(`[CHAT] Redacted message: ${room.id} | Player: ${playerId} | Channel: ${channel}`);
+  }
+
+  return { success: true, channel: channel, recipients: recipients, text: text, redacted: redacted, error: null };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  // Chat routing
+  processChatMessage,
+  getChatChannel,
+  getChannelRecipients,
+  shouldTreatAsGuess,
+
+  // Utilities
+  redactSecretWord,
+  validateMessageFormat,
+
+  // Constants
+  CHANNELS,
+  MAX_MESSAGE_LENGTH
+};
@@ -0,0 +1,117 @@
+// =============================================================================
+// CLOCK MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Single source of time and timers for the game loop
+// timerEngine, scoreEngine and game controllers read time through here so a
+// test harness can swap in a manual clock and run whole games instantly
+// =============================================================================
+
+// =============================================================================
+// CLOCK IMPLEMENTATIONS
+// =============================================================================
+
+/**
+ * Clock structure:
+ * {
+ *   now(): number,                              // Current time in ms
+ *   setTimeout(callback, ms): any,              // Returns a handle
+ *   clearTimeout(handle): void,
+ *   setInterval(callback, ms): any,             // Returns a handle
+ *   clearInterval(handle): void
+ * }
+ */
+
+// Real wall-clock time and Node timers
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+let currentClock = systemClock;
+
+// =============================================================================
+// CLOCK ACCESS
+// =============================================================================
+
+/**
+ * Replace the clock (e.g., with a manual clock in tests)
+ * Timers already scheduled stay on the clock that created them
+ * @param {Object} clock - Object implementing the clock structure
+ */
+function setClock(clock) {
+  currentClock = clock;
+}
+
+/**
+ * Go back to the system clock
+ */
+function resetClock() {
+  currentClock = systemClock;
+}
+
+/**
+ * Get the current time
+ * @returns {number} Milliseconds since epoch (or since the manual clock's origin)
+ */
+function now() {
+  return currentClock.now();
+}
+
+/**
+ * Schedule a callback once
+ * @param {Function} callback - Callback
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Object} Timer handle for clearTimeout
+ */
+function schedule(callback, ms) {
+  return { clock: currentClock, handle: currentClock.setTimeout(callback, ms) };
+}
+
+/**
+ * Schedule a callback repeatedly
+ * @param {Function} callback - Callback
+ * @param {number} ms - Interval in milliseconds
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleRepeating(callback, ms) {
+  return { clock: currentClock, handle: currentClock.setInterval(callback, ms) };
+}
+
+/**
+ * Cancel a callback scheduled with schedule()
+ * @param {Object|null} timer - Timer handle
+ */
+function cancel(timer) {
+  if (timer) {
+    timer.clock.clearTimeout(timer.handle);
+  }
+}
+
+/**
+ * Cancel a callback scheduled with scheduleRepeating()
+ * @param {Object|null} timer - Timer handle
+ */
+function cancelRepeating(timer) {
+  if (timer) {
+    timer.clock.clearInterval(timer.handle);
+  }
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  now,
+  schedule,
+  scheduleRepeating,
+  cancel,
+  cancelRepeating,
+  setClock,
+  resetClock,
+  systemClock
+};
@@ -0,0 +1,425 @@
+// =============================================================================
+// CLUSTER COORDINATION MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Run several server instances side by side
+// Each room is owned by exactly one node; nodes share a room registry over a
+// pluggable pub/sub adapter and send clients to the owning node. Nodes also
+// share their public room listings so every node can show the whole lobby
+// =============================================================================
+
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const clock = require('./clock');
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+// Identity of this process in the cluster
+const NODE_ID = process.env.NODE_ID || randomUUID();
+
+// Public URL clients use to reach this node (sent in redirects)
+const NODE_URL = process.env.NODE_URL || null;
+
+// Redis server for the 'redis' pub/sub driver
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+const HEARTBEAT_INTERVAL = 5000; // Announce liveness every 5 seconds
+const NODE_TTL = 15000; // Forget rooms of nodes silent for 15 seconds
+
+// Pub/sub channel names
+const CHANNELS = {
+  REGISTRY: 'cluster:registry', // Room claims/releases, listings and heartbeats
+  SYNC: 'cluster:sync' // New nodes asking peers for their rooms
+};
+
+// =============================================================================
+// PUB/SUB ADAPTERS
+// =============================================================================
+
+/**
+ * Pub/sub adapter interface:
+ * {
+ *   name: string,
+ *   publish(channel: string, message: Object): void,
+ *   subscribe(channel: string, handler: Function): Function,  // returns unsubscribe
+ *   createSocketAdapter?(): Function,  // Socket.IO adapter sharing the same broker
+ *   close?(): Promise
+ * }
+ * Messages must be JSON-serializable so a network-backed adapter can carry them
+ */
+
+/**
+ * Create an in-process pub/sub adapter
+ * Nodes sharing one instance behave like a cluster (single process, or tests)
+ * @returns {Object} Pub/sub adapter
+ */
+function createInProcessPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // Any number of nodes may subscribe
+
+  return {
+    name: 'inprocess',
+
+    publish(channel, message) {
+      // Deliver asynchronously, like a real broker would
+      const copy = JSON.parse(JSON.stringify(message));
+      setImmediate(() => emitter.emit(channel, copy));
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+}
+
+/**
+ * Create a Redis pub/sub adapter
+ * Nodes in separate processes or machines share the room registry through one
+ * Redis server; the Socket.IO adapter it provides carries room broadcasts too
+ * @param {string} url - Redis connection URL
+ * @returns {Object} Pub/sub adapter
+ */
+function createRedisPubSub(url = REDIS_URL) {
+  // Loaded on first use so single-node setups never open a Redis connection
+  const { createClient } = require('redis');
+
+  // A subscribed Redis connection cannot publish, so each role gets its own
+  const connections = [];
+  const connect = (client) => {
+    client.on('error', (error) => {
+      console.error(`[CLUSTER] Redis error: ${error.message}`);
+    });
+    client.connect().catch((error) => {
+      console.error(`[CLUSTER] Redis connection failed: ${url} | Error: ${error.message}`);
+    });
+    connections.push(client);
+    return client;
+  };
+
+  const publisher = connect(createClient({ url }));
+  const subscriber = connect(publisher.duplicate());
+
+  const logFailure = (action, channel) => (error) => {
+    console.error(`[CLUSTER] Redis ${action} failed: ${channel} | Error: ${error.message}`);
+  };
+
+  return {
+    name: 'redis',
+
+    publish(channel, message) {
+      publisher.publish(channel, JSON.stringify(message)).catch(logFailure('publish', channel));
+    },
+
+    subscribe(channel, handler) {
+      const listener = (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          console.error(`[CLUSTER] Ignoring malformed message on ${channel}`);
+          return;
+        }
+        handler(message);
+      };
+
+      subscriber.subscribe(channel, listener).catch(logFailure('subscribe', channel));
+      return () => {
+        subscriber.unsubscribe(channel, listener).catch(logFailure('unsubscribe', channel));
+      };
+    },
+
+    /**
+     * Socket.IO adapter so io.to(channel).emit() reaches sockets on every node
+     * @returns {Function} Adapter constructor for the Socket.IO server
+     */
+    createSocketAdapter() {
+      const { createAdapter } = require('@socket.io/redis-adapter');
+      return createAdapter(publisher, connect(publisher.duplicate()));
+    },
+
+    /**
+     * Close every Redis connection
+     * @returns {Promise} Resolves once all connections are closed
+     */
+    close() {
+      return Promise.all(connections.splice(0).map(client => client.close().catch(() => {})));
+    }
+  };
+}
+
+/**
+ * Create a pub/sub adapter by driver name
+ * @param {string} driver - Adapter driver ('inprocess' | 'redis')
+ * @returns {Object} Pub/sub adapter
+ */
+function createPubSub(driver = 'inprocess') {
+  switch (driver) {
+    case 'inprocess':
+      return createInProcessPubSub();
+    case 'redis':
+      return createRedisPubSub();
+    default:
+      throw new Error(`Unknown pub/sub driver: ${driver}`);
+  }
+}
+
+// =============================================================================
+// CLUSTER NODE
+// =============================================================================
+
+/**
+ * Create a cluster node
+ * Keeps a local cache of the shared room registry so lookups stay synchronous
+ * @param {Object} options - { nodeId, url, pubsub }
+ * @returns {Object} Cluster node
+ */
+function createClusterNode(options = {}) {
+  const nodeId = options.nodeId || NODE_ID;
+  const url = options.url !== undefined ? options.url : NODE_URL;
+  const pubsub = options.pubsub || createInProcessPubSub();
+
+  // Map structure: roomId -> { nodeId, url }
+  const roomOwners = new Map();
+
+  // Map structure: nodeId -> last heartbeat timestamp
+  const nodeLastSeen = new Map();
+
+  // Rooms owned by this node (re-announced on sync requests)
+  const ownedRooms = new Set();
+
+  // Map structure: nodeId -> { url, rooms } - other nodes' public room summaries
+  const nodeListings = new Map();
+
+  // This node's public room summaries (see setListingSource)
+  let listingSource = () => [];
+
+  const unsubscribers = [];
+  let heartbeatId = null;
+
+  /**
+   * Apply a registry message from any node (including this one)
+   * @param {Object} message - { type, nodeId, url, roomId?, roomIds?, rooms? }
+   */
+  function handleRegistryMessage(message) {
+    if (!message || !message.nodeId) {
+      return;
+    }
+
+    nodeLastSeen.set(message.nodeId, clock.now());
+
+    switch (message.type) {
+      case 'claim':
+        roomOwners.set(message.roomId, { nodeId: message.nodeId, url: message.url });
+        break;
+      case 'release': {
+        const owner = roomOwners.get(message.roomId);
+        if (owner && owner.nodeId === message.nodeId) {
+          roomOwners.delete(message.roomId);
+        }
+        const listing = nodeListings.get(message.nodeId);
+        if (listing) {
+          listing.rooms = listing.rooms.filter(room => room.id !== message.roomId);
+        }
+        break;
+      }
+      case 'announce':
+        (message.roomIds || []).forEach(roomId => {
+          roomOwners.set(roomId, { nodeId: message.nodeId, url: message.url });
+        });
+        break;
+      case 'listings':
+        if (message.nodeId !== nodeId) {
+          nodeListings.set(message.nodeId, { url: message.url, rooms: message.rooms || [] });
+        }
+        break;
+      case 'heartbeat':
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Announce every room this node owns
+   */
+  function announceOwnedRooms() {
+    pubsub.publish(CHANNELS.REGISTRY, {
+      type: 'announce',
+      nodeId: nodeId,
+      url: url,
+      roomIds: Array.from(ownedRooms)
+    });
+  }
+
+  /**
+   * Publish this node's public room listings
+   * Sent on start, on sync requests and with every heartbeat, so a missed
+   * update is corrected within one heartbeat interval
+   */
+  function publishListings() {
+    pubsub.publish(CHANNELS.REGISTRY, {
+      type: 'listings',
+      nodeId: nodeId,
+      url: url,
+      rooms: listingSource()
+    });
+  }
+
+  /**
+   * Check if a node has been heard from recently
+   * @param {string} otherNodeId - Node ID
+   * @returns {boolean} True if node is considered alive
+   */
+  function isNodeAlive(otherNodeId) {
+    if (otherNodeId === nodeId) {
+      return true;
+    }
+    const lastSeen = nodeLastSeen.get(otherNodeId);
+    return Boolean(lastSeen) && clock.now() - lastSeen <= NODE_TTL;
+  }
+
+  return {
+    nodeId,
+    url,
+    pubsub,
+
+    /**
+     * Join the cluster: subscribe, ask peers for their rooms, start heartbeats
+     */
+    start() {
+      unsubscribers.push(pubsub.subscribe(CHANNELS.REGISTRY, handleRegistryMessage));
+      unsubscribers.push(pubsub.subscribe(CHANNELS.SYNC, (message) => {
+        if (message && message.nodeId !== nodeId) {
+          announceOwnedRooms();
+          publishListings();
+        }
+      }));
+
+      pubsub.publish(CHANNELS.SYNC, { nodeId: nodeId });
+      announceOwnedRooms();
+      publishListings();
+
+      heartbeatId = clock.scheduleRepeating(() => {
+        pubsub.publish(CHANNELS.REGISTRY, { type: 'heartbeat', nodeId: nodeId, url: url });
+        publishListings();
+      }, HEARTBEAT_INTERVAL);
+      if (heartbeatId.handle && heartbeatId.handle.unref) {
+        heartbeatId.handle.unref();
+      }
+
+      console.log(`[CLUSTER] Node started: ${nodeId} | Pub/sub: ${pubsub.name} | URL: ${url || 'n/a'}`);
+    },
+
+    /**
+     * Leave the cluster: release owned rooms and stop heartbeats
+     */
+    stop() {
+      ownedRooms.forEach(roomId => {
+        pubsub.publish(CHANNELS.REGISTRY, { type: 'release', nodeId: nodeId, url: url, roomId: roomId });
+      });
+      ownedRooms.clear();
+
+      clock.cancelRepeating(heartbeatId);
+      heartbeatId = null;
+      unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+      nodeListings.clear();
+    },
+
+    /**
+     * Register where this node's public room listings come from
+     * @param {Function} source - Returns an array of room summaries ({ id, ... })
+     */
+    setListingSource(source) {
+      listingSource = typeof source === 'function' ? source : () => [];
+    },
+
+    /**
+     * Tell the other nodes this node's public rooms changed
+     * Does nothing outside a running cluster - nobody would receive it
+     */
+    publishListings() {
+      if (heartbeatId) {
+        publishListings();
+      }
+    },
+
+    /**
+     * List public rooms across the cluster for the room browser
+     * This node's rooms are always current; other nodes' are as last published,
+     * and disappear once the node stops sending heartbeats
+     * @returns {Array} Room summaries with the owning node's nodeId and url
+     */
+    listRooms() {
+      const rooms = listingSource().map(room => ({ ...room, nodeId: nodeId, url: url }));
+      nodeListings.forEach((listing, otherNodeId) => {
+        if (!isNodeAlive(otherNodeId)) {
+          return;
+        }
+        listing.rooms.forEach(room => rooms.push({ ...room, nodeId: otherNodeId, url: listing.url }));
+      });
+      return rooms;
+    },
+
+    /**
+     * Register this node as owner of a room
+     * @param {string} roomId - Room ID
+     */
+    claimRoom(roomId) {
+      ownedRooms.add(roomId);
+      roomOwners.set(roomId, { nodeId: nodeId, url: url });
+      pubsub.publish(CHANNELS.REGISTRY, { type: 'claim', nodeId: nodeId, url: url, roomId: roomId });
+    },
+
+    /**
+     * Give up ownership of a room (room deleted)
+     * @param {string} roomId - Room ID
+     */
+    releaseRoom(roomId) {
+      ownedRooms.delete(roomId);
+      roomOwners.delete(roomId);
+      pubsub.publish(CHANNELS.REGISTRY, { type: 'release', nodeId: nodeId, url: url, roomId: roomId });
+    },
+
+    /**
+     * Find the node that owns a room
+     * Rooms of nodes that stopped sending heartbeats are treated as gone
+     * @param {string} roomId - Room ID (normalized)
+     * @returns {Object|null} { nodeId, url, isLocal } or null if unknown
+     */
+    getRoomOwner(roomId) {
+      const owner = roomOwners.get(roomId);
+      if (!owner || !isNodeAlive(owner.nodeId)) {
+        return null;
+      }
+      return { nodeId: owner.nodeId, url: owner.url, isLocal: owner.nodeId === nodeId };
+    },
+
+    /**
+     * Check if a room ID is in use anywhere in the cluster
+     * @param {string} roomId - Room ID
+     * @returns {boolean} True if some live node owns it
+     */
+    isRoomKnown(roomId) {
+      return this.getRoomOwner(roomId) !== null;
+    }
+  };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  createClusterNode,
+  createPubSub,
+  createInProcessPubSub,
+  createRedisPubSub,
+
+  // Constants
+  NODE_ID,
+  HEARTBEAT_INTERVAL,
+  NODE_TTL
+};
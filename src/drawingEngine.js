@@ -3,7 +3,7 @@
 // Real-time Multiplayer Drawing Game Backend
 // =============================================================================
 // Purpose: Relay drawing strokes from drawer to guessers
-// This module is stateless - does not persist strokes, only relays them
+// Keeps an ordered per-round stroke log so late joiners can replay the canvas
 // =============================================================================
 
 const gameEngine = require('./gameEngine');
@@ -19,6 +19,9 @@ const MAX_DRAW_EVENTS_PER_SECOND = 30;
 // Batch window for batching draw events
 const BATCH_WINDOW_MS = 50; // 50ms batching window
 
+// Upper bound on stored points per round (keeps memory bounded for long rounds)
+const MAX_STROKE_POINTS_PER_ROUND = 20000;
+
 // =============================================================================
 // BATCHING STORAGE
 // =============================================================================
@@ -31,6 +34,15 @@ const drawBatches = new Map();
 // Used for throttling
 const lastEventTimes = new Map();
 
+// =============================================================================
+// STROKE HISTORY STORAGE
+// =============================================================================
+
+// Map structure: roomId -> { strokes: Array, pointCount: number }
+// Each stroke: { start: Object, points: Array, end: Object|null }
+// Reset on clear_canvas and when the round's drawing state is cleared
+const strokeHistory = new Map();
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -62,6 +74,41 @@ function clearBatch(roomId) {
   lastEventTimes.delete(roomId);
 }
 
+/**
+ * Get or create stroke history for a room
+ * @param {string} roomId - Room ID
+ * @returns {Object} History object { strokes, pointCount }
+ */
+function getHistory(roomId) {
+  if (!strokeHistory.has(roomId)) {
+    strokeHistory.set(roomId, { strokes: [], pointCount: 0 });
+  }
+  return strokeHistory.get(roomId);
+}
+
+/**
+ * Append a point to the stroke currently being drawn
+ * Points beyond the per-round cap are still relayed but not stored
+ * @param {string} roomId - Room ID
+ * @param {Object} point - Drawing data for the point
+ */
+function recordPoint(roomId, point) {
+  const history = getHistory(roomId);
+  const stroke = history.strokes[history.strokes.length - 1];
+
+  // Ignore moves that arrive outside an open stroke
+  if (!stroke || stroke.end) {
+    return;
+  }
+
+  if (history.pointCount >= MAX_STROKE_POINTS_PER_ROUND) {
+    return;
+  }
+
+  stroke.points.push(point);
+  history.pointCount++;
+}
+
 // =============================================================================
 // DRAWING EVENT VALIDATION
 // =============================================================================
@@ -93,6 +140,10 @@ function validateDrawingEvent(room, playerId, eventType) {
     return { valid: false, error: 'Only drawer can draw' };
   }
   
+  if (gameEngine.isGamePaused(room)) {
+    return { valid: false, error: 'Game is paused' };
+  }
+  
   // Validate event type
   const validEventTypes = ['draw_start', 'draw_move', 'draw_end', 'clear_canvas'];
   if (!validEventTypes.includes(eventType)) {
@@ -129,6 +180,9 @@ function handleDrawStart(room, playerId, data) {
     return { success: false, data: null, error: 'Invalid drawing data' };
   }
   
+  // Open a new stroke in the history
+  getHistory(room.id).strokes.push({ start: data, points: [], end: null });
+
   console.log(`[DRAWING] Draw start: ${room.id} | Drawer: ${playerId}`);
   
   return { success: true, data: data, error: null };
@@ -149,6 +203,11 @@ function handleDrawMove(room, playerId, data) {
     return { success: false, data: null, shouldBatch: false, error: validation.error };
   }
   
+  // Record every valid point, whether it is relayed now or batched
+  if (data && typeof data === 'object') {
+    recordPoint(room.id, data);
+  }
+  
   // Check throttling
   if (shouldThrottle(room.id)) {
     // Add to batch instead of immediate send
@@ -199,6 +258,13 @@ function handleDrawEnd(room, playerId, data) {
     return { success: false, data: null, error: 'Invalid drawing data' };
   }
   
+  // Close the open stroke in the history
+  const strokes = getHistory(room.id).strokes;
+  const stroke = strokes[strokes.length - 1];
+  if (stroke && !stroke.end) {
+    stroke.end = data;
+  }
+  
   console.log(`[DRAWING] Draw end: ${room.id} | Drawer: ${playerId}`);
   
   return { success: true, data: data, error: null };
@@ -221,6 +287,9 @@ function handleClearCanvas(room, playerId) {
   // Clear batch
   clearBatch(room.id);
   
+  // Everything drawn so far is gone from the canvas - drop it from history
+  strokeHistory.delete(room.id);
+  
   console.log(`[DRAWING] Canvas cleared: ${room.id} | Drawer: ${playerId}`);
   
   return { success: true, error: null };
@@ -244,6 +313,28 @@ function flushBatch(roomId) {
   return batch;
 }
 
+/**
+ * Get accumulated strokes for the current round
+ * Returned in one compact payload for replay on late join or reconnect
+ * @param {string} roomId - Room ID
+ * @returns {Object} { strokes: Array, pointCount: number }
+ */
+function getCanvasState(roomId) {
+  const history = strokeHistory.get(roomId);
+  if (!history) {
+    return { strokes: [], pointCount: 0 };
+  }
+  
+  return {
+    strokes: history.strokes.map(stroke => ({
+      start: stroke.start,
+      points: [...stroke.points],
+      end: stroke.end
+    })),
+    pointCount: history.pointCount
+  };
+}
+
 /**
  * Clear drawing state for a room
  * Called when round ends or game resets
@@ -251,9 +342,40 @@ function flushBatch(roomId) {
  */
 function clearDrawingState(roomId) {
   clearBatch(roomId);
+  strokeHistory.delete(roomId);
   console.log(`[DRAWING] Cleared drawing state: ${roomId}`);
 }
 
+// =============================================================================
+// PERSISTENCE FUNCTIONS
+// =============================================================================
+
+/**
+ * Export stroke history for a storage snapshot
+ * @returns {Object} { roomId: { strokes, pointCount } }
+ */
+function exportStrokeHistory() {
+  return Object.fromEntries(strokeHistory);
+}
+
+/**
+ * Restore stroke history from a storage snapshot
+ * @param {Object} snapshot - Object from exportStrokeHistory
+ */
+function restoreStrokeHistory(snapshot) {
+  strokeHistory.clear();
+  if (!snapshot || typeof snapshot !== 'object') {
+    return;
+  }
+  
+  Object.keys(snapshot).forEach(roomId => {
+    const history = snapshot[roomId];
+    if (history && Array.isArray(history.strokes)) {
+      strokeHistory.set(roomId, { strokes: history.strokes, pointCount: history.pointCount || 0 });
+    }
+  });
+}
+
 // =============================================================================
 // MODULE EXPORTS
 // =============================================================================
@@ -269,13 +391,19 @@ module.exports = {
   flushBatch,
   
   // State management
+  getCanvasState,
   clearDrawingState,
   
+  // Persistence
+  exportStrokeHistory,
+  restoreStrokeHistory,
+  
   // Validation
   validateDrawingEvent,
   
   // Constants
   MAX_DRAW_EVENTS_PER_SECOND,
-  BATCH_WINDOW_MS
+  BATCH_WINDOW_MS,
+  MAX_STROKE_POINTS_PER_ROUND
 };
 
@@ -0,0 +1,1170 @@
+// =============================================================================
+// GAME CONTROLLER MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Own one room's game loop - rounds, timers, guesses and scoring
+// Controllers emit domain events with an audience; the transport layer
+// (index.js) decides how to deliver them, so the loop runs without sockets
+// =============================================================================
+
+const { EventEmitter } = require('events');
+const clock = require('./clock');
+const playerManager = require('./players');
+const roomManager = require('./rooms');
+const gameEngine = require('./gameEngine');
+const wordEngine = require('./wordEngine');
+const timerEngine = require('./timerEngine');
+const drawingEngine = require('./drawingEngine');
+const guessEngine = require('./guessEngine');
+const scoreEngine = require('./scoreEngine');
+const chatEngine = require('./chatEngine');
+const voteEngine = require('./voteEngine');
+const textNormalizer = require('./textNormalizer');
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+// Pause between the end of one turn and the next drawer's word selection
+const ROUND_END_DELAY = 3000;
+
+// Progressive hints: reveal up to 35% of letters, one step every 15 seconds
+const HINT_LETTER_SHARE = 0.35;
+const HINT_INTERVAL = 15;
+
+// Who a domain event is for
+const AUDIENCE = {
+  ROOM: 'room', // Players and spectators
+  DRAWER: 'drawer', // Current drawer only
+  GUESSERS: 'guessers', // Everyone except the drawer
+  PLAYER: 'player', // One player ({ type, playerId })
+  PLAYERS: 'players' // A list of players ({ type, playerIds })
+};
+
+// =============================================================================
+// CONTROLLER STORAGE
+// =============================================================================
+
+// Map structure: roomId -> controller
+const controllers = new Map();
+
+// Map structure: roomId -> { enterWordSelection, enterDrawing, phaseChanged }
+// Kept apart from the controller so phase hooks aren't part of its public surface
+const phaseHandlers = new Map();
+
+// =============================================================================
+// PLAYER HELPERS
+// =============================================================================
+
+/**
+ * Check if a player is connected (not inside the reconnect grace period)
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if the player can take a turn
+ */
+function isConnected(playerId) {
+  const player = playerManager.getPlayerById(playerId);
+  return player !== null && player.connected !== false;
+}
+
+// =============================================================================
+// SERIALIZATION HELPERS
+// =============================================================================
+
+/**
+ * Serialize game state for client (never includes selectedWord)
+ * @param {Object} room - Room object with game
+ * @returns {Object|null} Serialized game state or null
+ */
+function serializeGameState(room) {
+  if (!room.game) {
+    return null;
+  }
+
+  const game = room.game;
+  return {
+    phase: game.phase,
+    currentRound: game.currentRound,
+    totalRounds: game.totalRounds,
+    drawerId: game.drawerId,
+    drawerIndex: game.drawerIndex,
+    guessedPlayers: game.guessedPlayers || [],
+    maskedWord: game.maskedWord || null,
+    paused: Boolean(game.paused)
+    // selectedWord is intentionally excluded - server-only
+  };
+}
+
+/**
+ * Build a timer_tick payload
+ * Clients count down to deadline (corrected by serverTime) instead of trusting tick arrival
+ * @param {Object} info - Timer info from timerEngine ({ type, duration, deadline, paused })
+ * @param {number} remaining - Whole seconds left
+ * @returns {Object} { type, remaining, duration, deadline, paused, serverTime }
+ */
+function buildTimerTick(info, remaining) {
+  return {
+    type: info.type,
+    remaining: remaining,
+    duration: info.duration,
+    deadline: info.deadline,
+    paused: info.paused,
+    serverTime: clock.now()
+  };
+}
+
+/**
+ * Build the state a player needs to pick up the current room view
+ * Used for resumed sessions, spectators and mid-game joiners
+ * Drawer and players who guessed receive the word, everyone else the current hint only
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {Object} { room, game, timer, serverTime, leaderboard, word?, hintWord?, wordOptions? }
+ */
+function buildSnapshot(room, playerId) {
+  const snapshot = {
+    room: roomManager.serializeRoom(room, playerManager.getPlayerById),
+    game: serializeGameState(room),
+    timer: timerEngine.getTimerInfo(room.id),
+    serverTime: clock.now(),
+    leaderboard: scoreEngine.getLeaderboard(room, playerManager.getPlayerById)
+  };
+
+  if (room.game && room.game.phase === gameEngine.PHASES.DRAWING) {
+    const selectedWord = wordEngine.getSelectedWord(room);
+    if (gameEngine.isCurrentDrawer(room, playerId) || guessEngine.hasPlayerGuessed(room, playerId)) {
+      snapshot.word = selectedWord;
+    } else if (room.settings.hints && room.game.hintLevel > 0) {
+      snapshot.hintWord = wordEngine.generateHint(selectedWord, room.game.hintLevel);
+    }
+  }
+
+  // A drawer coming back mid-selection gets the same options, not a new set
+  if (room.game && room.game.phase === gameEngine.PHASES.WORD_SELECT && gameEngine.isCurrentDrawer(room, playerId)) {
+    snapshot.wordOptions = wordEngine.getWordOptions(room);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Audience of a single player
+ * @param {string} playerId - Player ID
+ * @returns {Object} Audience descriptor
+ */
+function toPlayer(playerId) {
+  return { type: AUDIENCE.PLAYER, playerId: playerId };
+}
+
+// =============================================================================
+// CONTROLLER FACTORY
+// =============================================================================
+
+/**
+ * Create the game controller for a room
+ * Events:
+ *   'event'          ({ name, payload, audience }) - domain event for clients
+ *   'roles_changed'  ()                            - a new drawer was assigned
+ *   'kick_requested' ({ playerId, reason })        - a player must be removed from the room
+ * @param {string} roomId - Room ID
+ * @returns {Object} Controller
+ */
+function createGameController(roomId) {
+  removeController(roomId);
+
+  const emitter = new EventEmitter();
+  let nextDrawerTimeoutId = null;
+
+  /**
+   * Look the room up on every call - it may have been deleted in the meantime
+   * @returns {Object|null} Room object
+   */
+  function getRoom() {
+    return roomManager.getRoom(roomId);
+  }
+
+  /**
+   * Emit a domain event
+   * @param {string} name - Event name (also used as the client event name)
+   * @param {Object} payload - Event payload
+   * @param {Object} audience - Audience descriptor (defaults to the whole room)
+   */
+  function publish(name, payload, audience = { type: AUDIENCE.ROOM }) {
+    emitter.emit('event', { name: name, payload: payload, audience: audience });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Round lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start the current drawer's turn; entering WORD_SELECT does the rest
+   * @param {Object} room - Room object
+   */
+  function startRound(room) {
+    const result = gameEngine.startRound(room);
+    if (!result.success) {
+      console.error(`[GAME] Failed to start round: ${room.id} | Error: ${result.error}`);
+    }
+  }
+
+  /**
+   * WORD_SELECT entry hook: send options to the drawer and arm the selection timer
+   * @param {Object} room - Room object
+   */
+  function enterWordSelection(room) {
+    // Initialize round start time for scoring
+    scoreEngine.initializeRoundStartTime(room, clock.now());
+
+    console.log(`[GAME] Round start | room=${room.id} | round=${room.game.currentRound} | drawer=${room.game.drawerId}`);
+
+    // New drawer - the transport regroups drawer/guessers
+    emitter.emit('roles_changed');
+
+    // Generate word options for drawer
+    const wordOptionsResult = wordEngine.generateOptionsForDrawer(room);
+    if (!wordOptionsResult.success) {
+      console.error(`[WORD] Failed to generate options: ${room.id} | Error: ${wordOptionsResult.error}`);
+      return;
+    }
+
+    const drawerId = room.game.drawerId;
+
+    // Send word options to drawer only
+    publishWordOptions(room, wordOptionsResult, wordEngine.WORD_SELECTION_TIMEOUT);
+
+    // Broadcast round start to all players
+    publish('round_started', {
+      game: serializeGameState(room),
+      drawerId: drawerId
+    });
+
+    // Start word selection timer
+    armWordSelectionTimer(room);
+  }
+
+  /**
+   * Send the current word options to the drawer only
+   * @param {Object} room - Room object in WORD_SELECT phase
+   * @param {Object} result - { options, difficulties, rerollsLeft } from wordEngine
+   * @param {number} timeout - Milliseconds left to choose
+   */
+  function publishWordOptions(room, result, timeout) {
+    publish('word_options', {
+      game: serializeGameState(room),
+      options: result.options,
+      difficulties: result.difficulties, // Aligned with options by index
+      rerollsLeft: result.rerollsLeft,
+      timeout: timeout
+    }, toPlayer(room.game.drawerId));
+  }
+
+  /**
+   * Arm the word selection timer (auto-selects a word on timeout)
+   * @param {Object} room - Room object in WORD_SELECT phase
+   * @param {number} duration - Override duration in seconds (used when re-arming after restore)
+   */
+  function armWordSelectionTimer(room, duration) {
+    timerEngine.startWordSelectionTimer(
+      room,
+      (timerRoomId, remaining, info) => {
+        publish('timer_tick', buildTimerTick(info, remaining));
+      },
+      () => {
+        // Timer timeout - auto-select word
+        const current = getRoom();
+        if (!current) return;
+
+        const autoSelectResult = wordEngine.autoSelectWord(current);
+        if (autoSelectResult.success) {
+          gameEngine.transitionPhase(current, gameEngine.PHASES.DRAWING, { autoSelected: true });
+        }
+      },
+      duration
+    );
+  }
+
+  /**
+   * DRAWING entry hook: announce the word and start the drawing timer
+   * @param {Object} room - Room object
+   * @param {Object} context - { autoSelected: boolean }
+   */
+  function enterDrawing(room, context) {
+    // Guess timing starts when drawing starts, not when word selection started
+    scoreEngine.initializeRoundStartTime(room, clock.now());
+
+    const maskedWord = wordEngine.getMaskedWord(room);
+    const drawerId = room.game.drawerId;
+
+    // Broadcast word selected (include game state so frontend can update drawer)
+    publish('word_selected', {
+      game: serializeGameState(room),
+      maskedWord: maskedWord,
+      autoSelected: Boolean(context.autoSelected)
+    });
+
+    console.log(`[DRAW] Starting drawing phase | room=${room.id} | drawer=${drawerId} | maskedWord=${maskedWord}`);
+
+    // Only the drawer gets the word
+    publish('drawing_started', {
+      game: serializeGameState(room),
+      drawerId: drawerId,
+      word: wordEngine.getSelectedWord(room)
+    }, { type: AUDIENCE.DRAWER });
+    publish('drawing_started', {
+      game: serializeGameState(room),
+      drawerId: drawerId,
+      maskedWord: maskedWord
+    }, { type: AUDIENCE.GUESSERS });
+
+    // Initialize hint level for progressive hints (reset for new round)
+    room.game.hintLevel = 0;
+
+    armDrawingTimer(room);
+  }
+
+  /**
+   * Arm the drawing timer with progressive hints (ends the round on timeout)
+   * @param {Object} room - Room object in DRAWING phase
+   * @param {number} duration - Override duration in seconds (used when re-arming after restore)
+   */
+  function armDrawingTimer(room, duration) {
+    const drawTime = room.settings.drawTime;
+    const selectedWord = wordEngine.getSelectedWord(room);
+    const wordLength = selectedWord ? wordEngine.countLetters(selectedWord) : 5;
+
+    const maxHints = Math.max(1, Math.floor(wordLength * HINT_LETTER_SHARE));
+    const maxHintTime = maxHints * HINT_INTERVAL; // Total time for all hints
+
+    timerEngine.startDrawingTimer(
+      room,
+      (timerRoomId, remaining, info) => {
+        const current = getRoom();
+        if (!current || !current.game) return;
+
+        // Only reveal hints if within the hint reveal window
+        const elapsed = drawTime - remaining;
+        if (elapsed <= maxHintTime) {
+          const newHintLevel = Math.min(Math.floor(elapsed / HINT_INTERVAL) + 1, maxHints);
+
+          if (newHintLevel > current.game.hintLevel && current.settings.hints) {
+            current.game.hintLevel = newHintLevel;
+            publish('hint_update', {
+              hintWord: wordEngine.generateHint(selectedWord, newHintLevel)
+            }, { type: AUDIENCE.GUESSERS });
+          }
+        }
+
+        publish('timer_tick', buildTimerTick(info, remaining));
+      },
+      () => {
+        const current = getRoom();
+        if (!current) return;
+        endRound(current, 'time_up');
+      },
+      duration
+    );
+  }
+
+  /**
+   * End the current turn and handle scoring
+   * @param {Object} room - Room object
+   * @param {string} reason - 'time_up' | 'all_guessed' | 'drawer_left' | 'skipped' | 'not_enough_players'
+   * @param {Object} options - { forceGameEnd: boolean } to end the game after this round
+   */
+  function endRound(room, reason, options = {}) {
+    // Only a turn in progress can end (guards against double ends from timers and departures)
+    if (!gameEngine.isTurnInProgress(room)) {
+      return;
+    }
+
+    // Award drawer score - a drawer who left or was skipped gets nothing
+    const drawerResult = reason === 'drawer_left' || reason === 'skipped'
+      ? { success: false }
+      : scoreEngine.awardDrawerScore(room, playerManager.getPlayerById, playerManager.updatePlayerScore);
+
+    // End round (exit hooks stop the timer and clear the canvas)
+    const result = gameEngine.endRound(room);
+    if (!result.success) {
+      console.error(`[GAME] Failed to end round: ${room.id} | Error: ${result.error}`);
+      return;
+    }
+
+    publish('round_ended', {
+      game: serializeGameState(room),
+      leaderboard: scoreEngine.getLeaderboard(room, playerManager.getPlayerById),
+      selectedWord: wordEngine.getSelectedWord(room), // Reveal word at end of round
+      difficulty: wordEngine.getSelectedDifficulty(room),
+      drawerId: room.game.drawerId,
+      drawerScore: drawerResult.success ? drawerResult.drawerScore : 0,
+      drawerBreakdown: drawerResult.success ? drawerResult.breakdown : null,
+      roundCompleted: room.game.drawerIndex === room.players.length - 1,
+      reason: reason
+    });
+
+    // Clear word selection and round scoring
+    wordEngine.clearWordSelection(room);
+    scoreEngine.clearRoundScoring(room.id);
+
+    if (result.gameEnded || options.forceGameEnd) {
+      endGame(room, options.forceGameEnd ? 'not_enough_players' : 'completed');
+    } else {
+      scheduleNextDrawer();
+    }
+  }
+
+  /**
+   * Progress to the next drawer after the round-end pause
+   * @param {number} delay - Delay in milliseconds
+   */
+  function scheduleNextDrawer(delay = ROUND_END_DELAY) {
+    clock.cancel(nextDrawerTimeoutId);
+    nextDrawerTimeoutId = clock.schedule(() => {
+      nextDrawerTimeoutId = null;
+      const room = getRoom();
+      // The game may have ended while waiting (e.g., players left)
+      if (!room || !room.game || room.game.phase !== gameEngine.PHASES.ROUND_END) return;
+
+      const result = gameEngine.progressToNextDrawer(room, isConnected);
+      if (result.success) {
+        startRound(room);
+      } else if (gameEngine.shouldEndGame(room)) {
+        endGame(room, 'completed');
+      } else {
+        console.error(`[GAME] Failed to progress drawer: ${room.id} | Error: ${result.error}`);
+      }
+    }, delay);
+  }
+
+  /**
+   * End game and show final results
+   * @param {Object} room - Room object
+   * @param {string} reason - 'completed' | 'not_enough_players'
+   */
+  function endGame(room, reason = 'completed') {
+    const result = gameEngine.endGame(room);
+    if (!result.success) {
+      console.error(`[GAME] Failed to end game: ${room.id} | Error: ${result.error}`);
+      return;
+    }
+
+    publish('game_ended', {
+      roundsPlayed: result.roundsPlayed,
+      leaderboard: scoreEngine.getLeaderboard(room, playerManager.getPlayerById),
+      reason: reason
+    });
+
+    // Clear game state
+    wordEngine.clearWordSelection(room);
+    scoreEngine.clearRoundScoring(room.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Guesses and chat
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deliver a chat message on the sender's channel
+   * Players who know the word only reach each other; the word is redacted either way
+   * @returns {Object} { success: boolean, error: string|null }
+   */
+  function deliverChat(room, player, message) {
+    const result = chatEngine.processChatMessage(room, player.id, message);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    publish('chat_message', {
+      playerId: player.id,
+      playerName: player.name,
+      message: result.text,
+      channel: result.channel,
+      redacted: result.redacted,
+      isCorrect: false
+    }, { type: AUDIENCE.PLAYERS, playerIds: result.recipients });
+
+    return { success: true, error: null };
+  }
+
+  /**
+   * Validate a guess, broadcast the outcome and award score
+   * @returns {Object} { success: boolean, error: string|null }
+   */
+  function handleGuess(room, player, guess) {
+    const guessTimestamp = clock.now();
+
+    const result = guessEngine.validateGuess(room, player.id, guess);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    // Shown as typed apart from case and Unicode forms - diacritics are kept for display
+    const normalizedGuess = guessEngine.normalizeGuess(guess, { locale: room.settings.language });
+
+    if (!result.isCorrect) {
+      // Wrong guesses show as chat, with the word redacted if it slipped in; near
+      // misses stay visible since the guesser doesn't know the word (close_guess is private)
+      const redaction = chatEngine.redactSecretWord(
+        normalizedGuess,
+        wordEngine.getSelectedWord(room),
+        room.settings.closeGuessThreshold,
+        textNormalizer.getRoomOptions(room)
+      );
+
+      publish('chat_message', {
+        playerId: player.id,
+        playerName: player.name,
+        message: redaction.text,
+        channel: chatEngine.CHANNELS.ALL,
+        redacted: redaction.redacted,
+        isCorrect: false
+      });
+
+      // Tell only the guesser that they are almost there
+      if (result.isClose) {
+        publish('close_guess', { guess: normalizedGuess }, toPlayer(player.id));
+      }
+      return { success: true, error: null };
+    }
+
+    const scoreResult = scoreEngine.awardGuessScore(
+      room,
+      player.id,
+      guessTimestamp,
+      playerManager.getPlayerById,
+      playerManager.updatePlayerScore
+    );
+
+    if (scoreResult.success) {
+      // Broadcast correct guess without the word - remaining guessers must not see it
+      publish('correct_guess', {
+        playerId: player.id,
+        playerName: player.name,
+        score: scoreResult.score,
+        totalScore: scoreResult.totalScore,
+        breakdown: scoreResult.breakdown // { base, timeBonus, difficultyBonus, total }
+      });
+
+      // Reveal the word to the guesser only
+      publish('word_revealed', { word: wordEngine.getSelectedWord(room) }, toPlayer(player.id));
+
+      publish('leaderboard_update', {
+        leaderboard: scoreEngine.getLeaderboard(room, playerManager.getPlayerById)
+      });
+
+      // End round early once every guesser has it
+      if (guessEngine.allGuessersGuessed(room)) {
+        endRound(room, 'all_guessed');
+      }
+    }
+
+    return { success: true, error: null };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Kick votes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Close the running vote and announce the result
+   * A passed vote bans the target and asks the transport to remove them
+   * @param {Object} room - Room object
+   * @param {string} result - 'passed' | 'failed' | 'timeout' | 'cancelled'
+   */
+  function finishVote(room, result) {
+    const tally = voteEngine.getTally(room);
+    const vote = voteEngine.endVote(room.id);
+    timerEngine.stopVoteTimer(room.id);
+    if (!vote) return;
+
+    publish('vote_ended', {
+      voteId: vote.id,
+      targetId: vote.targetId,
+      result: result,
+      yes: tally ? tally.yes : 0,
+      no: tally ? tally.no : 0,
+      required: tally ? tally.required : 0
+    });
+
+    console.log(`[VOTE] Ended: ${vote.id} | Result: ${result}`);
+
+    if (result === 'passed') {
+      roomManager.banPlayer(room, vote.targetId);
+      emitter.emit('kick_requested', { playerId: vote.targetId, reason: 'vote_kicked' });
+    }
+  }
+
+  /**
+   * Publish a tally and close the vote once it is decided
+   * @param {Object} room - Room object
+   * @param {Object} tally - Tally from voteEngine
+   */
+  function applyTally(room, tally) {
+    if (tally.passed) {
+      finishVote(room, 'passed');
+    } else if (tally.failed) {
+      finishVote(room, 'failed');
+    } else {
+      publish('vote_updated', {
+        voteId: tally.voteId,
+        yes: tally.yes,
+        no: tally.no,
+        required: tally.required
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public commands
+  // ---------------------------------------------------------------------------
+
+  const controller = {
+    roomId: roomId,
+
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.off(event, listener),
+
+    /**
+     * Start the game (owner only) and its first round
+     * @param {string} playerId - Player starting the game
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    startGame(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = gameEngine.startGame(room, playerId);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      // Reset player scores for new game
+      playerManager.resetPlayerScores(room.players);
+
+      // Words from the previous game are remembered per settings.wordHistoryGames
+      wordEngine.startWordHistory(room);
+
+      // Serialize latest room state (status is now "in_game") so clients stay in sync
+      const serializedRoom = roomManager.serializeRoom(room, playerManager.getPlayerById);
+      publish('game_started', {
+        game: serializeGameState(room),
+        room: serializedRoom,
+        players: serializedRoom.players
+      });
+
+      startRound(room);
+      return { success: true, error: null };
+    },
+
+    /**
+     * Drawer picks a word, then the game enters DRAWING
+     * @param {string} playerId - Player selecting (must be drawer)
+     * @param {string} word - Selected word
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    selectWord(playerId, word) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = wordEngine.selectWord(room, playerId, word);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      return gameEngine.transitionPhase(room, gameEngine.PHASES.DRAWING, { autoSelected: false });
+    },
+
+    /**
+     * Drawer swaps the offered words for a fresh set
+     * The selection timer is not reset - the new options come with the time that is left
+     * @param {string} playerId - Player asking (must be drawer)
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    rerollWords(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = wordEngine.rerollWordOptions(room, playerId);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const timer = timerEngine.getTimerInfo(room.id);
+      publishWordOptions(room, result, timer ? timer.remaining * 1000 : wordEngine.WORD_SELECTION_TIMEOUT);
+      return { success: true, error: null };
+    },
+
+    /**
+     * Handle the guess input
+     * Drawer and players who already guessed have nothing left to guess - this is chat
+     * @param {string} playerId - Player ID
+     * @param {string} guess - Raw guess text
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    submitGuess(playerId, guess) {
+      const room = getRoom();
+      const player = playerManager.getPlayerById(playerId);
+      if (!room || !player) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      if (chatEngine.getChatChannel(room, playerId) === chatEngine.CHANNELS.GUESSED) {
+        return deliverChat(room, player, guess);
+      }
+      return handleGuess(room, player, guess);
+    },
+
+    /**
+     * Handle the chat input
+     * Remaining guessers share one input for chat and guesses while the word is secret
+     * @param {string} playerId - Player ID
+     * @param {string} message - Raw message text
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    sendChat(playerId, message) {
+      const room = getRoom();
+      const player = playerManager.getPlayerById(playerId);
+      if (!room || !player) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      // Nothing can be guessed while paused, but the chat keeps going
+      if (chatEngine.shouldTreatAsGuess(room, playerId) && !gameEngine.isGamePaused(room)) {
+        return handleGuess(room, player, message);
+      }
+      return deliverChat(room, player, message);
+    },
+
+    /**
+     * Reset a finished game back to the lobby (owner only)
+     * @param {string} playerId - Player requesting the reset
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    playAgain(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      if (room.ownerId !== playerId) {
+        return { success: false, error: 'Only room owner can start a new game' };
+      }
+
+      if (room.status !== gameEngine.ROOM_STATUS.FINISHED) {
+        return { success: false, error: 'Game is not finished' };
+      }
+
+      // Backend decides when a game exists, frontend only reflects state
+      const result = gameEngine.resetGame(room);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      // Fresh scoreboard for the next game
+      playerManager.resetPlayerScores(room.players);
+
+      const serializedRoom = roomManager.serializeRoom(room, playerManager.getPlayerById);
+      publish('room_updated', { room: serializedRoom });
+      publish('game_reset', { room: serializedRoom });
+
+      return { success: true, error: null };
+    },
+
+    /**
+     * Stop the turn clock (owner only)
+     * @param {string} playerId - Player requesting the pause
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    pause(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = gameEngine.pauseGame(room, playerId);
+      if (!result.success) {
+        return result;
+      }
+
+      const timerResult = timerEngine.pauseTimer(room.id);
+      scoreEngine.pauseRoundClock(room);
+
+      publish('game_paused', {
+        game: serializeGameState(room),
+        timer: timerResult.timer,
+        playerId: playerId,
+        reason: 'paused_by_owner'
+      });
+
+      return { success: true, error: null };
+    },
+
+    /**
+     * Restart the turn clock with the time it had left (owner only)
+     * @param {string} playerId - Player requesting the resume
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    resume(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = gameEngine.resumeGame(room, playerId);
+      if (!result.success) {
+        return result;
+      }
+
+      const timerResult = timerEngine.resumeTimer(room.id);
+      scoreEngine.resumeRoundClock(room);
+
+      publish('game_resumed', {
+        game: serializeGameState(room),
+        timer: timerResult.timer,
+        serverTime: clock.now(),
+        playerId: playerId,
+        reason: 'resumed_by_owner'
+      });
+
+      return { success: true, error: null };
+    },
+
+    /**
+     * End the current turn without drawer points (owner only)
+     * Guessers keep what they already earned
+     * @param {string} playerId - Player requesting the skip
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    skipTurn(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const validation = gameEngine.canSkipTurn(room, playerId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      endRound(room, 'skipped');
+      return { success: true, error: null };
+    },
+
+    /**
+     * Start a vote to kick another player
+     * @param {string} initiatorId - Player starting the vote (counts as a kick ballot)
+     * @param {string} targetId - Player to kick
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    startVoteKick(initiatorId, targetId) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = voteEngine.startVote(room, initiatorId, targetId);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const timerResult = timerEngine.startVoteTimer(room.id, voteEngine.VOTE_DURATION, () => {
+        const current = getRoom();
+        if (current) finishVote(current, 'timeout');
+      });
+
+      const target = playerManager.getPlayerById(targetId);
+      const initiator = playerManager.getPlayerById(initiatorId);
+
+      publish('vote_started', {
+        voteId: result.vote.id,
+        targetId: targetId,
+        targetName: target ? target.name : null,
+        initiatorId: initiatorId,
+        initiatorName: initiator ? initiator.name : null,
+        yes: result.tally.yes,
+        no: result.tally.no,
+        required: result.tally.required,
+        duration: voteEngine.VOTE_DURATION,
+        deadline: timerResult.timer ? timerResult.timer.deadline : null,
+        serverTime: clock.now()
+      });
+
+      return { success: true, error: null };
+    },
+
+    /**
+     * Cast a ballot in the running vote
+     * @param {string} voterId - Player voting
+     * @param {string} voteId - Vote ID from vote_started
+     * @param {boolean} kick - True to kick, false to keep
+     * @returns {Object} { success: boolean, error: string|null }
+     */
+    castVote(voterId, voteId, kick) {
+      const room = getRoom();
+      if (!room) {
+        return { success: false, error: 'Room not found' };
+      }
+
+      const result = voteEngine.castVote(room, voterId, voteId, kick);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      applyTally(room, result.tally);
+      return { success: true, error: null };
+    },
+
+    /**
+     * Repair the running game after a player left the rotation
+     * Ends the game below 2 players or when nobody is left to draw in the last
+     * round, ends the turn if the drawer left, or ends it if the departure means
+     * everyone remaining has guessed;
+     * a running kick vote is recounted (or cancelled if it targeted the leaver)
+     * @param {string} playerId - ID of the player who left
+     * @param {number} removedIndex - Former index of the player in room.players
+     */
+    handlePlayerLeft(playerId, removedIndex) {
+      const room = getRoom();
+      if (!room) {
+        return;
+      }
+
+      // A vote against someone who is gone is moot; otherwise the majority shrank
+      const vote = voteEngine.getVote(room.id);
+      if (vote && vote.targetId === playerId) {
+        finishVote(room, 'cancelled');
+      } else if (vote) {
+        applyTally(room, voteEngine.getTally(room));
+      }
+
+      if (!room.game) {
+        return;
+      }
+
+      const turnInProgress = gameEngine.isTurnInProgress(room);
+      const result = gameEngine.removePlayerFromGame(room, playerId, removedIndex);
+      if (!result.success) {
+        return;
+      }
+
+      if (result.gameShouldEnd) {
+        // Finish the turn first so the word is revealed, then stop
+        if (turnInProgress) {
+          endRound(room, result.drawerLeft ? 'drawer_left' : 'not_enough_players', { forceGameEnd: true });
+        } else {
+          endGame(room, 'not_enough_players');
+        }
+        return;
+      }
+
+      if (!turnInProgress) {
+        // Between turns the leaver may have been the last one left to draw
+        if (room.game.phase === gameEngine.PHASES.ROUND_END && gameEngine.shouldEndGame(room)) {
+          clock.cancel(nextDrawerTimeoutId);
+          nextDrawerTimeoutId = null;
+          endGame(room, 'completed');
+        }
+        return;
+      }
+
+      if (result.drawerLeft) {
+        endRound(room, 'drawer_left');
+      } else if (room.game.phase === gameEngine.PHASES.DRAWING && guessEngine.allGuessersGuessed(room)) {
+        endRound(room, 'all_guessed');
+      }
+    },
+
+    /**
+     * Give a player who joined the running game the room's catch-up score
+     * @param {string} playerId - ID of the late joiner (already appended to the rotation)
+     */
+    handlePlayerJoinedMidGame(playerId) {
+      const room = getRoom();
+      if (!room) {
+        return;
+      }
+
+      playerManager.updatePlayerScore(
+        playerId,
+        scoreEngine.getCatchUpScore(room, playerId, playerManager.getPlayerById)
+      );
+
+      publish('leaderboard_update', {
+        leaderboard: scoreEngine.getLeaderboard(room, playerManager.getPlayerById)
+      });
+    },
+
+    /**
+     * Nobody can draw for a disconnected drawer - end the turn, keep the seat;
+     * a disconnected guesser may have been the last one still guessing
+     * @param {string} playerId - ID of the disconnected player
+     */
+    handlePlayerDisconnected(playerId) {
+      const room = getRoom();
+      if (!room || !gameEngine.isTurnInProgress(room)) {
+        return;
+      }
+
+      if (gameEngine.isCurrentDrawer(room, playerId)) {
+        endRound(room, 'drawer_left');
+      } else if (room.game.phase === gameEngine.PHASES.DRAWING && guessEngine.allGuessersGuessed(room)) {
+        // The only guesser still missing the word can't guess from the grace period
+        endRound(room, 'all_guessed');
+      }
+    },
+
+    /**
+     * Re-arm timers from a persisted deadline after a restart
+     * Deadlines that passed while the server was down fire almost immediately
+     * @param {Object|undefined} timer - Persisted { type, duration, deadline, paused, remainingMs }
+     */
+    resumeTimers(timer) {
+      const room = getRoom();
+      if (!room || !room.game || room.status !== gameEngine.ROOM_STATUS.IN_GAME) {
+        return;
+      }
+
+      let remaining;
+      if (timer && timer.paused) {
+        remaining = Math.max(1, Math.ceil(timer.remainingMs / 1000));
+      } else if (timer) {
+        remaining = Math.max(1, Math.ceil((timer.deadline - clock.now()) / 1000));
+      }
+
+      switch (room.game.phase) {
+        case gameEngine.PHASES.WORD_SELECT:
+          armWordSelectionTimer(room, remaining);
+          break;
+        case gameEngine.PHASES.DRAWING:
+          armDrawingTimer(room, remaining);
+          break;
+        case gameEngine.PHASES.ROUND_END:
+          scheduleNextDrawer();
+          break;
+        default:
+          break;
+      }
+
+      // A timer paused before the restart stays paused
+      if (timer && timer.paused) {
+        timerEngine.pauseTimer(room.id);
+      }
+
+      console.log(`[STORAGE] Resumed room: ${room.id} | Phase: ${room.game.phase} | Remaining: ${remaining || 'full'}`);
+    },
+
+    /**
+     * Snapshot of the room for one player (see buildSnapshot)
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Snapshot or null if room is gone
+     */
+    getSnapshot(playerId) {
+      const room = getRoom();
+      return room ? buildSnapshot(room, playerId) : null;
+    },
+
+    /**
+     * Stop everything this controller scheduled
+     * Called when the room is deleted
+     */
+    dispose() {
+      clock.cancel(nextDrawerTimeoutId);
+      nextDrawerTimeoutId = null;
+      timerEngine.stopTimer(roomId);
+      timerEngine.stopVoteTimer(roomId);
+      voteEngine.endVote(roomId);
+      drawingEngine.clearDrawingState(roomId);
+      scoreEngine.clearRoundScoring(roomId);
+      emitter.removeAllListeners();
+      controllers.delete(roomId);
+      phaseHandlers.delete(roomId);
+    }
+  };
+
+  controllers.set(roomId, controller);
+  phaseHandlers.set(roomId, {
+    enterWordSelection: enterWordSelection,
+    enterDrawing: enterDrawing,
+    phaseChanged: (room, from, to) => publish('phase_changed', {
+      from: from,
+      to: to,
+      game: serializeGameState(room)
+    })
+  });
+
+  return controller;
+}
+
+// =============================================================================
+// CONTROLLER ACCESS
+// =============================================================================
+
+/**
+ * Get the controller of a room
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} Controller or null if none exists
+ */
+function getController(roomId) {
+  return controllers.get(roomManager.normalizeRoomId(roomId)) || null;
+}
+
+/**
+ * Dispose and forget the controller of a room
+ * @param {string} roomId - Room ID
+ */
+function removeController(roomId) {
+  const controller = controllers.get(roomId);
+  if (controller) {
+    controller.dispose();
+  }
+}
+
+// =============================================================================
+// PHASE HOOKS
+// =============================================================================
+// gameEngine decides which phase changes are legal; controllers own the side effects
+
+gameEngine.onPhaseChange((room, from, to, context) => {
+  const handlers = phaseHandlers.get(room.id);
+  if (handlers) handlers.phaseChanged(room, from, to, context);
+});
+
+gameEngine.onPhaseEnter(gameEngine.PHASES.WORD_SELECT, (room, context) => {
+  const handlers = phaseHandlers.get(room.id);
+  if (handlers) handlers.enterWordSelection(room, context);
+});
+gameEngine.onPhaseExit(gameEngine.PHASES.WORD_SELECT, (room) => {
+  timerEngine.stopTimer(room.id);
+});
+
+gameEngine.onPhaseEnter(gameEngine.PHASES.DRAWING, (room, context) => {
+  const handlers = phaseHandlers.get(room.id);
+  if (handlers) handlers.enterDrawing(room, context);
+});
+gameEngine.onPhaseExit(gameEngine.PHASES.DRAWING, (room) => {
+  timerEngine.stopTimer(room.id);
+  drawingEngine.clearDrawingState(room.id);
+});
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  createGameController,
+  getController,
+  removeController,
+
+  // Serialization
+  serializeGameState,
+  buildSnapshot,
+
+  // Constants
+  AUDIENCE,
+  ROUND_END_DELAY
+};
@@ -6,6 +6,8 @@
 // This module handles game state transitions (NOT drawing or guessing logic)
 // =============================================================================
 
+const random = require('./random');
+
 // =============================================================================
 // GAME PHASE CONSTANTS
 // =============================================================================
@@ -24,6 +26,41 @@ const ROOM_STATUS = {
   FINISHED: 'finished'
 };
 
+// =============================================================================
+// PHASE STATE MACHINE
+// =============================================================================
+// Every phase change goes through transitionPhase: the table lists legal
+// targets, guards check preconditions, hooks let the transport layer react
+//
+//   IDLE ──► WORD_SELECT ──► DRAWING ──► ROUND_END ──► GAME_END
+//                ▲    └───────────────────► │
+//                └──────────────────────────┘
+
+// Map structure: fromPhase -> allowed target phases
+const TRANSITIONS = {
+  [PHASES.IDLE]: [PHASES.WORD_SELECT, PHASES.GAME_END],
+  [PHASES.WORD_SELECT]: [PHASES.DRAWING, PHASES.ROUND_END], // ROUND_END: drawer left or turn skipped
+  [PHASES.DRAWING]: [PHASES.ROUND_END],
+  [PHASES.ROUND_END]: [PHASES.WORD_SELECT, PHASES.GAME_END],
+  [PHASES.GAME_END]: []
+};
+
+// Map structure: targetPhase -> guard(room) returning an error string or null
+const GUARDS = {
+  [PHASES.WORD_SELECT]: (room) =>
+    room.players.includes(room.game.drawerId) ? null : 'Drawer is not in the room',
+  [PHASES.DRAWING]: (room) =>
+    room.game.selectedWord ? null : 'No word selected'
+};
+
+// Hooks registered by the orchestration layer
+// enter/exit: phase -> [hook(room, context)], change: [listener(room, from, to, context)]
+const phaseHooks = {
+  enter: {},
+  exit: {},
+  change: []
+};
+
 // =============================================================================
 // VALIDATION FUNCTIONS
 // =============================================================================
@@ -82,12 +119,15 @@ function hasActiveGame(room) {
  */
 function initializeGameState(room) {
   const game = {
-    phase: PHASES.WORD_SELECT,
+    phase: PHASES.IDLE, // First startRound moves to WORD_SELECT
     currentRound: 1,
     totalRounds: room.settings.rounds,
     drawerIndex: 0,
     drawerId: room.players[0], // First player is first drawer
-    guessedPlayers: [] // Will be used in guessing module
+    guessedPlayers: [], // Will be used in guessing module
+    paused: false, // Owner paused the turn clock
+    // Seeded games draw all their randomness from this state (see random.forRoom)
+    randomState: room.settings.seed ? random.seedState(room.settings.seed) : null
   };
 
   return game;
@@ -113,10 +153,16 @@ function startGame(room, playerId) {
   // Attach game to room
   room.game = game;
 
+  // Shuffle the rotation from the game's own random source so seeded games replay it
+  if (room.settings.drawerOrder === 'random') {
+    room.players = random.shuffle(room.players, random.forRoom(room));
+    game.drawerId = room.players[0];
+  }
+
   // Update room status to lock settings and indicate game is active
   room.status = ROOM_STATUS.IN_GAME;
 
-  console.log(`[GAME] Started in room: ${room.id} | Round: ${game.currentRound}/${game.totalRounds} | Drawer: ${game.drawerId}`);
+  console.log(`[GAME] Started in room: ${room.id} | Round: ${game.currentRound}/${game.totalRounds} | Drawer: ${game.drawerId} | Seed: ${room.settings.seed || 'none'}`);
 
   return { success: true, game: game, error: null };
 }
@@ -135,6 +181,13 @@ function getNextDrawer(room) {
   const game = room.game;
   const playerCount = room.players.length;
 
+  // Locate the drawer by ID so players added to (or removed from) the rotation
+  // since the last turn can't make the index skip or repeat anyone
+  const currentIndex = room.players.indexOf(game.drawerId);
+  if (currentIndex !== -1) {
+    game.drawerIndex = currentIndex;
+  }
+
   // Move to next player
   let nextIndex = game.drawerIndex + 1;
   let roundIncremented = false;
@@ -159,6 +212,156 @@ function getNextDrawer(room) {
   };
 }
 
+/**
+ * Keep the rotation consistent after a player was removed from room.players
+ * Must be called after the splice, with the index the player used to have
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - ID of the removed player
+ * @param {number} removedIndex - Former index of the player in room.players
+ * @returns {Object} { success: boolean, drawerLeft: boolean, gameShouldEnd: boolean, error: string|null }
+ */
+function removePlayerFromGame(room, playerId, removedIndex) {
+  const validation = hasActiveGame(room);
+  if (!validation.valid) {
+    return { success: false, drawerLeft: false, gameShouldEnd: false, error: validation.error };
+  }
+
+  const game = room.game;
+  const drawerLeft = game.drawerId === playerId;
+
+  if (drawerLeft) {
+    // Point at the previous seat so the player who slid into the drawer's slot draws next
+    // (-1 is fine: getNextDrawer moves to index 0 without starting a new round)
+    game.drawerIndex = removedIndex - 1;
+  } else if (removedIndex !== -1 && removedIndex < game.drawerIndex) {
+    // Everyone after the removed player shifted one seat left, including the drawer
+    game.drawerIndex--;
+  }
+
+  // A departed guesser must not count towards "everyone guessed"
+  game.guessedPlayers = (game.guessedPlayers || []).filter(id => id !== playerId);
+
+  const gameShouldEnd = room.players.length < 2;
+
+  console.log(`[GAME] Player removed from rotation: ${room.id} | Player: ${playerId} | Drawer left: ${drawerLeft} | Remaining: ${room.players.length}`);
+
+  return { success: true, drawerLeft: drawerLeft, gameShouldEnd: gameShouldEnd, error: null };
+}
+
+/**
+ * Check if the current turn is still being played (word selection or drawing)
+ * @param {Object} room - Room object
+ * @returns {boolean} True if a turn is in progress
+ */
+function isTurnInProgress(room) {
+  return Boolean(room.game) &&
+    room.status === ROOM_STATUS.IN_GAME &&
+    (room.game.phase === PHASES.WORD_SELECT || room.game.phase === PHASES.DRAWING);
+}
+
+// =============================================================================
+// OWNER CONTROLS
+// =============================================================================
+
+/**
+ * Check that a player may control the running game (owner, game active)
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+function canControlGame(room, playerId) {
+  const validation = hasActiveGame(room);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  if (room.ownerId !== playerId) {
+    return { valid: false, error: 'Only room owner can control the game' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Check if the game is paused
+ * @param {Object} room - Room object
+ * @returns {boolean} True if paused
+ */
+function isGamePaused(room) {
+  return Boolean(room.game && room.game.paused);
+}
+
+/**
+ * Pause the current turn (owner only)
+ * Only word selection and drawing have a clock to stop
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Player requesting the pause
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+function pauseGame(room, playerId) {
+  const validation = canControlGame(room, playerId);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  if (!isTurnInProgress(room)) {
+    return { success: false, error: 'Nothing to pause' };
+  }
+
+  if (isGamePaused(room)) {
+    return { success: false, error: 'Game is already paused' };
+  }
+
+  room.game.paused = true;
+
+  console.log(`[GAME] Paused: ${room.id} | Phase: ${room.game.phase}`);
+
+  return { success: true, error: null };
+}
+
+/**
+ * Resume a paused turn (owner only)
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Player requesting the resume
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+function resumeGame(room, playerId) {
+  const validation = canControlGame(room, playerId);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  if (!isGamePaused(room)) {
+    return { success: false, error: 'Game is not paused' };
+  }
+
+  room.game.paused = false;
+
+  console.log(`[GAME] Resumed: ${room.id} | Phase: ${room.game.phase}`);
+
+  return { success: true, error: null };
+}
+
+/**
+ * Check that the owner may skip the current turn
+ * Skipping is allowed while paused - the round end clears the pause
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Player requesting the skip
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+function canSkipTurn(room, playerId) {
+  const validation = canControlGame(room, playerId);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  if (!isTurnInProgress(room)) {
+    return { valid: false, error: 'No turn to skip' };
+  }
+
+  return { valid: true, error: null };
+}
+
 // =============================================================================
 // ROUND PROGRESSION
 // =============================================================================
@@ -180,11 +383,14 @@ function startRound(room) {
   // Reset guessed players for new round
   game.guessedPlayers = [];
 
-  // Set phase to word selection
-  game.phase = PHASES.WORD_SELECT;
-
   console.log(`[GAME] Round started: ${room.id} | Round: ${game.currentRound}/${game.totalRounds} | Drawer: ${game.drawerId}`);
 
+  // Enter word selection (entry hooks send word options and arm the timer)
+  const transition = transitionPhase(room, PHASES.WORD_SELECT);
+  if (!transition.success) {
+    return { success: false, game: null, error: transition.error };
+  }
+
   return { success: true, game: game, error: null };
 }
 
@@ -203,7 +409,13 @@ function endRound(room) {
   const game = room.game;
 
   // Set phase to round end for cleanup
-  game.phase = PHASES.ROUND_END;
+  const transition = transitionPhase(room, PHASES.ROUND_END);
+  if (!transition.success) {
+    return { success: false, nextPhase: null, gameEnded: false, error: transition.error };
+  }
+
+  // A pause only covers the turn it was called in
+  game.paused = false;
 
   console.log(`[GAME] Round ended: ${room.id} | Round: ${game.currentRound}/${game.totalRounds} | Drawer: ${game.drawerId}`);
 
@@ -222,18 +434,37 @@ function endRound(room) {
 
 /**
  * Progress to next drawer
- * Moves drawer rotation forward and starts new round if needed
+ * Moves drawer rotation forward; the caller starts the round with startRound
+ * Players who can't draw right now (e.g., disconnected) lose their turn
  * @param {Object} room - Room object with active game
+ * @param {Function} canDraw - Called with (playerId), false to pass over the player
  * @returns {Object} { success: boolean, drawerInfo: Object, roundChanged: boolean, error: string|null }
  */
-function progressToNextDrawer(room) {
+function progressToNextDrawer(room, canDraw = () => true) {
   const validation = hasActiveGame(room);
   if (!validation.valid) {
     return { success: false, drawerInfo: null, roundChanged: false, error: validation.error };
   }
 
-  // Get next drawer
-  const drawerInfo = getNextDrawer(room);
+  // Never wrap past the last round (e.g., the rotation shrank during the pause)
+  if (shouldEndGame(room) || room.game.currentRound > room.game.totalRounds) {
+    return { success: false, drawerInfo: null, roundChanged: false, error: 'All rounds have been played' };
+  }
+
+  // Get next drawer, passing over anyone who can't draw (at most one lap)
+  let drawerInfo = getNextDrawer(room);
+  let passed = 0;
+  while (!canDraw(drawerInfo.drawerId) && passed < room.players.length - 1 && !shouldEndGame(room)) {
+    console.log(`[GAME] Skipping drawer: ${room.id} | Player: ${drawerInfo.drawerId}`);
+    const next = getNextDrawer(room);
+    drawerInfo = { ...next, roundIncremented: drawerInfo.roundIncremented || next.roundIncremented };
+    passed++;
+  }
+
+  // Only unavailable players were left to draw in the last round
+  if (!canDraw(drawerInfo.drawerId) && shouldEndGame(room)) {
+    return { success: false, drawerInfo: null, roundChanged: false, error: 'All rounds have been played' };
+  }
 
   // Log drawer change
   if (drawerInfo.roundIncremented) {
@@ -241,9 +472,6 @@ function progressToNextDrawer(room) {
   }
   console.log(`[GAME] Next drawer: ${room.id} | Drawer: ${drawerInfo.drawerId}`);
 
-  // Start the new round
-  startRound(room);
-
   return {
     success: true,
     drawerInfo: drawerInfo,
@@ -272,7 +500,10 @@ function endGame(room) {
   const roundsPlayed = game.currentRound;
 
   // Set game phase to game end
-  game.phase = PHASES.GAME_END;
+  const transition = transitionPhase(room, PHASES.GAME_END);
+  if (!transition.success) {
+    return { success: false, roundsPlayed: 0, error: transition.error };
+  }
 
   // Update room status to finished
   room.status = ROOM_STATUS.FINISHED;
@@ -305,32 +536,88 @@ function resetGame(room) {
 // =============================================================================
 
 /**
- * Transition game phase
- * Validates and updates game phase
+ * Register a hook that runs after a phase is entered
+ * @param {string} phase - Phase from PHASES
+ * @param {Function} hook - Called with (room, context)
+ */
+function onPhaseEnter(phase, hook) {
+  (phaseHooks.enter[phase] = phaseHooks.enter[phase] || []).push(hook);
+}
+
+/**
+ * Register a hook that runs before a phase is left
+ * @param {string} phase - Phase from PHASES
+ * @param {Function} hook - Called with (room, context)
+ */
+function onPhaseExit(phase, hook) {
+  (phaseHooks.exit[phase] = phaseHooks.exit[phase] || []).push(hook);
+}
+
+/**
+ * Register a listener for every phase change (used to emit phase_changed)
+ * Runs after exit hooks and before entry hooks
+ * @param {Function} listener - Called with (room, fromPhase, toPhase, context)
+ */
+function onPhaseChange(listener) {
+  phaseHooks.change.push(listener);
+}
+
+/**
+ * Check if a transition is allowed by the table and its guard
  * @param {Object} room - Room object with active game
  * @param {string} newPhase - Target phase
- * @returns {Object} { success: boolean, error: string|null }
+ * @returns {Object} { valid: boolean, error: string|null }
  */
-function transitionPhase(room, newPhase) {
+function canTransition(room, newPhase) {
   const validation = hasActiveGame(room);
   if (!validation.valid) {
-    return { success: false, error: validation.error };
+    return validation;
+  }
+
+  const oldPhase = room.game.phase;
+  const allowed = TRANSITIONS[oldPhase] || [];
+  if (!allowed.includes(newPhase)) {
+    return { valid: false, error: `Illegal phase transition: ${oldPhase} → ${newPhase}` };
+  }
+
+  const guard = GUARDS[newPhase];
+  const guardError = guard ? guard(room) : null;
+  if (guardError) {
+    return { valid: false, error: guardError };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Transition game phase
+ * Rejects transitions missing from the table or failing a guard,
+ * then runs exit hooks, change listeners and entry hooks in that order
+ * @param {Object} room - Room object with active game
+ * @param {string} newPhase - Target phase
+ * @param {Object} context - Extra data passed to hooks (e.g., { autoSelected })
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+function transitionPhase(room, newPhase, context = {}) {
+  const check = canTransition(room, newPhase);
+  if (!check.valid) {
+    console.log(`[GAME] Phase transition rejected: ${room.id} | ${check.error}`);
+    return { success: false, error: check.error };
   }
 
   const game = room.game;
   const oldPhase = game.phase;
 
-  // Validate phase transition (basic validation)
-  const validPhases = Object.values(PHASES);
-  if (!validPhases.includes(newPhase)) {
-    return { success: false, error: `Invalid phase: ${newPhase}` };
-  }
+  (phaseHooks.exit[oldPhase] || []).forEach(hook => hook(room, context));
 
   // Update phase
   game.phase = newPhase;
 
   console.log(`[GAME] Phase transition: ${room.id} | ${oldPhase} → ${newPhase}`);
 
+  phaseHooks.change.forEach(listener => listener(room, oldPhase, newPhase, context));
+  (phaseHooks.enter[newPhase] || []).forEach(hook => hook(room, context));
+
   return { success: true, error: null };
 }
 
@@ -401,6 +688,7 @@ module.exports = {
   // Constants
   PHASES,
   ROOM_STATUS,
+  TRANSITIONS,
 
   // Game lifecycle
   startGame,
@@ -411,14 +699,26 @@ module.exports = {
   startRound,
   endRound,
   progressToNextDrawer,
+  removePlayerFromGame,
 
   // State transitions
   transitionPhase,
+  canTransition,
+  onPhaseEnter,
+  onPhaseExit,
+  onPhaseChange,
+
+  // Owner controls
+  pauseGame,
+  resumeGame,
+  canSkipTurn,
+  isGamePaused,
 
   // Validation
   canStartGame,
   hasActiveGame,
   shouldEndGame,
+  isTurnInProgress,
 
   // Utilities
   getCurrentDrawer,
@@ -8,6 +8,8 @@
 
 const gameEngine = require('./gameEngine');
 const wordEngine = require('./wordEngine');
+const textNormalizer = require('./textNormalizer');
+const playerManager = require('./players');
 
 // =============================================================================
 // CONFIGURATION CONSTANTS
@@ -19,34 +21,37 @@ const MIN_GUESS_LENGTH = 1;
 // Maximum guess length
 const MAX_GUESS_LENGTH = 50;
 
+// Default edit distance for a near miss when the room has no setting
+const DEFAULT_CLOSE_GUESS_THRESHOLD = 1;
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
 /**
  * Normalize guess for comparison
- * Lowercase, trim whitespace
+ * Same pipeline as the secret word: NFKC, trim, locale-aware lowercase,
+ * optionally without diacritics (see textNormalizer)
  * @param {string} guess - Raw guess from player
+ * @param {Object} options - { locale, ignoreDiacritics } (e.g., textNormalizer.getRoomOptions(room))
  * @returns {string} Normalized guess
  */
-function normalizeGuess(guess) {
-  if (!guess || typeof guess !== 'string') {
-    return '';
-  }
-  return guess.trim().toLowerCase();
+function normalizeGuess(guess, options = {}) {
+  return textNormalizer.normalizeText(guess, options);
 }
 
 /**
  * Validate guess format
  * @param {string} guess - Raw guess from player
+ * @param {Object} options - Normalization options (see normalizeGuess)
  * @returns {Object} { valid: boolean, normalized: string, error: string|null }
  */
-function validateGuessFormat(guess) {
+function validateGuessFormat(guess, options = {}) {
   if (!guess || typeof guess !== 'string') {
     return { valid: false, normalized: '', error: 'Guess must be a string' };
   }
   
-  const normalized = normalizeGuess(guess);
+  const normalized = normalizeGuess(guess, options);
   
   if (normalized.length < MIN_GUESS_LENGTH) {
     return { valid: false, normalized: '', error: 'Guess cannot be empty' };
@@ -59,6 +64,81 @@ function validateGuessFormat(guess) {
   return { valid: true, normalized: normalized, error: null };
 }
 
+/**
+ * Compute Levenshtein edit distance between two strings
+ * Single-row dynamic programming, O(a * b) time, O(b) memory
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  
+  // Compare code points so letters outside the BMP count as one edit
+  a = Array.from(a);
+  b = Array.from(b);
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+  
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + cost);
+      diagonal = above;
+    }
+  }
+  
+  return row[b.length];
+}
+
+/**
+ * Build comparison variants of a normalized word
+ * Covers missing spaces ("icecream") and plural/singular ("cats" vs "cat")
+ * @param {string} word - Normalized word
+ * @returns {Array} Unique variants including the word itself
+ */
+function getWordVariants(word) {
+  const variants = new Set([word]);
+  const compact = word.replace(/\s+/g, '');
+  variants.add(compact);
+  
+  [word, compact].forEach(variant => {
+    if (variant.endsWith('es') && variant.length > 3) {
+      variants.add(variant.slice(0, -2));
+    }
+    if (variant.endsWith('s') && variant.length > 2) {
+      variants.add(variant.slice(0, -1));
+    }
+  });
+  
+  return Array.from(variants);
+}
+
+/**
+ * Check if a wrong guess is a near miss of the word
+ * @param {string} normalizedGuess - Normalized guess
+ * @param {string} normalizedWord - Normalized secret word
+ * @param {number} threshold - Max edit distance to count as close (0 disables)
+ * @returns {boolean} True if guess is close but not correct
+ */
+function isCloseGuess(normalizedGuess, normalizedWord, threshold = DEFAULT_CLOSE_GUESS_THRESHOLD) {
+  if (!threshold || threshold <= 0 || normalizedGuess === normalizedWord) {
+    return false;
+  }
+  
+  const guessVariants = getWordVariants(normalizedGuess);
+  const wordVariants = getWordVariants(normalizedWord);
+  
+  return guessVariants.some(guessVariant =>
+    wordVariants.some(wordVariant => editDistance(guessVariant, wordVariant) <= threshold)
+  );
+}
+
 // =============================================================================
 // GUESS VALIDATION FUNCTIONS
 // =============================================================================
@@ -69,50 +149,69 @@ function validateGuessFormat(guess) {
  * @param {Object} room - Room object with active game
  * @param {string} playerId - Player ID submitting guess
  * @param {string} guess - Raw guess from player
- * @returns {Object} { success: boolean, isCorrect: boolean, error: string|null }
+ * @returns {Object} { success: boolean, isCorrect: boolean, isClose: boolean, error: string|null }
  */
 function validateGuess(room, playerId, guess) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
-    return { success: false, isCorrect: false, error: validation.error };
+    return { success: false, isCorrect: false, isClose: false, error: validation.error };
   }
   
   const game = room.game;
   
+  // Spectators only watch - they are not in the rotation or the scores
+  if (!room.players.includes(playerId)) {
+    return { success: false, isCorrect: false, isClose: false, error: 'Only players can guess' };
+  }
+  
   // Check if we're in drawing phase (guessing only happens during drawing)
   if (game.phase !== gameEngine.PHASES.DRAWING) {
-    return { success: false, isCorrect: false, error: 'Guessing is only allowed during drawing phase' };
+    return { success: false, isCorrect: false, isClose: false, error: 'Guessing is only allowed during drawing phase' };
+  }
+  
+  // The clock is stopped - nobody may score while paused
+  if (gameEngine.isGamePaused(room)) {
+    return { success: false, isCorrect: false, isClose: false, error: 'Game is paused' };
   }
   
   // Check if player is the drawer (drawer cannot guess)
   if (gameEngine.isCurrentDrawer(room, playerId)) {
-    return { success: false, isCorrect: false, error: 'Drawer cannot guess' };
+    return { success: false, isCorrect: false, isClose: false, error: 'Drawer cannot guess' };
   }
   
   // Check if player has already guessed correctly
   if (game.guessedPlayers && game.guessedPlayers.includes(playerId)) {
-    return { success: false, isCorrect: false, error: 'You have already guessed correctly' };
+    return { success: false, isCorrect: false, isClose: false, error: 'You have already guessed correctly' };
   }
   
+  // Guess and word go through the same room-specific normalization
+  const normalizeOptions = textNormalizer.getRoomOptions(room);
+  
   // Validate guess format
-  const formatValidation = validateGuessFormat(guess);
+  const formatValidation = validateGuessFormat(guess, normalizeOptions);
   if (!formatValidation.valid) {
-    return { success: false, isCorrect: false, error: formatValidation.error };
+    return { success: false, isCorrect: false, isClose: false, error: formatValidation.error };
   }
   
   // Get selected word (server-only)
   const selectedWord = wordEngine.getSelectedWord(room);
   if (!selectedWord) {
-    return { success: false, isCorrect: false, error: 'No word selected for this round' };
+    return { success: false, isCorrect: false, isClose: false, error: 'No word selected for this round' };
   }
   
-  // Compare guess with selected word (case-insensitive)
+  // Compare guess with selected word (case-insensitive, diacritics per room setting)
   const normalizedGuess = formatValidation.normalized;
-  const normalizedWord = wordEngine.normalizeWord(selectedWord);
+  const normalizedWord = wordEngine.normalizeWord(selectedWord, normalizeOptions);
   
   const isCorrect = normalizedGuess === normalizedWord;
   
+  // Near misses are reported privately to the guesser only
+  const threshold = typeof room.settings.closeGuessThreshold === 'number'
+    ? room.settings.closeGuessThreshold
+    : DEFAULT_CLOSE_GUESS_THRESHOLD;
+  const isClose = !isCorrect && isCloseGuess(normalizedGuess, normalizedWord, threshold);
+  
   if (isCorrect) {
     // Add player to guessed players list (prevents duplicate scoring)
     if (!game.guessedPlayers) {
@@ -123,7 +222,7 @@ function validateGuess(room, playerId, guess) {
     console.log(`[GUESS] Correct guess: ${room.id} | Round: ${game.currentRound} | Player: ${playerId} | Word: ${selectedWord}`);
   }
   
-  return { success: true, isCorrect: isCorrect, error: null };
+  return { success: true, isCorrect: isCorrect, isClose: isClose, error: null };
 }
 
 /**
@@ -163,21 +262,42 @@ function getGuessedPlayersCount(room) {
   return room.game.guessedPlayers.length;
 }
 
+/**
+ * Get the guessers that count for the current turn
+ * Players in their reconnect grace period can't guess, so they only count
+ * if they already guessed before dropping
+ * @param {Object} room - Room object with active game
+ * @returns {Array} Player IDs
+ */
+function getCountedGuessers(room) {
+  if (!room.game) {
+    return [];
+  }
+
+  const guessed = room.game.guessedPlayers || [];
+  return room.players.filter(playerId => {
+    if (playerId === room.game.drawerId) {
+      return false;
+    }
+    const player = playerManager.getPlayerById(playerId);
+    return (player !== null && player.connected !== false) || guessed.includes(playerId);
+  });
+}
+
 /**
  * Check if all guessers have guessed correctly
  * @param {Object} room - Room object with active game
- * @returns {boolean} True if all non-drawer players have guessed
+ * @returns {boolean} True if every connected non-drawer player has guessed
  */
 function allGuessersGuessed(room) {
   if (!room.game) {
     return false;
   }
   
-  const drawerId = room.game.drawerId;
-  const guessers = room.players.filter(playerId => playerId !== drawerId);
-  const guessedCount = getGuessedPlayersCount(room);
+  const guessed = room.game.guessedPlayers || [];
+  const guessers = getCountedGuessers(room);
   
-  return guessedCount >= guessers.length;
+  return guessers.length > 0 && guessers.every(playerId => guessed.includes(playerId));
 }
 
 /**
@@ -203,10 +323,13 @@ module.exports = {
   getGuessedPlayers,
   getGuessedPlayersCount,
   allGuessersGuessed,
+  getCountedGuessers,
   clearGuessedPlayers,
   
   // Utilities
   normalizeGuess,
-  validateGuessFormat
+  validateGuessFormat,
+  isCloseGuess,
+  editDistance
 };
 
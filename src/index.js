@@ -3,7 +3,7 @@
 // Real-time Multiplayer Drawing Game Backend
 // =============================================================================
 // Purpose: Initialize HTTP server with Socket.IO for real-time communication
-// This is a foundational module - game logic will be added in separate modules
+// Transport adapter only - game loops live in per-room GameControllers
 // =============================================================================
 
 const express = require('express');
@@ -12,11 +12,13 @@ const { Server } = require('socket.io');
 const playerManager = require('./players');
 const roomManager = require('./rooms');
 const gameEngine = require('./gameEngine');
-const wordEngine = require('./wordEngine');
-const timerEngine = require('./timerEngine');
+const gameController = require('./gameController');
 const drawingEngine = require('./drawingEngine');
-const guessEngine = require('./guessEngine');
-const scoreEngine = require('./scoreEngine');
+const wordPacks = require('./wordPacks');
+const scoringStrategies = require('./scoringStrategies');
+const persistence = require('./persistence');
+const cluster = require('./cluster');
+const clock = require('./clock');
 
 // =============================================================================
 // CONFIGURATION
@@ -39,19 +41,181 @@ const server = http.createServer(app);
 
 app.use(express.static('../frontend'));
 
+// Room browser: public rooms across the cluster that can take another player (?language=en to filter)
+app.get('/api/rooms', (req, res) => {
+  const language = typeof req.query.language === 'string' ? req.query.language : null;
+  res.json({ rooms: listClusterRooms(language) });
+});
+
+// HTTP status for each room error code
+const ERROR_STATUS = {
+  [roomManager.ERROR_CODES.NOT_FOUND]: 404,
+  [roomManager.ERROR_CODES.FORBIDDEN]: 403,
+  [roomManager.ERROR_CODES.LOCKED]: 409,
+  [roomManager.ERROR_CODES.INVALID]: 400
+};
+
+// Custom word import: a pasted blob as JSON ({ text }) or a text file sent as a
+// text/plain body, comma or newline separated. Owner only, authenticated with the
+// session token from `connected` (Authorization: Bearer <token>). ?replace=true
+// replaces the current list instead of appending to it
+app.post('/api/rooms/:roomId/custom-words',
+  express.json({ limit: '64kb' }),
+  express.text({ limit: '64kb' }),
+  (req, res) => {
+    const auth = req.get('authorization') || '';
+    const player = playerManager.getPlayerBySession(auth.replace(/^Bearer\s+/i, ''));
+    if (!player) {
+      res.status(401).json({ error: 'Invalid session token' });
+      return;
+    }
+
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.text;
+    if (typeof text !== 'string') {
+      res.status(400).json({ error: 'No words found' });
+      return;
+    }
+
+    const result = roomManager.importCustomWords(player.id, req.params.roomId, text, req.query.replace === 'true');
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+      return;
+    }
+
+    // Room is local (importCustomWords found it), so the usual broadcast reaches everyone
+    broadcastSettingsUpdate(roomManager.normalizeRoomId(req.params.roomId), result.settings);
+    res.json({ added: result.added, settings: roomManager.getPublicSettings(result.settings) });
+  });
+
 // =============================================================================
 // SOCKET.IO CONFIGURATION
 // =============================================================================
 
-// Attach Socket.IO to the HTTP server with CORS configuration
-// CORS is enabled to allow frontend connections from different origins
-const io = new Server(server, {
-  cors: {
-    origin: "*", // Allow all origins (suitable for development and flexible deployment)
-    methods: ["GET", "POST"], // Standard methods for WebSocket handshake
-    credentials: false // No credentials needed for this application
+// Socket.IO server in use - set by attachSocketServer()
+// The real server is created in startServer(); the test harness attaches a fake one
+let io = null;
+
+/**
+ * Create the Socket.IO server attached to the HTTP server
+ * CORS is enabled to allow frontend connections from different origins
+ * A networked cluster pub/sub also carries channel broadcasts between nodes
+ * @returns {Object} Socket.IO server
+ */
+function createSocketServer() {
+  const options = {
+    cors: {
+      origin: "*", // Allow all origins (suitable for development and flexible deployment)
+      methods: ["GET", "POST"], // Standard methods for WebSocket handshake
+      credentials: false // No credentials needed for this application
+    }
+  };
+  if (clusterNode.pubsub.createSocketAdapter) {
+    options.adapter = clusterNode.pubsub.createSocketAdapter();
   }
+  return new Server(server, options);
+}
+
+// =============================================================================
+// CLUSTER SETUP
+// =============================================================================
+
+// Rooms live on exactly one node; other nodes redirect clients to the owner
+// With the in-process pub/sub a single node behaves exactly like before;
+// CLUSTER_PUBSUB=redis (plus REDIS_URL) links nodes in separate processes
+const clusterNode = cluster.createClusterNode({
+  pubsub: cluster.createPubSub(process.env.CLUSTER_PUBSUB || 'inprocess')
 });
+roomManager.setRoomIdTakenCheck(roomId => clusterNode.isRoomKnown(roomId));
+
+// Every node's room browser lists the public rooms of the whole cluster
+clusterNode.setListingSource(() => roomManager.listPublicRooms());
+
+/**
+ * List public rooms on every node, each with the owning node's URL
+ * @param {string|null} language - Only rooms in this language (optional)
+ * @returns {Array} Room summaries, fullest first
+ */
+function listClusterRooms(language) {
+  return clusterNode.listRooms()
+    .filter(room => !language || room.language === language)
+    .sort((a, b) => b.playerCount - a.playerCount);
+}
+
+// Room bans also cover the banned player's session token
+roomManager.setIdentityLookup(playerManager.getIdentityKeys);
+
+// =============================================================================
+// SOCKET.IO ROOM CHANNELS
+// =============================================================================
+// Every socket in a game room joins the room channel plus one role channel:
+// "drawer" for the current drawer, "guessers" for everyone else
+// Broadcasts are then a single emit instead of a loop over room.players
+
+/**
+ * Get Socket.IO channel name for everyone in a room
+ * @param {string} roomId - Room ID
+ * @returns {string} Channel name
+ */
+function roomChannel(roomId) {
+  return `room:${roomId}`;
+}
+
+/**
+ * Get Socket.IO channel name for the guessers of a room
+ * @param {string} roomId - Room ID
+ * @returns {string} Channel name
+ */
+function guessersChannel(roomId) {
+  return `room:${roomId}:guessers`;
+}
+
+/**
+ * Get Socket.IO channel name for the drawer of a room
+ * @param {string} roomId - Room ID
+ * @returns {string} Channel name
+ */
+function drawerChannel(roomId) {
+  return `room:${roomId}:drawer`;
+}
+
+/**
+ * Put a player's socket in the room channel and the role channel matching the current drawer
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ */
+function joinRoomChannels(room, playerId) {
+  const player = playerManager.getPlayerById(playerId);
+  const socket = player && player.socketId ? io.sockets.sockets.get(player.socketId) : null;
+  if (!socket) return;
+
+  const isDrawer = Boolean(room.game) && room.game.drawerId === playerId;
+
+  socket.join(roomChannel(room.id));
+  socket.leave(isDrawer ? guessersChannel(room.id) : drawerChannel(room.id));
+  socket.join(isDrawer ? drawerChannel(room.id) : guessersChannel(room.id));
+}
+
+/**
+ * Remove a socket from all channels of a room
+ * @param {string} socketId - Socket ID (may already be disconnected)
+ * @param {string} roomId - Room ID
+ */
+function leaveRoomChannels(socketId, roomId) {
+  const socket = socketId ? io.sockets.sockets.get(socketId) : null;
+  if (!socket) return;
+
+  socket.leave(roomChannel(roomId));
+  socket.leave(guessersChannel(roomId));
+  socket.leave(drawerChannel(roomId));
+}
+
+/**
+ * Re-sort every socket of a room into drawer/guessers after the drawer changed
+ * @param {Object} room - Room object
+ */
+function syncRoleChannels(room) {
+  room.players.forEach(playerId => joinRoomChannels(room, playerId));
+}
 
 // =============================================================================
 // HELPER FUNCTIONS FOR SOCKET OPERATIONS
@@ -66,14 +230,10 @@ function broadcastRoomUpdate(roomId) {
   if (!room) return;
 
   const serialized = roomManager.serializeRoom(room, playerManager.getPlayerById);
+  io.to(roomChannel(roomId)).emit('room_updated', { room: serialized });
 
-  // Emit to all players in the room
-  room.players.forEach(playerId => {
-    const player = playerManager.getPlayerById(playerId);
-    if (player && player.socketId) {
-      io.to(player.socketId).emit('room_updated', { room: serialized });
-    }
-  });
+  // Player counts changed - keep the other nodes' room browsers current
+  clusterNode.publishListings();
 }
 
 /**
@@ -82,16 +242,8 @@ function broadcastRoomUpdate(roomId) {
  * @param {Object} settings - Updated settings object
  */
 function broadcastSettingsUpdate(roomId, settings) {
-  const room = roomManager.getRoom(roomId);
-  if (!room) return;
-
-  // Emit to all players in the room
-  room.players.forEach(playerId => {
-    const player = playerManager.getPlayerById(playerId);
-    if (player && player.socketId) {
-      io.to(player.socketId).emit('room_settings_updated', { settings });
-    }
-  });
+  io.to(roomChannel(roomId)).emit('room_settings_updated', { settings: roomManager.getPublicSettings(settings) });
+  clusterNode.publishListings();
 }
 
 /**
@@ -101,11 +253,17 @@ function broadcastSettingsUpdate(roomId, settings) {
  * @param {Object} payload - Event payload
  */
 function broadcastToRoom(roomId, eventName, payload) {
-  const room = roomManager.getRoom(roomId);
-  if (!room) return;
+  io.to(roomChannel(roomId)).emit(eventName, payload);
+}
 
-  // Emit to all players in the room
-  room.players.forEach(playerId => {
+/**
+ * Emit an event to a specific set of players
+ * @param {Array} playerIds - Player IDs to emit to
+ * @param {string} eventName - Event name to emit
+ * @param {Object} payload - Event payload
+ */
+function emitToPlayers(playerIds, eventName, payload) {
+  playerIds.forEach(playerId => {
     const player = playerManager.getPlayerById(playerId);
     if (player && player.socketId) {
       io.to(player.socketId).emit(eventName, payload);
@@ -113,46 +271,357 @@ function broadcastToRoom(roomId, eventName, payload) {
   });
 }
 
+// Controller events after which a room's room browser listing changes
+const LISTING_EVENTS = ['game_started', 'game_ended', 'game_reset'];
+
 /**
- * Serialize game state for client (never includes selectedWord)
- * @param {Object} room - Room object with game
- * @returns {Object|null} Serialized game state or null
+ * Create a room's game controller and deliver its domain events over Socket.IO
+ * @param {string} roomId - Room ID
+ * @returns {Object} Controller
  */
-function serializeGameState(room) {
-  if (!room.game) {
+function attachGameController(roomId) {
+  const controller = gameController.createGameController(roomId);
+
+  controller.on('event', ({ name, payload, audience }) => {
+    deliverGameEvent(roomId, name, payload, audience);
+
+    // Started and finished games change what the room browser lists
+    if (LISTING_EVENTS.includes(name)) {
+      clusterNode.publishListings();
+    }
+  });
+
+  controller.on('roles_changed', () => {
+    const room = roomManager.getRoom(roomId);
+    if (room) syncRoleChannels(room);
+  });
+
+  controller.on('kick_requested', ({ playerId, reason }) => {
+    kickFromRoom(roomId, playerId, reason);
+  });
+
+  return controller;
+}
+
+/**
+ * Map a controller audience onto Socket.IO channels or player sockets
+ * @param {string} roomId - Room ID
+ * @param {string} eventName - Event name to emit
+ * @param {Object} payload - Event payload
+ * @param {Object} audience - { type, playerId?, playerIds? } from gameController.AUDIENCE
+ */
+function deliverGameEvent(roomId, eventName, payload, audience) {
+  switch (audience.type) {
+    case gameController.AUDIENCE.DRAWER:
+      io.to(drawerChannel(roomId)).emit(eventName, payload);
+      break;
+    case gameController.AUDIENCE.GUESSERS:
+      io.to(guessersChannel(roomId)).emit(eventName, payload);
+      break;
+    case gameController.AUDIENCE.PLAYER:
+      emitToPlayers([audience.playerId], eventName, payload);
+      break;
+    case gameController.AUDIENCE.PLAYERS:
+      emitToPlayers(audience.playerIds, eventName, payload);
+      break;
+    default:
+      broadcastToRoom(roomId, eventName, payload);
+      break;
+  }
+}
+
+/**
+ * Get the controller of the room a player is in
+ * @param {Object} player - Player object
+ * @returns {Object|null} Controller or null if not in a room
+ */
+function getPlayerController(player) {
+  return player && player.roomId ? gameController.getController(player.roomId) : null;
+}
+
+/**
+ * Remove a player from their room and notify remaining players
+ * Shared by explicit leave, expired reconnect grace period and disconnect outside a room
+ * @param {Object} player - Player object
+ * @returns {Object|null} leaveRoom result or null if player was not in a room
+ */
+function removePlayerFromRoom(player) {
+  if (!player.roomId) {
     return null;
   }
 
-  const game = room.game;
-  return {
-    phase: game.phase,
-    currentRound: game.currentRound,
-    totalRounds: game.totalRounds,
-    drawerId: game.drawerId,
-    drawerIndex: game.drawerIndex,
-    guessedPlayers: game.guessedPlayers || [],
-    maskedWord: game.maskedWord || null
-    // selectedWord is intentionally excluded - server-only
-  };
+  const roomId = player.roomId;
+  const result = roomManager.leaveRoom(player.id, roomId);
+
+  if (result.success) {
+    playerManager.updatePlayerRoom(player.id, null);
+    leaveRoomChannels(player.socketId, roomId);
+
+    if (result.deleted) {
+      // Nobody left to play - stop the game's timers and round state
+      gameController.removeController(roomId);
+
+      // Free the room ID across the cluster
+      clusterNode.releaseRoom(roomId);
+
+      // Spectators can't stay in a room without players
+      result.evictedSpectators.forEach(spectatorId => {
+        const spectator = playerManager.getPlayerById(spectatorId);
+        if (!spectator) return;
+
+        playerManager.updatePlayerRoom(spectatorId, null);
+        leaveRoomChannels(spectator.socketId, roomId);
+        if (spectator.socketId) {
+          io.to(spectator.socketId).emit('room_left', { roomId: roomId, reason: 'room_closed' });
+        }
+      });
+    } else {
+      // Room still exists, broadcast update to remaining players
+      broadcastRoomUpdate(roomId);
+
+      const controller = gameController.getController(roomId);
+      if (controller && result.removedIndex !== -1) {
+        controller.handlePlayerLeft(player.id, result.removedIndex);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create a room owned by a player and put their socket in it
+ * @param {Object} socket - Client socket
+ * @param {Object} player - Player object (not in a room)
+ * @param {Object|null} settings - Room settings from client
+ * @returns {boolean} True if the room was created
+ */
+function createRoomForPlayer(socket, player, settings) {
+  // Create room
+  const result = roomManager.createRoom(player.id, settings);
+
+  if (!result.success) {
+    socket.emit('room_error', { error: result.error });
+    return false;
+  }
+
+  // Update player's roomId
+  playerManager.updatePlayerRoom(player.id, result.room.id);
+
+  // Register this node as the room's owner
+  clusterNode.claimRoom(result.room.id);
+  clusterNode.publishListings();
+  attachGameController(result.room.id);
+  joinRoomChannels(result.room, player.id);
+
+  // Serialize room data for client
+  const serialized = roomManager.serializeRoom(result.room, playerManager.getPlayerById);
+
+  // Send confirmation to creator
+  socket.emit('room_created', {
+    roomId: result.room.id,
+    room: serialized
+  });
+  return true;
+}
+
+/**
+ * Join a player to a local room and bring their client up to date
+ * @param {Object} socket - Client socket
+ * @param {Object} player - Player object (not in a room)
+ * @param {string} roomId - Room ID
+ * @returns {boolean} True if the player joined
+ */
+function joinRoomForPlayer(socket, player, roomId) {
+  // Join room
+  const result = roomManager.joinRoom(player.id, roomId);
+
+  if (!result.success) {
+    socket.emit('room_error', { error: result.error });
+    return false;
+  }
+
+  // Update player's roomId
+  playerManager.updatePlayerRoom(player.id, result.room.id);
+  joinRoomChannels(result.room, player.id);
+
+  if (result.midGame) {
+    const room = result.room;
+    const controller = gameController.getController(room.id);
+
+    // Late joiner starts from the room's catch-up score instead of a stale total
+    controller.handlePlayerJoinedMidGame(player.id);
+
+    // Full snapshot so the late joiner lands in the running game: phase, hint, remaining time
+    socket.emit('room_joined', { ...controller.getSnapshot(player.id), midGame: true });
+
+    if (room.game && room.game.phase === gameEngine.PHASES.DRAWING) {
+      socket.emit('canvas_state', drawingEngine.getCanvasState(room.id));
+    }
+
+    broadcastRoomUpdate(room.id);
+    return true;
+  }
+
+  // Serialize room data for client
+  const serialized = roomManager.serializeRoom(result.room, playerManager.getPlayerById);
+
+  // Send confirmation to joining player
+  socket.emit('room_joined', { room: serialized });
+
+  // Broadcast room update to all players in room
+  broadcastRoomUpdate(result.room.id);
+  return true;
+}
+
+/**
+ * Remove a player or spectator from a room on someone else's behalf
+ * Everyone (the target included) hears why before the target is removed
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - ID of player to remove
+ * @param {string} reason - 'kicked' | 'banned' | 'vote_kicked'
+ */
+function kickFromRoom(roomId, playerId, reason) {
+  const target = playerManager.getPlayerById(playerId);
+  if (!target) {
+    return;
+  }
+
+  broadcastToRoom(roomId, 'player_kicked', {
+    playerId: target.id,
+    playerName: target.name,
+    reason: reason
+  });
+
+  const socketId = target.socketId;
+  const result = removePlayerFromRoom(target);
+
+  if (result && result.success && socketId) {
+    io.to(socketId).emit('room_left', { roomId: roomId, reason: reason });
+  }
+}
+
+/**
+ * Run a command on the controller of the sender's room
+ * Failures go back to the sender as game_error
+ * @param {Object} socket - Client socket
+ * @param {Function} command - Called with (controller, player), returns { success, error }
+ */
+function runGameCommand(socket, command) {
+  const player = playerManager.getPlayer(socket.id);
+  if (!player) {
+    socket.emit('game_error', { error: 'Player not found' });
+    return;
+  }
+
+  if (!player.roomId) {
+    socket.emit('game_error', { error: 'Not in a room' });
+    return;
+  }
+
+  const controller = getPlayerController(player);
+  if (!controller) {
+    socket.emit('game_error', { error: 'Room not found' });
+    return;
+  }
+
+  const result = command(controller, player);
+  if (!result.success) {
+    socket.emit('game_error', { error: result.error });
+  }
+}
+
+/**
+ * Redirect a client to the node that owns a room, if it is not this one
+ * @param {Object} socket - Client socket
+ * @param {string} roomId - Requested room ID
+ * @returns {boolean} True if the client was redirected
+ */
+function redirectIfRemote(socket, roomId) {
+  const normalizedRoomId = roomManager.normalizeRoomId(roomId);
+  if (roomManager.getRoom(normalizedRoomId)) {
+    return false;
+  }
+
+  const owner = clusterNode.getRoomOwner(normalizedRoomId);
+  if (!owner || owner.isLocal) {
+    return false;
+  }
+
+  console.log(`[CLUSTER] Redirecting ${socket.id} to node ${owner.nodeId} for room ${normalizedRoomId}`);
+  socket.emit('room_redirect', {
+    roomId: normalizedRoomId,
+    nodeId: owner.nodeId,
+    url: owner.url
+  });
+  return true;
+}
+
+/**
+ * Finally remove a player whose reconnect grace period ran out
+ * @param {Object} player - Player object
+ */
+function handleGraceExpired(player) {
+  removePlayerFromRoom(player);
+  playerManager.removePlayerById(player.id);
+}
+
+// =============================================================================
+// STATE RESTORE
+// =============================================================================
+
+/**
+ * Restore persisted state and re-arm timers, then start periodic snapshots
+ */
+function restorePersistedState() {
+  const result = persistence.restoreSnapshot(handleGraceExpired);
+  if (result.restored) {
+    roomManager.getAllRooms().forEach(room => {
+      attachGameController(room.id).resumeTimers(result.timers[room.id]);
+    });
+  }
+  persistence.startAutoSave();
 }
 
 // =============================================================================
 // SOCKET CONNECTION HANDLERS
 // =============================================================================
 
-// Listen for new socket connections on the default namespace '/'
-io.on('connection', (socket) => {
+/**
+ * Use a Socket.IO server (or a compatible fake) for all client traffic
+ * @param {Object} socketServer - Object with on('connection'), to(), sockets.sockets
+ */
+function attachSocketServer(socketServer) {
+  io = socketServer;
+  io.on('connection', handleConnection);
+}
+
+/**
+ * Wire up all event handlers for a newly connected client
+ * @param {Object} socket - Client socket
+ */
+function handleConnection(socket) {
   // Log successful connection with socket ID for debugging/monitoring
   console.log(`[CONNECT] Socket connected: ${socket.id}`);
 
   // Create player identity and store in memory
   const player = playerManager.createPlayer(socket.id);
 
+  // Sticky routing: the load balancer routes by ?roomId=, but send the client on if it landed here wrongly
+  const requestedRoomId = socket.handshake.query && socket.handshake.query.roomId;
+  if (typeof requestedRoomId === 'string' && requestedRoomId) {
+    redirectIfRemote(socket, requestedRoomId);
+  }
+
   // Send confirmation event back to client with connection details
   // This allows the client to confirm successful connection and store socket ID
+  // sessionToken is secret: the client stores it and sends it in resume_session after a drop
   socket.emit('connected', {
     socketId: socket.id,
-    status: 'ok'
+    status: 'ok',
+    playerId: player.id,
+    sessionToken: player.sessionToken,
+    reconnectGracePeriod: playerManager.RECONNECT_GRACE_PERIOD
   });
 
   // Send initial player data to client
@@ -196,6 +665,90 @@ io.on('connection', (socket) => {
     }
   });
 
+  // =============================================================================
+  // SESSION RESUME HANDLER
+  // =============================================================================
+
+  // Rebind this socket to an existing player after a dropped connection
+  socket.on('resume_session', (payload) => {
+    if (!payload || typeof payload !== 'object' || typeof payload.sessionToken !== 'string') {
+      socket.emit('session_error', { error: 'Invalid session token' });
+      return;
+    }
+
+    // The fresh player created for this socket must not have joined anything yet
+    const freshPlayer = playerManager.getPlayer(socket.id);
+    if (freshPlayer && freshPlayer.sessionToken === payload.sessionToken) {
+      socket.emit('session_error', { error: 'Session already active on this connection' });
+      return;
+    }
+    if (freshPlayer && freshPlayer.roomId) {
+      socket.emit('session_error', { error: 'Cannot resume a session while in a room' });
+      return;
+    }
+
+    const result = playerManager.resumeSession(payload.sessionToken, socket.id);
+    if (!result.success) {
+      socket.emit('session_error', { error: result.error });
+      return;
+    }
+
+    // Discard the placeholder player created on connect
+    if (freshPlayer) {
+      playerManager.removePlayerById(freshPlayer.id);
+    }
+
+    // Drop the stale socket if the server had not noticed it die yet
+    if (result.previousSocketId && result.previousSocketId !== socket.id) {
+      const staleSocket = io.sockets.sockets.get(result.previousSocketId);
+      if (staleSocket) {
+        staleSocket.disconnect(true);
+      }
+    }
+
+    const resumed = result.player;
+    const room = resumed.roomId ? roomManager.getRoom(resumed.roomId) : null;
+
+    socket.emit('session_resumed', {
+      player: { id: resumed.id, name: resumed.name },
+      sessionToken: resumed.sessionToken,
+      ...(room ? gameController.buildSnapshot(room, resumed.id) : { room: null, game: null, timer: null })
+    });
+
+    if (room) {
+      // The new socket takes over the player's channels
+      joinRoomChannels(room, resumed.id);
+
+      // Replay the canvas so the resumed player doesn't see a blank board
+      if (room.game && room.game.phase === gameEngine.PHASES.DRAWING) {
+        socket.emit('canvas_state', drawingEngine.getCanvasState(room.id));
+      }
+
+      // Let the rest of the room know the player is back
+      broadcastRoomUpdate(room.id);
+    }
+  });
+
+  // =============================================================================
+  // WORD PACK LIST HANDLER
+  // =============================================================================
+
+  // Send available word packs so the owner can pick them in room settings
+  socket.on('list_word_packs', () => {
+    socket.emit('word_packs', { packs: wordPacks.listPacks() });
+  });
+
+  // Send available scoring strategies for the room settings screen
+  socket.on('list_scoring_strategies', () => {
+    socket.emit('scoring_strategies', { strategies: scoringStrategies.listStrategies() });
+  });
+
+  // Public rooms for the room browser: { language } filters by language
+  socket.on('list_public_rooms', (payload) => {
+    const language = payload && typeof payload.language === 'string' ? payload.language : null;
+    socket.emit('public_rooms', { rooms: listClusterRooms(language) });
+  });
+
   // =============================================================================
   // ROOM CREATION HANDLER
   // =============================================================================
@@ -217,24 +770,7 @@ io.on('connection', (socket) => {
     // Validate payload
     const settings = payload && typeof payload === 'object' ? payload.settings : null;
 
-    // Create room
-    const result = roomManager.createRoom(player.id, settings);
-
-    if (result.success) {
-      // Update player's roomId
-      playerManager.updatePlayerRoom(player.id, result.room.id);
-
-      // Serialize room data for client
-      const serialized = roomManager.serializeRoom(result.room, playerManager.getPlayerById);
-
-      // Send confirmation to creator
-      socket.emit('room_created', {
-        roomId: result.room.id,
-        room: serialized
-      });
-    } else {
-      socket.emit('room_error', { error: result.error });
-    }
+    createRoomForPlayer(socket, player, settings);
   });
 
   // =============================================================================
@@ -255,32 +791,129 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Validate payload
+    // Validate payload
+    if (!payload || typeof payload !== 'object' || !payload.roomId) {
+      socket.emit('room_error', { error: 'Invalid room ID' });
+      return;
+    }
+
+    const { roomId } = payload;
+
+    // Room lives on another node - send the client there
+    if (redirectIfRemote(socket, roomId)) {
+      return;
+    }
+
+    joinRoomForPlayer(socket, player, roomId);
+  });
+
+  // =============================================================================
+  // QUICK MATCH HANDLER
+  // =============================================================================
+
+  /**
+   * Join the best-fitting public waiting room, or open a new public room
+   * payload: { language, settings } - settings are used only if a room is created
+   */
+  socket.on('quick_match', (payload) => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player) {
+      socket.emit('room_error', { error: 'Player not found' });
+      return;
+    }
+
+    if (roomManager.getRoomByPlayer(player.id)) {
+      socket.emit('room_error', { error: 'Already in a room' });
+      return;
+    }
+
+    const options = payload && typeof payload === 'object' ? payload : {};
+    const language = typeof options.language === 'string' ? options.language : null;
+
+    const room = roomManager.findQuickMatchRoom(player.id, { language });
+    if (room) {
+      joinRoomForPlayer(socket, player, room.id);
+      return;
+    }
+
+    const settings = options.settings && typeof options.settings === 'object' ? { ...options.settings } : {};
+
+    // New room should be found by the next player asking for the same language
+    // (a language without word packs only filters; the new room keeps the default)
+    if (language && typeof settings.language !== 'string' && wordPacks.listLanguages().includes(language)) {
+      settings.language = language;
+    }
+
+    createRoomForPlayer(socket, player, { ...settings, visibility: 'public' });
+  });
+
+  // =============================================================================
+  // SPECTATOR HANDLERS
+  // =============================================================================
+
+  // Watch a room without entering the rotation - works while a game is running
+  socket.on('spectate_room', (payload) => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player) {
+      socket.emit('room_error', { error: 'Player not found' });
+      return;
+    }
+
+    if (roomManager.getRoomByPlayer(player.id)) {
+      socket.emit('room_error', { error: 'Already in a room' });
+      return;
+    }
+
     if (!payload || typeof payload !== 'object' || !payload.roomId) {
       socket.emit('room_error', { error: 'Invalid room ID' });
       return;
     }
 
-    const { roomId } = payload;
+    if (redirectIfRemote(socket, payload.roomId)) {
+      return;
+    }
+
+    const result = roomManager.spectateRoom(player.id, payload.roomId);
+    if (!result.success) {
+      socket.emit('room_error', { error: result.error });
+      return;
+    }
 
-    // Join room
-    const result = roomManager.joinRoom(player.id, roomId);
+    const room = result.room;
+    playerManager.updatePlayerRoom(player.id, room.id);
+    joinRoomChannels(room, player.id);
 
-    if (result.success) {
-      // Update player's roomId
-      playerManager.updatePlayerRoom(player.id, result.room.id);
+    // Same catch-up view a resuming guesser gets: game, timer, leaderboard, hint
+    socket.emit('room_spectating', gameController.buildSnapshot(room, player.id));
 
-      // Serialize room data for client
-      const serialized = roomManager.serializeRoom(result.room, playerManager.getPlayerById);
+    if (room.game && room.game.phase === gameEngine.PHASES.DRAWING) {
+      socket.emit('canvas_state', drawingEngine.getCanvasState(room.id));
+    }
 
-      // Send confirmation to joining player
-      socket.emit('room_joined', { room: serialized });
+    broadcastRoomUpdate(room.id);
+  });
 
-      // Broadcast room update to all players in room
-      broadcastRoomUpdate(result.room.id);
-    } else {
+  // Owner moves a spectator into the player list between games
+  socket.on('promote_spectator', (payload) => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player || !player.roomId) {
+      socket.emit('room_error', { error: 'Not in a room' });
+      return;
+    }
+
+    if (!payload || typeof payload !== 'object' || typeof payload.playerId !== 'string') {
+      socket.emit('room_error', { error: 'Invalid spectator ID' });
+      return;
+    }
+
+    const result = roomManager.promoteSpectator(player.id, player.roomId, payload.playerId);
+    if (!result.success) {
       socket.emit('room_error', { error: result.error });
+      return;
     }
+
+    broadcastToRoom(result.room.id, 'spectator_promoted', { playerId: payload.playerId });
+    broadcastRoomUpdate(result.room.id);
   });
 
   // =============================================================================
@@ -301,20 +934,10 @@ io.on('connection', (socket) => {
     const roomId = player.roomId;
 
     // Leave room
-    const result = roomManager.leaveRoom(player.id, roomId);
+    const result = removePlayerFromRoom(player);
 
-    if (result.success) {
-      // Update player's roomId to null
-      playerManager.updatePlayerRoom(player.id, null);
-
-      if (result.deleted) {
-        // Room was deleted (empty)
-        socket.emit('room_left', { roomId: roomId });
-      } else {
-        // Room still exists, broadcast update to remaining players
-        socket.emit('room_left', { roomId: roomId });
-        broadcastRoomUpdate(roomId);
-      }
+    if (result && result.success) {
+      socket.emit('room_left', { roomId: roomId });
     }
   });
 
@@ -372,38 +995,16 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Get room
-    const room = roomManager.getRoom(player.roomId);
-    if (!room) {
+    const controller = getPlayerController(player);
+    if (!controller) {
       socket.emit('game_error', { error: 'Room not found' });
       return;
     }
 
     console.log(`[SOCKET] start_game from socket ${socket.id}`);
-    // Start game
-    const result = gameEngine.startGame(room, player.id);
-
-    if (result.success) {
-      // Reset player scores for new game
-      playerManager.resetPlayerScores(room.players);
-
-      // Serialize latest room state (status will now be "in_game")
-      const serializedRoom = roomManager.serializeRoom(
-        room,
-        playerManager.getPlayerById
-      );
-
-      console.log(`[GAME] Emitting game_started | room=${room.id} | drawer=${room.game.drawerId}`);
-      // Broadcast game started with both game + room so clients stay in sync
-      broadcastToRoom(room.id, 'game_started', {
-        game: serializeGameState(room),
-        room: serializedRoom,
-        players: serializedRoom.players
-      });
-      
-      // Start first round
-      startRoundForRoom(room);
-    } else {
+    // Start game (controller broadcasts game_started and runs the first round)
+    const result = controller.startGame(player.id);
+    if (!result.success) {
       // Send error back to requesting client
       socket.emit('game_error', { error: result.error });
     }
@@ -413,85 +1014,6 @@ io.on('connection', (socket) => {
   // WORD SELECTION HANDLERS (MODULE 6)
   // =============================================================================
 
-  /**
-   * Start round and handle word selection
-   * Called when game starts or round progresses
-   */
-  function startRoundForRoom(room) {
-    const result = gameEngine.startRound(room);
-    if (!result.success) {
-      console.error(`[GAME] Failed to start round: ${room.id} | Error: ${result.error}`);
-      return;
-    }
-
-    // Initialize round start time for scoring
-    const roundStartTime = Date.now();
-    scoreEngine.initializeRoundStartTime(room, roundStartTime);
-    room.game.roundStartTime = roundStartTime; // Store for scoring calculations
-
-    console.log(`[GAME] Round start | room=${room.id} | round=${room.game.currentRound} | drawer=${room.game.drawerId}`);
-    // Generate word options for drawer
-    const wordOptionsResult = wordEngine.generateOptionsForDrawer(room);
-    if (!wordOptionsResult.success) {
-      console.error(`[WORD] Failed to generate options: ${room.id} | Error: ${wordOptionsResult.error}`);
-      return;
-    }
-
-    const drawerId = room.game.drawerId;
-    const drawer = playerManager.getPlayerById(drawerId);
-    
-    // Send word options to drawer only
-    if (drawer && drawer.socketId) {
-      console.log(
-        `[WORD] Emitting word_options to drawer socket=${drawer.socketId} | room=${room.id} | options=${JSON.stringify(
-          wordOptionsResult.options
-        )}`
-      );
-      io.to(drawer.socketId).emit('word_options', {
-        game: serializeGameState(room),
-        options: wordOptionsResult.options,
-        timeout: wordEngine.WORD_SELECTION_TIMEOUT
-      });
-    }
-
-    // Broadcast round start to all players
-    console.log(`[GAME] Emitting round_started to room=${room.id}`);
-    broadcastToRoom(room.id, 'round_started', {
-      game: serializeGameState(room),
-      drawerId: drawerId
-    });
-
-    // Start word selection timer
-    timerEngine.startWordSelectionTimer(
-      room,
-      (roomId, remaining) => {
-        // Timer tick - broadcast to room
-        broadcastToRoom(roomId, 'timer_tick', {
-          remaining: remaining,
-          type: 'word_selection'
-        });
-      },
-      (roomId) => {
-        // Timer timeout - auto-select word
-        const room = roomManager.getRoom(roomId);
-        if (!room) return;
-
-        const autoSelectResult = wordEngine.autoSelectWord(room);
-        if (autoSelectResult.success) {
-          // Broadcast word selected (include game state so frontend can update drawer)
-          broadcastToRoom(roomId, 'word_selected', {
-            game: serializeGameState(room),
-            maskedWord: autoSelectResult.maskedWord,
-            autoSelected: true
-          });
-
-          // Start drawing phase
-          startDrawingPhase(room);
-        }
-      }
-    );
-  }
-
   /**
    * Handle word selection from drawer
    */
@@ -508,8 +1030,8 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const room = roomManager.getRoom(player.roomId);
-    if (!room) {
+    const controller = getPlayerController(player);
+    if (!controller) {
       socket.emit('game_error', { error: 'Room not found' });
       return;
     }
@@ -520,221 +1042,19 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const { word } = payload;
-
-    // Select word
-    const result = wordEngine.selectWord(room, player.id, word);
-    if (result.success) {
-      // Stop word selection timer
-      timerEngine.stopTimer(room.id);
-
-      console.log(
-        `[WORD] Emitting word_selected | room=${room.id} | maskedWord=${result.maskedWord}`
-      );
-      // Broadcast word selected to room (include game state so frontend can update drawer)
-      broadcastToRoom(room.id, 'word_selected', {
-        game: serializeGameState(room),
-        maskedWord: result.maskedWord,
-        autoSelected: false
-      });
-
-      // Start drawing phase
-      startDrawingPhase(room);
-    } else {
+    // Select word, then enter DRAWING (hooks stop the selection timer and announce the word)
+    const result = controller.selectWord(player.id, payload.word);
+    if (!result.success) {
       socket.emit('game_error', { error: result.error });
     }
   });
 
   /**
-   * Start drawing phase
-   */
-  function startDrawingPhase(room) {
-    // Initialize round start time if missing
-    if (!room.game.roundStartTime) {
-      scoreEngine.initializeRoundStartTime(room, Date.now());
-    }
-  
-    // Clear drawing state
-    drawingEngine.clearDrawingState(room.id);
-  
-    const maskedWord = wordEngine.getMaskedWord(room);
-    const drawerId = room.game.drawerId;
-  
-    console.log(
-      `[DRAW] Starting drawing phase | room=${room.id} | drawer=${drawerId} | maskedWord=${maskedWord}`
-    );
-  
-    // Broadcast drawing phase started
-    room.players.forEach(playerId => {
-      const player = playerManager.getPlayerById(playerId);
-      if (!player || !player.socketId) return;
-  
-      if (playerId === drawerId) {
-        io.to(player.socketId).emit('drawing_started', {
-          game: serializeGameState(room),
-          drawerId: drawerId,
-          word: wordEngine.getSelectedWord(room)
-        });
-      } else {
-        io.to(player.socketId).emit('drawing_started', {
-          game: serializeGameState(room),
-          drawerId: drawerId,
-          maskedWord: maskedWord
-        });
-      }
-    });
-  
-    // Initialize hint level for progressive hints (reset for new round)
-    room.game.hintLevel = 0;
-    
-    // Start drawing timer with progressive hints
-    const drawTime = room.settings.drawTime;
-    const selectedWord = wordEngine.getSelectedWord(room);
-    const wordLength = selectedWord ? selectedWord.replace(/\s/g, '').length : 5;
-    
-    // Calculate hint reveal: max 30-40% of letters, reveal every 15 seconds
-    const maxHints = Math.max(1, Math.floor(wordLength * 0.35)); // Max 35% of letters
-    const hintInterval = 15; // Fixed 15 second intervals
-    const maxHintTime = maxHints * hintInterval; // Total time for all hints
-    
-    timerEngine.startDrawingTimer(
-      room,
-      (roomId, remaining) => {
-        // Calculate hint level based on elapsed time
-        const elapsed = drawTime - remaining;
-        
-        // Only reveal hints if within the hint reveal window
-        if (elapsed <= maxHintTime) {
-          const newHintLevel = Math.min(
-            Math.floor(elapsed / hintInterval) + 1,
-            maxHints
-          );
-          
-          // Update hint if level changed and hints are enabled
-          if (newHintLevel > room.game.hintLevel && room.settings.hints) {
-            room.game.hintLevel = newHintLevel;
-            const hintWord = wordEngine.generateHint(selectedWord, newHintLevel);
-            
-            // Broadcast hint update to guessers only
-            room.players.forEach(playerId => {
-              if (playerId !== drawerId) {
-                const player = playerManager.getPlayerById(playerId);
-                if (player && player.socketId) {
-                  io.to(player.socketId).emit('hint_update', {
-                    hintWord: hintWord
-                  });
-                }
-              }
-            });
-          }
-        }
-        
-        broadcastToRoom(roomId, 'timer_tick', {
-          remaining: remaining,
-          type: 'drawing'
-        });
-      },
-      (roomId) => {
-        const room = roomManager.getRoom(roomId);
-        if (!room) return;
-        endRoundForRoom(room);
-      }
-    );
-  }
-  
-
-  /**
-   * End round and handle scoring
-   */
-  function endRoundForRoom(room) {
-    // Stop drawing timer
-    timerEngine.stopTimer(room.id);
-
-    // Award drawer score
-    scoreEngine.awardDrawerScore(
-      room,
-      playerManager.getPlayerById,
-      playerManager.updatePlayerScore
-    );
-
-    // End round
-    const result = gameEngine.endRound(room);
-    if (!result.success) {
-      console.error(`[GAME] Failed to end round: ${room.id} | Error: ${result.error}`);
-      return;
-    }
-
-    // Get leaderboard
-    const leaderboard = scoreEngine.getLeaderboard(room, playerManager.getPlayerById);
-
-    const isLastDrawer = gameEngine.drawerIndex === room.players.length - 1;
-
-    // Broadcast round end (reveal word to all)
-    broadcastToRoom(room.id, 'round_ended', {
-      game: serializeGameState(room),
-      leaderboard: leaderboard,
-      selectedWord: wordEngine.getSelectedWord(room), // Reveal word at end of round
-      roundCompleted: isLastDrawer,
-    });
-
-    // Clear word selection and drawing state
-    wordEngine.clearWordSelection(room);
-    drawingEngine.clearDrawingState(room.id);
-    scoreEngine.clearRoundScoring(room.id);
-
-    // Check if game should end
-    if (result.gameEnded) {
-      // End game
-      endGameForRoom(room);
-    } else {
-      // Progress to next drawer
-      setTimeout(() => {
-        progressToNextDrawer(room);
-      }, 3000); // 3 second delay before next round
-    }
-  }
-
-  /**
-   * Progress to next drawer
-   */
-  function progressToNextDrawer(room) {
-    const result = gameEngine.progressToNextDrawer(room);
-    if (result.success) {
-      // Start new round
-      startRoundForRoom(room);
-    } else {
-      console.error(`[GAME] Failed to progress drawer: ${room.id} | Error: ${result.error}`);
-    }
-  }
-
-  /**
-   * End game and show final results
+   * Drawer asks for a fresh set of word options (limited by settings.wordRerolls)
    */
-  function endGameForRoom(room) {
-    // Stop any active timers
-    timerEngine.stopTimer(room.id);
-
-    // End game
-    const result = gameEngine.endGame(room);
-    if (!result.success) {
-      console.error(`[GAME] Failed to end game: ${room.id} | Error: ${result.error}`);
-      return;
-    }
-
-    // Get final leaderboard
-    const leaderboard = scoreEngine.getLeaderboard(room, playerManager.getPlayerById);
-
-    // Broadcast game ended
-    broadcastToRoom(room.id, 'game_ended', {
-      roundsPlayed: result.roundsPlayed,
-      leaderboard: leaderboard
-    });
-
-    // Clear game state
-    wordEngine.clearWordSelection(room);
-    drawingEngine.clearDrawingState(room.id);
-    scoreEngine.clearRoundScoring(room.id);
-  }
+  socket.on('reroll_words', () => {
+    runGameCommand(socket, (controller, player) => controller.rerollWords(player.id));
+  });
 
   // =============================================================================
   // DRAWING HANDLERS (MODULE 8)
@@ -756,15 +1076,7 @@ io.on('connection', (socket) => {
     const result = drawingEngine.handleDrawStart(room, player.id, payload);
     if (result.success) {
       // Broadcast to guessers only (not drawer)
-      const drawerId = room.game.drawerId;
-      room.players.forEach(playerId => {
-        if (playerId !== drawerId) {
-          const guesser = playerManager.getPlayerById(playerId);
-          if (guesser && guesser.socketId) {
-            io.to(guesser.socketId).emit('draw_start', result.data);
-          }
-        }
-      });
+      socket.to(guessersChannel(room.id)).emit('draw_start', result.data);
     } else {
       socket.emit('game_error', { error: result.error });
     }
@@ -786,34 +1098,17 @@ io.on('connection', (socket) => {
       if (result.shouldBatch) {
         // Event was batched, will be sent when batch is flushed
         // Flush batch periodically (every 50ms)
-        setTimeout(() => {
+        clock.schedule(() => {
           const batch = drawingEngine.flushBatch(room.id);
           if (batch && batch.length > 0) {
-            const drawerId = room.game.drawerId;
-            room.players.forEach(playerId => {
-              if (playerId !== drawerId) {
-                const guesser = playerManager.getPlayerById(playerId);
-                if (guesser && guesser.socketId) {
-                  io.to(guesser.socketId).emit('draw_move', batch);
-                }
-              }
-            });
+            socket.to(guessersChannel(room.id)).emit('draw_move', batch);
           }
         }, drawingEngine.BATCH_WINDOW_MS);
         return;
       }
 
-      // Broadcast to guessers only (not drawer)
-      const drawerId = room.game.drawerId;
-      room.players.forEach(playerId => {
-        if (playerId !== drawerId) {
-          const guesser = playerManager.getPlayerById(playerId);
-          if (guesser && guesser.socketId) {
-            // Send batched or single event
-            io.to(guesser.socketId).emit('draw_move', Array.isArray(result.data) ? result.data : [result.data]);
-          }
-        }
-      });
+      // Broadcast to guessers only (not drawer) - batched or single event
+      socket.to(guessersChannel(room.id)).emit('draw_move', Array.isArray(result.data) ? result.data : [result.data]);
     }
   });
 
@@ -831,15 +1126,7 @@ io.on('connection', (socket) => {
     const result = drawingEngine.handleDrawEnd(room, player.id, payload);
     if (result.success) {
       // Broadcast to guessers only (not drawer)
-      const drawerId = room.game.drawerId;
-      room.players.forEach(playerId => {
-        if (playerId !== drawerId) {
-          const guesser = playerManager.getPlayerById(playerId);
-          if (guesser && guesser.socketId) {
-            io.to(guesser.socketId).emit('draw_end', result.data);
-          }
-        }
-      });
+      socket.to(guessersChannel(room.id)).emit('draw_end', result.data);
     }
   });
 
@@ -859,20 +1146,35 @@ io.on('connection', (socket) => {
     const result = drawingEngine.handleClearCanvas(room, player.id);
     if (result.success) {
       // Broadcast to guessers only (not drawer)
-      const drawerId = room.game.drawerId;
-      room.players.forEach(playerId => {
-        if (playerId !== drawerId) {
-          const guesser = playerManager.getPlayerById(playerId);
-          if (guesser && guesser.socketId) {
-            io.to(guesser.socketId).emit('clear_canvas');
-          }
-        }
-      });
+      socket.to(guessersChannel(room.id)).emit('clear_canvas');
     } else {
       socket.emit('game_error', { error: result.error });
     }
   });
 
+  // Send accumulated strokes for the current round to the requesting player
+  socket.on('request_canvas_state', () => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player || !player.roomId) {
+      socket.emit('game_error', { error: 'Not in a room' });
+      return;
+    }
+
+    const room = roomManager.getRoom(player.roomId);
+    if (!room) {
+      socket.emit('game_error', { error: 'Room not found' });
+      return;
+    }
+
+    if (!room.game || room.game.phase !== gameEngine.PHASES.DRAWING) {
+      // No canvas outside the drawing phase - reply with an empty board
+      socket.emit('canvas_state', { strokes: [], pointCount: 0 });
+      return;
+    }
+
+    socket.emit('canvas_state', drawingEngine.getCanvasState(room.id));
+  });
+
   // =============================================================================
   // GUESS HANDLERS (MODULE 9)
   // =============================================================================
@@ -901,64 +1203,49 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const { guess } = payload;
-    const guessTimestamp = Date.now();
+    if (roomManager.isSpectator(room, player.id)) {
+      socket.emit('game_error', { error: 'Spectators cannot guess' });
+      return;
+    }
 
-    // Validate guess
-    const result = guessEngine.validateGuess(room, player.id, guess);
+    // Drawer and players who already guessed are routed to chat by the controller
+    const result = gameController.getController(room.id).submitGuess(player.id, payload.guess);
     if (!result.success) {
       socket.emit('game_error', { error: result.error });
+    }
+  });
+
+  // =============================================================================
+  // CHAT HANDLER
+  // =============================================================================
+
+  socket.on('chat', (payload) => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player || !player.roomId) {
+      socket.emit('game_error', { error: 'Not in a room' });
       return;
     }
 
-    // Broadcast guess as chat message
-    // If correct: will be replaced by correct_guess event
-    // If incorrect: show as regular chat message (unmasked)
-    const normalizedGuess = guessEngine.normalizeGuess(guess);
-    
-    if (!result.isCorrect) {
-      // Show incorrect guesses as regular chat messages (unmasked)
-      broadcastToRoom(room.id, 'chat_message', {
-        playerId: player.id,
-        playerName: player.name,
-        message: normalizedGuess,
-        isCorrect: false
-      });
+    const room = roomManager.getRoom(player.roomId);
+    if (!room) {
+      socket.emit('game_error', { error: 'Room not found' });
+      return;
     }
-    // Correct guesses are handled below and will show "✔️ guessed the word!"
-
-    if (result.isCorrect) {
-      // Award score
-      const scoreResult = scoreEngine.awardGuessScore(
-        room,
-        player.id,
-        guessTimestamp,
-        playerManager.getPlayerById,
-        playerManager.updatePlayerScore
-      );
-
-      if (scoreResult.success) {
-        // Broadcast correct guess
-        broadcastToRoom(room.id, 'correct_guess', {
-          playerId: player.id,
-          playerName: player.name,
-          word: wordEngine.getSelectedWord(room), // Reveal word
-          score: scoreResult.score,
-          totalScore: scoreResult.totalScore
-        });
-
-        // Update leaderboard
-        const leaderboard = scoreEngine.getLeaderboard(room, playerManager.getPlayerById);
-        broadcastToRoom(room.id, 'leaderboard_update', {
-          leaderboard: leaderboard
-        });
-
-        // Check if all guessers have guessed
-        if (guessEngine.allGuessersGuessed(room)) {
-          // End round early
-          endRoundForRoom(room);
-        }
-      }
+
+    if (!payload || typeof payload !== 'object' || typeof payload.message !== 'string') {
+      socket.emit('game_error', { error: 'Invalid chat message' });
+      return;
+    }
+
+    if (roomManager.isSpectator(room, player.id)) {
+      socket.emit('game_error', { error: 'Spectators cannot chat' });
+      return;
+    }
+
+    // Remaining guessers' chat is treated as a guess by the controller while the word is secret
+    const result = gameController.getController(room.id).sendChat(player.id, payload.message);
+    if (!result.success) {
+      socket.emit('game_error', { error: result.error });
     }
   });
 
@@ -978,47 +1265,88 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const room = roomManager.getRoom(player.roomId);
-    if (!room) {
+    const controller = getPlayerController(player);
+    if (!controller) {
       socket.emit('game_error', { error: 'Room not found' });
       return;
     }
 
-    // Check if player is room owner
-    if (room.ownerId !== player.id) {
-      socket.emit('game_error', { error: 'Only room owner can start a new game' });
+    // Reset game state back to lobby-style "waiting" as per authority model:
+    // backend decides when a game exists, frontend only reflects state.
+    const result = controller.playAgain(player.id);
+    if (!result.success) {
+      socket.emit('game_error', { error: result.error });
+    }
+  });
+
+  // =============================================================================
+  // OWNER CONTROL HANDLERS
+  // =============================================================================
+
+  socket.on('pause_game', () => {
+    runGameCommand(socket, (controller, player) => controller.pause(player.id));
+  });
+
+  socket.on('resume_game', () => {
+    runGameCommand(socket, (controller, player) => controller.resume(player.id));
+  });
+
+  socket.on('skip_turn', () => {
+    runGameCommand(socket, (controller, player) => controller.skipTurn(player.id));
+  });
+
+  /**
+   * Remove a player or spectator from the room (owner only)
+   * payload.ban keeps them out for the rest of the room's lifetime
+   */
+  socket.on('kick_player', (payload) => {
+    const player = playerManager.getPlayer(socket.id);
+    if (!player || !player.roomId) {
+      socket.emit('room_error', { error: 'Not in a room' });
+      return;
+    }
+
+    if (!payload || typeof payload !== 'object' || typeof payload.playerId !== 'string') {
+      socket.emit('room_error', { error: 'Invalid player ID' });
       return;
     }
 
-    // Check if game is finished
-    if (room.status !== gameEngine.ROOM_STATUS.FINISHED) {
-      socket.emit('game_error', { error: 'Game is not finished' });
+    const ban = payload.ban === true;
+    const result = roomManager.kickPlayer(player.id, player.roomId, payload.playerId, ban);
+    if (!result.success) {
+      socket.emit('room_error', { error: result.error });
       return;
     }
 
-    // Reset game state back to lobby-style "waiting" as per authority model:
-    // backend decides when a game exists, frontend only reflects state.
-    const result = gameEngine.resetGame(room);
-    if (result.success) {
-      // Reset player scores for a fresh scoreboard next time the game starts
-      playerManager.resetPlayerScores(room.players);
+    kickFromRoom(result.room.id, payload.playerId, ban ? 'banned' : 'kicked');
+  });
 
-      // Re‑serialize room so clients see updated status/scores in lobby
-      const serializedRoom = roomManager.serializeRoom(
-        room,
-        playerManager.getPlayerById
-      );
+  // =============================================================================
+  // VOTE KICK HANDLERS
+  // =============================================================================
 
-      // Keep general room listeners in sync (owner, settings, status)
-      broadcastRoomUpdate(room.id);
+  /**
+   * Start a vote to kick another player (any player can)
+   */
+  socket.on('vote_kick', (payload) => {
+    if (!payload || typeof payload !== 'object' || typeof payload.playerId !== 'string') {
+      socket.emit('game_error', { error: 'Invalid player ID' });
+      return;
+    }
 
-      // Notify clients that game state has been cleared and lobby is ready
-      broadcastToRoom(room.id, 'game_reset', {
-        room: serializedRoom
-      });
-    } else {
-      socket.emit('game_error', { error: result.error });
+    runGameCommand(socket, (controller, player) => controller.startVoteKick(player.id, payload.playerId));
+  });
+
+  /**
+   * Vote in the running kick vote: { voteId, kick: boolean }
+   */
+  socket.on('cast_vote', (payload) => {
+    if (!payload || typeof payload !== 'object' || typeof payload.voteId !== 'string') {
+      socket.emit('game_error', { error: 'Invalid vote' });
+      return;
     }
+
+    runGameCommand(socket, (controller, player) => controller.castVote(player.id, payload.voteId, payload.kick === true));
   });
 
   // =============================================================================
@@ -1031,20 +1359,28 @@ io.on('connection', (socket) => {
     console.log(`[DISCONNECT] Socket disconnected: ${socket.id} | Reason: ${reason}`);
     
     const player = playerManager.getPlayer(socket.id);
-    if (player && player.roomId) {
-      // Player was in a room, remove them
-      const roomId = player.roomId;
-      const result = roomManager.leaveRoom(player.id, roomId);
-
-      if (result.success && !result.deleted) {
-        // Room still exists, broadcast update to remaining players
-        broadcastRoomUpdate(roomId);
-      }
+    if (!player) {
+      // Already rebound to a newer socket via resume_session, or never created
+      return;
+    }
+
+    if (!player.roomId || reason === 'client namespace disconnect') {
+      // Nothing to hold on to, or the client left on purpose - remove immediately
+      removePlayerFromRoom(player);
+      playerManager.removePlayer(socket.id);
+      return;
     }
 
-    // Remove player from memory
-    // This function handles cases where player might not exist gracefully
-    playerManager.removePlayer(socket.id);
+    // Keep the player's seat, score and rotation slot for the grace period
+    playerManager.markPlayerDisconnected(socket.id, handleGraceExpired);
+
+    broadcastRoomUpdate(player.roomId);
+
+    // Nobody can draw for a disconnected drawer - the controller ends the turn
+    const controller = getPlayerController(player);
+    if (controller) {
+      controller.handlePlayerDisconnected(player.id);
+    }
   });
 
   // =============================================================================
@@ -1056,23 +1392,37 @@ io.on('connection', (socket) => {
   socket.on('error', (error) => {
     console.error(`[ERROR] Socket error for ${socket.id}:`, error.message);
   });
-});
+}
 
 // =============================================================================
 // SERVER STARTUP
 // =============================================================================
 
-// Start the HTTP server and listen on the configured port
-// Error handling ensures graceful failure with clear error messages
-server.listen(PORT, (error) => {
-  if (error) {
-    console.error('[STARTUP ERROR] Failed to start server:', error.message);
-    process.exit(1); // Exit with error code
-  }
-  
-  console.log(`[SERVER] Backend server running on port ${PORT}`);
-  console.log(`[SERVER] Socket.IO ready for connections`);
-});
+/**
+ * Start the standalone server: join the cluster, restore state and accept connections
+ * @param {number} port - Port to listen on
+ */
+function startServer(port) {
+  clusterNode.start();
+  restorePersistedState();
+
+  // Restored rooms belong to this node
+  roomManager.getAllRooms().forEach(room => clusterNode.claimRoom(room.id));
+
+  attachSocketServer(createSocketServer());
+
+  // Start the HTTP server and listen on the configured port
+  // Error handling ensures graceful failure with clear error messages
+  server.listen(port, (error) => {
+    if (error) {
+      console.error('[STARTUP ERROR] Failed to start server:', error.message);
+      process.exit(1); // Exit with error code
+    }
+    
+    console.log(`[SERVER] Backend server running on port ${port}`);
+    console.log(`[SERVER] Socket.IO ready for connections`);
+  });
+}
 
 // =============================================================================
 // GRACEFUL SHUTDOWN HANDLERS
@@ -1083,6 +1433,14 @@ server.listen(PORT, (error) => {
 const gracefulShutdown = (signal) => {
   console.log(`\n[SHUTDOWN] Received ${signal}, closing server gracefully...`);
   
+  // Take a final snapshot before connections drop so games can be resumed
+  persistence.stopAutoSave();
+  persistence.saveSnapshot();
+  clusterNode.stop();
+  if (clusterNode.pubsub.close) {
+    clusterNode.pubsub.close();
+  }
+  
   server.close(() => {
     console.log('[SHUTDOWN] HTTP server closed');
     io.close(() => {
@@ -1098,21 +1456,38 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
-// Listen for termination signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
 // =============================================================================
-// UNHANDLED ERROR HANDLERS
+// ENTRY POINT
 // =============================================================================
 
-// Catch unhandled promise rejections to prevent silent failures
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[UNHANDLED REJECTION]', reason);
-});
+// `node src/index.js` runs the server; requiring the module (test harness) only wires handlers
+if (require.main === module) {
+  startServer(PORT);
+
+  // Listen for termination signals
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  // Catch unhandled promise rejections to prevent silent failures
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('[UNHANDLED REJECTION]', reason);
+  });
+
+  // Catch uncaught exceptions as a last resort
+  process.on('uncaughtException', (error) => {
+    console.error('[UNCAUGHT EXCEPTION]', error);
+    process.exit(1);
+  });
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
 
-// Catch uncaught exceptions as a last resort
-process.on('uncaughtException', (error) => {
-  console.error('[UNCAUGHT EXCEPTION]', error);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  app,
+  attachSocketServer,
+  restorePersistedState,
+  startServer,
+  clusterNode
+};
\ No newline at end of file
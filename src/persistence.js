@@ -0,0 +1,144 @@
+// =============================================================================
+// STATE PERSISTENCE MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Snapshot rooms, players, scores and game phase to a storage adapter
+// and restore them after a restart or deploy
+// =============================================================================
+
+const path = require('path');
+const clock = require('./clock');
+const storage = require('./storage');
+const playerManager = require('./players');
+const roomManager = require('./rooms');
+const scoreEngine = require('./scoreEngine');
+const timerEngine = require('./timerEngine');
+const drawingEngine = require('./drawingEngine');
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+// 'memory' keeps the original behavior (nothing survives a restart)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', '.data');
+
+const SNAPSHOT_KEY = 'state';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_INTERVAL = 5000; // Save every 5 seconds
+
+// =============================================================================
+// ADAPTER STATE
+// =============================================================================
+
+let store = storage.createStore(STORAGE_DRIVER, { directory: STORAGE_DIR });
+let autoSaveId = null;
+
+// =============================================================================
+// SNAPSHOT FUNCTIONS
+// =============================================================================
+
+/**
+ * Replace the storage adapter (e.g., for tests)
+ * @param {Object} adapter - Object implementing { name, durable, save, load, remove }
+ */
+function setStore(adapter) {
+  store = adapter;
+}
+
+/**
+ * Build a snapshot of all in-memory game state
+ * @returns {Object} JSON-serializable snapshot
+ */
+function buildSnapshot() {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: clock.now(),
+    players: playerManager.exportPlayers(),
+    rooms: roomManager.exportRooms(),
+    guessTimes: scoreEngine.exportGuessTimes(),
+    strokes: drawingEngine.exportStrokeHistory(),
+    timers: timerEngine.exportTimers()
+  };
+}
+
+/**
+ * Save a snapshot to the storage adapter
+ * Errors are logged, never thrown - a failed save must not take the game down
+ * @returns {boolean} True if saved
+ */
+function saveSnapshot() {
+  try {
+    store.save(SNAPSHOT_KEY, buildSnapshot());
+    return true;
+  } catch (error) {
+    console.error(`[STORAGE] Failed to save snapshot (${store.name}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Restore state from the storage adapter
+ * Timers are not re-armed here - callbacks belong to the caller, which gets the deadlines back
+ * @param {Function} onGraceExpired - Called with (player) when a restored player never resumes
+ * @returns {Object} { restored: boolean, timers: Object, savedAt: number|null }
+ */
+function restoreSnapshot(onGraceExpired) {
+  const snapshot = store.load(SNAPSHOT_KEY);
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    return { restored: false, timers: {}, savedAt: null };
+  }
+
+  roomManager.restoreRooms(snapshot.rooms);
+  playerManager.restorePlayers(snapshot.players, onGraceExpired);
+  scoreEngine.restoreGuessTimes(snapshot.guessTimes);
+  drawingEngine.restoreStrokeHistory(snapshot.strokes);
+
+  console.log(`[STORAGE] Restored snapshot (${store.name}) saved at ${new Date(snapshot.savedAt).toISOString()}`);
+
+  return { restored: true, timers: snapshot.timers || {}, savedAt: snapshot.savedAt };
+}
+
+/**
+ * Start saving snapshots periodically
+ * Skipped for stores that don't outlive the process - nothing could ever restore them
+ */
+function startAutoSave() {
+  stopAutoSave();
+  if (!store.durable) {
+    console.log(`[STORAGE] Auto-save off | Driver: ${store.name} does not survive a restart`);
+    return;
+  }
+
+  autoSaveId = clock.scheduleRepeating(saveSnapshot, SNAPSHOT_INTERVAL);
+  // Never keep the process alive just to save
+  if (autoSaveId.handle && autoSaveId.handle.unref) {
+    autoSaveId.handle.unref();
+  }
+  console.log(`[STORAGE] Auto-save every ${SNAPSHOT_INTERVAL / 1000}s | Driver: ${store.name}`);
+}
+
+/**
+ * Stop periodic snapshots
+ */
+function stopAutoSave() {
+  clock.cancelRepeating(autoSaveId);
+  autoSaveId = null;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  setStore,
+  buildSnapshot,
+  saveSnapshot,
+  restoreSnapshot,
+  startAutoSave,
+  stopAutoSave,
+
+  // Constants
+  STORAGE_DRIVER,
+  SNAPSHOT_INTERVAL
+};
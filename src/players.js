@@ -6,7 +6,8 @@
 // This module handles player creation, updates, and cleanup
 // =============================================================================
 
-const { randomUUID } = require('crypto');
+const { randomUUID, randomBytes } = require('crypto');
+const clock = require('./clock');
 
 // =============================================================================
 // IN-MEMORY PLAYER STORAGE
@@ -21,6 +22,14 @@ const players = new Map();
 // Allows lookup by player ID (needed for room management)
 const playerById = new Map();
 
+// Session index: sessionToken -> player object
+// Lets a reconnecting client reclaim its player after the socket drops
+const playerBySession = new Map();
+
+// Pending removals: playerId -> timeout ID
+// A disconnected player is kept for a grace period before being removed
+const removalTimers = new Map();
+
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
@@ -28,6 +37,7 @@ const playerById = new Map();
 const MAX_NAME_LENGTH = 20;
 const MIN_NAME_LENGTH = 1;
 const DEFAULT_NAME_PREFIX = 'Player';
+const RECONNECT_GRACE_PERIOD = 30000; // 30 seconds to resume a dropped session
 
 // =============================================================================
 // HELPER FUNCTIONS
@@ -70,6 +80,46 @@ function validateName(name) {
   return { valid: true, sanitized: trimmed, error: null };
 }
 
+/**
+ * Generate an opaque session token for resuming a player after reconnect
+ * @returns {string} 64-character hex token
+ */
+function generateSessionToken() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Cancel a pending removal for a disconnected player
+ * @param {string} playerId - Player ID
+ */
+function cancelScheduledRemoval(playerId) {
+  const timeoutId = removalTimers.get(playerId);
+  if (timeoutId) {
+    clock.cancel(timeoutId);
+    removalTimers.delete(playerId);
+  }
+}
+
+/**
+ * Schedule removal of a disconnected player after the grace period
+ * Replaces any removal already pending for the player
+ * @param {Object} player - Player object
+ * @param {Function} onGraceExpired - Called with (player) if the session is not resumed in time
+ */
+function scheduleRemoval(player, onGraceExpired) {
+  cancelScheduledRemoval(player.id);
+  const timeoutId = clock.schedule(() => {
+    removalTimers.delete(player.id);
+    console.log(`[PLAYER] Grace period expired: ${player.id} | Name: ${player.name}`);
+    try {
+      onGraceExpired(player);
+    } catch (error) {
+      console.error(`[PLAYER] Error in grace expiry callback for ${player.id}:`, error);
+    }
+  }, RECONNECT_GRACE_PERIOD);
+  removalTimers.set(player.id, timeoutId);
+}
+
 // =============================================================================
 // CORE PLAYER MANAGEMENT FUNCTIONS
 // =============================================================================
@@ -90,7 +140,10 @@ function createPlayer(socketId) {
     socketId: socketId,
     name: generateDefaultName(),
     roomId: null, // Will be used by room management module
-    score: 0 // Initial score for scoring system
+    score: 0, // Initial score for scoring system
+    sessionToken: generateSessionToken(), // Secret - only sent to the owning client
+    connected: true,
+    disconnectedAt: null
   };
 
   // Store player in memory using socketId as key
@@ -99,6 +152,9 @@ function createPlayer(socketId) {
   // Store in secondary index using playerId as key
   playerById.set(playerId, player);
 
+  // Store in session index using sessionToken as key
+  playerBySession.set(player.sessionToken, player);
+
   console.log(`[PLAYER] Created player: ${playerId} | Socket: ${socketId} | Name: ${player.name}`);
 
   return player;
@@ -210,15 +266,107 @@ function removePlayer(socketId) {
     return false;
   }
 
-  // Delete from both indexes
+  // Delete from all indexes
   players.delete(socketId);
   playerById.delete(player.id);
+  playerBySession.delete(player.sessionToken);
+  cancelScheduledRemoval(player.id);
 
   console.log(`[PLAYER] Removed player: ${player.id} | Socket: ${socketId} | Name: ${player.name}`);
 
   return true;
 }
 
+/**
+ * Remove player from memory by player ID
+ * Used when a disconnected player's grace period expires (no socket to look up)
+ * @param {string} playerId - Player ID to remove
+ * @returns {boolean} True if player was removed, false if not found
+ */
+function removePlayerById(playerId) {
+  const player = playerById.get(playerId);
+  if (!player) {
+    return false;
+  }
+
+  // The socket may already belong to another player (a session resumed on it)
+  if (player.socketId && players.get(player.socketId) === player) {
+    players.delete(player.socketId);
+  }
+  playerById.delete(playerId);
+  playerBySession.delete(player.sessionToken);
+  cancelScheduledRemoval(playerId);
+
+  console.log(`[PLAYER] Removed player: ${playerId} | Name: ${player.name}`);
+
+  return true;
+}
+
+// =============================================================================
+// SESSION RESUME FUNCTIONS
+// =============================================================================
+
+/**
+ * Mark player as disconnected instead of removing them
+ * Unbinds the socket and schedules removal after the grace period
+ * @param {string} socketId - Socket ID that disconnected
+ * @param {Function} onGraceExpired - Called with (player) if the session is not resumed in time
+ * @returns {Object|null} Player object or null if not found
+ */
+function markPlayerDisconnected(socketId, onGraceExpired) {
+  const player = players.get(socketId);
+  if (!player) {
+    return null;
+  }
+
+  // Unbind the dead socket - player stays reachable by ID and session token
+  players.delete(socketId);
+  player.socketId = null;
+  player.connected = false;
+  player.disconnectedAt = clock.now();
+
+  scheduleRemoval(player, onGraceExpired);
+
+  console.log(`[PLAYER] Player disconnected: ${player.id} | Name: ${player.name} | Grace: ${RECONNECT_GRACE_PERIOD / 1000}s`);
+
+  return player;
+}
+
+/**
+ * Rebind an existing player to a new socket using their session token
+ * Cancels any pending removal and restores connected state
+ * @param {string} sessionToken - Token issued at player creation
+ * @param {string} socketId - New socket ID
+ * @returns {Object} { success: boolean, player: Object|null, previousSocketId: string|null, error: string|null }
+ */
+function resumeSession(sessionToken, socketId) {
+  if (typeof sessionToken !== 'string' || sessionToken.length === 0) {
+    return { success: false, player: null, previousSocketId: null, error: 'Invalid session token' };
+  }
+
+  const player = playerBySession.get(sessionToken);
+  if (!player) {
+    return { success: false, player: null, previousSocketId: null, error: 'Session expired or not found' };
+  }
+
+  // The old socket may not have been detected as dead yet - unbind it
+  const previousSocketId = player.socketId;
+  if (previousSocketId && previousSocketId !== socketId) {
+    players.delete(previousSocketId);
+  }
+
+  cancelScheduledRemoval(player.id);
+
+  player.socketId = socketId;
+  player.connected = true;
+  player.disconnectedAt = null;
+  players.set(socketId, player);
+
+  console.log(`[PLAYER] Session resumed: ${player.id} | Socket: ${socketId} | Name: ${player.name}`);
+
+  return { success: true, player: player, previousSocketId: previousSocketId, error: null };
+}
+
 /**
  * Get player by socket ID
  * @param {string} socketId - Socket ID to lookup
@@ -238,6 +386,31 @@ function getPlayerById(playerId) {
   return playerById.get(playerId) || null;
 }
 
+/**
+ * Get player by session token
+ * Lets HTTP routes act for a connected player
+ * @param {string} sessionToken - Token issued at player creation
+ * @returns {Object|null} Player object or null if the token is unknown
+ */
+function getPlayerBySession(sessionToken) {
+  if (typeof sessionToken !== 'string' || sessionToken.length === 0) {
+    return null;
+  }
+  return playerBySession.get(sessionToken) || null;
+}
+
+/**
+ * Get the identities a player can be recognized by beyond their player ID
+ * Only the session token: network addresses are shared behind NATs and proxies
+ * (and behind the load balancer every client looks alike), so they never ban
+ * @param {string} playerId - Player ID
+ * @returns {Array} Identity keys ('session:<token>'); empty if unknown
+ */
+function getIdentityKeys(playerId) {
+  const player = playerById.get(playerId);
+  return player ? [`session:${player.sessionToken}`] : [];
+}
+
 /**
  * Get all players
  * Useful for debugging and future modules (e.g., room management)
@@ -255,6 +428,63 @@ function getPlayerCount() {
   return players.size;
 }
 
+// =============================================================================
+// PERSISTENCE FUNCTIONS
+// =============================================================================
+
+/**
+ * Export all players for a storage snapshot
+ * Socket IDs are dropped - they never survive a restart
+ * @returns {Array} Array of plain player objects
+ */
+function exportPlayers() {
+  return Array.from(playerById.values()).map(player => ({
+    id: player.id,
+    name: player.name,
+    roomId: player.roomId,
+    score: player.score,
+    sessionToken: player.sessionToken
+  }));
+}
+
+/**
+ * Restore players from a storage snapshot
+ * Every restored player starts disconnected and must resume_session within the grace period
+ * @param {Array} snapshot - Array from exportPlayers
+ * @param {Function} onGraceExpired - Called with (player) if the session is not resumed in time
+ * @returns {number} Number of restored players
+ */
+function restorePlayers(snapshot, onGraceExpired) {
+  if (!Array.isArray(snapshot)) {
+    return 0;
+  }
+
+  snapshot.forEach(saved => {
+    if (!saved || !saved.id || !saved.sessionToken || playerById.has(saved.id)) {
+      return;
+    }
+
+    const player = {
+      id: saved.id,
+      socketId: null,
+      name: saved.name,
+      roomId: saved.roomId || null,
+      score: saved.score || 0,
+      sessionToken: saved.sessionToken,
+      connected: false,
+      disconnectedAt: clock.now()
+    };
+
+    playerById.set(player.id, player);
+    playerBySession.set(player.sessionToken, player);
+    scheduleRemoval(player, onGraceExpired);
+  });
+
+  console.log(`[PLAYER] Restored players: ${snapshot.length}`);
+
+  return snapshot.length;
+}
+
 // =============================================================================
 // MODULE EXPORTS
 // =============================================================================
@@ -266,8 +496,16 @@ module.exports = {
   updatePlayerScore,
   resetPlayerScores,
   removePlayer,
+  removePlayerById,
+  markPlayerDisconnected,
+  resumeSession,
   getPlayer,
   getPlayerById,
+  getPlayerBySession,
+  getIdentityKeys,
   getAllPlayers,
-  getPlayerCount
+  getPlayerCount,
+  exportPlayers,
+  restorePlayers,
+  RECONNECT_GRACE_PERIOD
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+// =============================================================================
+// RANDOMNESS MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Single source of randomness for the game
+// Unbiased shuffles and picks, crypto-secure IDs, and per-room seeded sources
+// so a seeded game (word options, auto-selection, drawer order) replays exactly
+// =============================================================================
+
+const { randomInt: secureRandomInt } = require('crypto');
+
+// =============================================================================
+// RANDOM SOURCES
+// =============================================================================
+
+/**
+ * A random source is a function returning a float in [0, 1), like Math.random
+ * Seeded sources keep their state as one uint32 so it can live on room.game
+ * and survive persistence
+ */
+
+/**
+ * Hash a seed string to a uint32 starting state (FNV-1a)
+ * @param {string} seed - Seed text
+ * @returns {number} Starting state
+ */
+function seedState(seed) {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Advance a seeded state by one step (mulberry32)
+ * @param {number} state - Current uint32 state
+ * @returns {Object} { state: number, value: number } - next state and a float in [0, 1)
+ */
+function step(state) {
+  const next = (state + 0x6D2B79F5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { state: next, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+/**
+ * Create a standalone seeded source
+ * @param {string} seed - Seed text
+ * @returns {Function} Random source
+ */
+function createSeededRandom(seed) {
+  let state = seedState(seed);
+  return () => {
+    const result = step(state);
+    state = result.state;
+    return result.value;
+  };
+}
+
+/**
+ * Get the random source of a room's game
+ * Seeded games advance room.game.randomState; everything else uses Math.random
+ * @param {Object} room - Room object
+ * @returns {Function} Random source
+ */
+function forRoom(room) {
+  const game = room && room.game;
+  if (!game || typeof game.randomState !== 'number') {
+    return Math.random;
+  }
+  return () => {
+    const result = step(game.randomState);
+    game.randomState = result.state;
+    return result.value;
+  };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Random integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @param {Function} random - Random source (default Math.random)
+ * @returns {number} Integer
+ */
+function randomInt(max, random = Math.random) {
+  return Math.floor(random() * max);
+}
+
+/**
+ * Pick a random entry from an array
+ * @param {Array} items - Array to pick from
+ * @param {Function} random - Random source (default Math.random)
+ * @returns {*} Random element (undefined for an empty array)
+ */
+function pick(items, random = Math.random) {
+  return items[randomInt(items.length, random)];
+}
+
+/**
+ * Shuffle a copy of an array (Fisher–Yates, every order equally likely)
+ * @param {Array} items - Array to shuffle (not modified)
+ * @param {Function} random - Random source (default Math.random)
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items, random = Math.random) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, random);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Build a string from crypto-secure random characters
+ * Used for identifiers that must not be guessable (e.g., room IDs)
+ * @param {number} length - Number of characters
+ * @param {string} alphabet - Characters to draw from
+ * @returns {string} Random string
+ */
+function secureString(length, alphabet) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += alphabet[secureRandomInt(alphabet.length)];
+  }
+  return result;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  // Sources
+  seedState,
+  createSeededRandom,
+  forRoom,
+
+  // Helpers
+  randomInt,
+  pick,
+  shuffle,
+  secureString
+};
@@ -3,9 +3,16 @@
 // Real-time Multiplayer Drawing Game Backend
 // =============================================================================
 // Purpose: Manage room creation, joining, leaving, and cleanup
-// This module handles the pre-game lobby state only
+// This module handles the pre-game lobby state and room membership
+// (players in the drawer rotation plus watch-only spectators)
 // =============================================================================
 
+const wordPacks = require('./wordPacks');
+const scoringStrategies = require('./scoringStrategies');
+const scoreEngine = require('./scoreEngine');
+const random = require('./random');
+const textNormalizer = require('./textNormalizer');
+
 // =============================================================================
 // IN-MEMORY ROOM STORAGE
 // =============================================================================
@@ -14,6 +21,12 @@
 // We use roomId as the key for O(1) lookup
 const rooms = new Map();
 
+// Extra check for room IDs in use outside this process (e.g., other cluster nodes)
+let isRoomIdTakenElsewhere = () => false;
+
+// Identities of a player beyond their ID, so bans survive reconnecting as a new player
+let getIdentityKeys = () => [];
+
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
@@ -27,15 +40,51 @@ const DEFAULT_SETTINGS = {
   drawTime: 80,
   rounds: 3,
   hints: true,
-  customWords: []
+  closeGuessThreshold: 1, // Max edit distance for a "close" guess (0 disables)
+  language: textNormalizer.DEFAULT_LOCALE, // Picks the word packs and the text rules for matching guesses
+  wordPacks: [wordPacks.DEFAULT_PACK_ID], // Packs in the room's language only
+  ignoreDiacritics: false, // Accept "cafe" for "café"
+  scoringStrategy: scoringStrategies.DEFAULT_STRATEGY, // 'classic' | 'time_linear' | 'fixed'
+  customWords: [],
+  customWordsMode: 'mixed', // 'mixed' (alongside the word packs) | 'only' (custom words alone)
+  customWordChance: null, // Mixed mode: chance (0-1) that each option is a custom word; null = plain merge
+  wordHistoryGames: 0, // Past games whose words are kept out of the options (0 = current game only)
+  wordRerolls: 0, // Fresh option sets the drawer may ask for per turn (0 disables)
+  drawerOrder: 'join', // 'join' | 'random' (shuffled when the game starts)
+  seed: null, // Replays word options, auto-selection and drawer order exactly (server-only)
+  allowMidGameJoin: false, // Accept players while a game is running
+  catchUpScore: scoreEngine.DEFAULT_CATCH_UP_MODE, // 'zero' | 'lowest' | 'average'
+  visibility: 'private' // 'public' rooms are listed in the room browser and used by quick match
 };
 
+const VISIBILITIES = ['public', 'private'];
+const DRAWER_ORDERS = ['join', 'random'];
+const CUSTOM_WORDS_MODES = ['mixed', 'only'];
+
 // Validation limits
 const LIMITS = {
   maxPlayers: { min: 2, max: 12 },
   drawTime: { min: 30, max: 120 },
   rounds: { min: 1, max: 10 },
-  customWords: { maxLength: 50, maxCount: 50 }
+  closeGuessThreshold: { min: 0, max: 3 },
+  wordPacks: { maxCount: 5 },
+  customWords: { maxLength: 50, maxCount: 50, minCount: 10 }, // minCount applies once custom words drive the options
+  customWordChance: { min: 0, max: 1 },
+  importText: { maxLength: 10000 },
+  wordRerolls: { min: 0, max: 3 },
+  wordHistoryGames: { min: 0, max: 10 },
+  seed: { maxLength: 64 }
+};
+
+// Spectators never enter the rotation, so they don't count towards maxPlayers
+const MAX_SPECTATORS = 20;
+
+// Machine-readable error codes on failed settings results (the HTTP API maps them to statuses)
+const ERROR_CODES = {
+  NOT_FOUND: 'not_found',
+  FORBIDDEN: 'forbidden',
+  LOCKED: 'locked',
+  INVALID: 'invalid'
 };
 
 // =============================================================================
@@ -54,22 +103,35 @@ function generateRoomId() {
 
   // Keep generating until we find a unique ID
   do {
-    roomId = '';
-    for (let i = 0; i < ROOM_ID_LENGTH; i++) {
-      const randomIndex = Math.floor(Math.random() * ROOM_ID_CHARS.length);
-      roomId += ROOM_ID_CHARS[randomIndex];
-    }
+    // Crypto-secure so private room IDs can't be predicted
+    roomId = random.secureString(ROOM_ID_LENGTH, ROOM_ID_CHARS);
     attempts++;
 
     // Safety check to prevent infinite loop
     if (attempts >= maxAttempts) {
       throw new Error('Failed to generate unique room ID after maximum attempts');
     }
-  } while (rooms.has(roomId));
+  } while (rooms.has(roomId) || isRoomIdTakenElsewhere(roomId));
 
   return roomId;
 }
 
+/**
+ * Register a check for room IDs that are taken outside this process
+ * @param {Function} check - Called with (roomId), returns true if the ID is in use
+ */
+function setRoomIdTakenCheck(check) {
+  isRoomIdTakenElsewhere = typeof check === 'function' ? check : () => false;
+}
+
+/**
+ * Register the lookup for a player's identity keys (session token)
+ * @param {Function} lookup - Called with (playerId), returns an array of strings
+ */
+function setIdentityLookup(lookup) {
+  getIdentityKeys = typeof lookup === 'function' ? lookup : () => [];
+}
+
 /**
  * Normalize room ID to uppercase for case-insensitive lookup
  * @param {string} roomId - Raw room ID from client
@@ -123,18 +185,157 @@ function validateSettings(settings) {
     validated.hints = settings.hints;
   }
 
+  // Validate closeGuessThreshold
+  if (typeof settings.closeGuessThreshold === 'number') {
+    validated.closeGuessThreshold = Math.max(
+      LIMITS.closeGuessThreshold.min,
+      Math.min(LIMITS.closeGuessThreshold.max, Math.floor(settings.closeGuessThreshold))
+    );
+  }
+
+  // Validate wordPacks (array of known pack IDs)
+  let packIds = [];
+  if (Array.isArray(settings.wordPacks)) {
+    packIds = settings.wordPacks
+      .filter(packId => typeof packId === 'string' && wordPacks.hasPack(packId))
+      .filter((packId, index, all) => all.indexOf(packId) === index) // Remove duplicates
+      .slice(0, LIMITS.wordPacks.maxCount);
+  }
+
+  // Validate language (a language with loaded packs, see checkSettings); without one, follow the first chosen pack
+  if (typeof settings.language === 'string') {
+    if (wordPacks.listLanguages().includes(settings.language)) {
+      validated.language = settings.language;
+    }
+  } else if (packIds.length > 0) {
+    validated.language = wordPacks.getPack(packIds[0]).language;
+  }
+
+  // Only packs in the room's language; fall back to that language's default packs
+  packIds = packIds.filter(packId => wordPacks.getPack(packId).language === validated.language);
+  if (packIds.length === 0) {
+    packIds = wordPacks.getDefaultPackIds(validated.language).slice(0, LIMITS.wordPacks.maxCount);
+  }
+  if (packIds.length > 0) {
+    validated.wordPacks = packIds;
+  }
+
+  // Validate ignoreDiacritics (boolean only)
+  if (typeof settings.ignoreDiacritics === 'boolean') {
+    validated.ignoreDiacritics = settings.ignoreDiacritics;
+  }
+
+  // Validate scoringStrategy (known strategy ID only)
+  if (typeof settings.scoringStrategy === 'string' && scoringStrategies.isValidStrategy(settings.scoringStrategy)) {
+    validated.scoringStrategy = settings.scoringStrategy;
+  }
+
   // Validate customWords (array of strings)
   if (Array.isArray(settings.customWords)) {
     validated.customWords = settings.customWords
       .filter(word => typeof word === 'string' && word.trim().length > 0)
-      .map(word => word.trim().toLowerCase()) // Normalize to lowercase
+      .map(word => textNormalizer.normalizeText(word, { locale: validated.language }))
       .filter(word => word.length <= LIMITS.customWords.maxLength) // Enforce max word length
       .slice(0, LIMITS.customWords.maxCount); // Limit to max count
   }
 
+  // Validate customWordsMode (known mode only)
+  if (CUSTOM_WORDS_MODES.includes(settings.customWordsMode)) {
+    validated.customWordsMode = settings.customWordsMode;
+  }
+
+  // Validate customWordChance (number in range; null turns weighting off)
+  if (typeof settings.customWordChance === 'number' && !Number.isNaN(settings.customWordChance)) {
+    validated.customWordChance = Math.max(
+      LIMITS.customWordChance.min,
+      Math.min(LIMITS.customWordChance.max, settings.customWordChance)
+    );
+  }
+
+  // Validate wordRerolls
+  if (typeof settings.wordRerolls === 'number') {
+    validated.wordRerolls = Math.max(
+      LIMITS.wordRerolls.min,
+      Math.min(LIMITS.wordRerolls.max, Math.floor(settings.wordRerolls))
+    );
+  }
+
+  // Validate wordHistoryGames
+  if (typeof settings.wordHistoryGames === 'number') {
+    validated.wordHistoryGames = Math.max(
+      LIMITS.wordHistoryGames.min,
+      Math.min(LIMITS.wordHistoryGames.max, Math.floor(settings.wordHistoryGames))
+    );
+  }
+
+  // Validate allowMidGameJoin (boolean only)
+  if (typeof settings.allowMidGameJoin === 'boolean') {
+    validated.allowMidGameJoin = settings.allowMidGameJoin;
+  }
+
+  // Validate catchUpScore (known mode only)
+  if (scoreEngine.CATCH_UP_MODES.includes(settings.catchUpScore)) {
+    validated.catchUpScore = settings.catchUpScore;
+  }
+
+  // Validate drawerOrder (known value only)
+  if (DRAWER_ORDERS.includes(settings.drawerOrder)) {
+    validated.drawerOrder = settings.drawerOrder;
+  }
+
+  // Validate seed (non-empty string; anything else means unseeded)
+  if (typeof settings.seed === 'string' && settings.seed.trim().length > 0) {
+    validated.seed = settings.seed.trim().slice(0, LIMITS.seed.maxLength);
+  }
+
+  // Validate visibility (known value only)
+  if (VISIBILITIES.includes(settings.visibility)) {
+    validated.visibility = settings.visibility;
+  }
+
   return validated;
 }
 
+/**
+ * Check settings for choices that cannot work
+ * validateSettings only clamps or drops single values; these are rejected instead
+ * @param {Object} settings - Settings from validateSettings
+ * @param {Object} requested - Raw settings they were validated from
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+function checkSettings(settings, requested) {
+  const minCount = LIMITS.customWords.minCount;
+
+  // A language without word packs has nothing to offer - don't quietly switch to another
+  const language = requested && typeof requested === 'object' ? requested.language : undefined;
+  if (language !== undefined && language !== null && language !== settings.language) {
+    return { valid: false, error: 'Unsupported language' };
+  }
+
+  // Custom words that drive the options must be enough to fill a game
+  if (settings.customWords.length < minCount) {
+    if (settings.customWordsMode === 'only') {
+      return { valid: false, error: `Custom-only mode needs at least ${minCount} custom words` };
+    }
+    if (settings.customWordChance !== null) {
+      return { valid: false, error: `A custom word chance needs at least ${minCount} custom words` };
+    }
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Settings as clients see them
+ * The seed stays on the server - knowing it would reveal every upcoming word
+ * @param {Object} settings - Room settings
+ * @returns {Object} Settings without server-only fields
+ */
+function getPublicSettings(settings) {
+  const { seed, ...publicSettings } = settings;
+  return { ...publicSettings, seeded: seed !== null && seed !== undefined };
+}
+
 /**
  * Serialize room data for client transmission
  * Includes all room information needed by frontend
@@ -150,14 +351,25 @@ function serializeRoom(room, getPlayer) {
     .map(player => ({
       id: player.id,
       name: player.name,
-      isOwner: player.id === room.ownerId
+      isOwner: player.id === room.ownerId,
+      connected: player.connected !== false // False while inside reconnect grace period
+    }));
+
+  const spectatorData = (room.spectators || [])
+    .map(playerId => getPlayer(playerId))
+    .filter(player => player !== null)
+    .map(player => ({
+      id: player.id,
+      name: player.name,
+      connected: player.connected !== false
     }));
 
   return {
     id: room.id,
     ownerId: room.ownerId,
     players: playerData,
-    settings: room.settings,
+    spectators: spectatorData,
+    settings: getPublicSettings(room.settings),
     status: room.status
   };
 }
@@ -170,18 +382,22 @@ function serializeRoom(room, getPlayer) {
  * Create a new room
  * @param {string} playerId - ID of player creating the room
  * @param {Object} settings - Room settings from client
- * @returns {Object} { success: boolean, room: Object|null, error: string|null }
+ * @returns {Object} { success: boolean, room: Object|null, error: string|null, code: string|null }
  */
 function createRoom(playerId, settings) {
   // Validate settings and apply defaults
   const validatedSettings = validateSettings(settings);
+  const check = checkSettings(validatedSettings, settings);
+  if (!check.valid) {
+    return { success: false, room: null, error: check.error, code: ERROR_CODES.INVALID };
+  }
 
   // Generate unique room ID
   let roomId;
   try {
     roomId = generateRoomId();
   } catch (error) {
-    return { success: false, room: null, error: 'Failed to generate room ID' };
+    return { success: false, room: null, error: 'Failed to generate room ID', code: null };
   }
 
   // Create room object
@@ -189,6 +405,10 @@ function createRoom(playerId, settings) {
     id: roomId,
     ownerId: playerId,
     players: [playerId], // Creator is first player
+    spectators: [], // Watch-only, never in drawer rotation or scoring
+    bannedPlayers: [], // Kicked with ban - can't join or watch again while the room exists
+    bannedIdentities: [], // Session tokens of banned players (see setIdentityLookup)
+    wordHistory: { game: [], pastGames: [] }, // Offered words, kept out of later options (see wordEngine)
     settings: validatedSettings,
     status: 'waiting' // Pre-game lobby state
   };
@@ -198,14 +418,16 @@ function createRoom(playerId, settings) {
 
   console.log(`[ROOM] Created room: ${roomId} | Owner: ${playerId} | Max: ${validatedSettings.maxPlayers}`);
 
-  return { success: true, room: room, error: null };
+  return { success: true, room: room, error: null, code: null };
 }
 
 /**
  * Join an existing room
+ * Running games accept players only if the room allows mid-game joining;
+ * late joiners are appended to the end of the drawer rotation
  * @param {string} playerId - ID of player joining
  * @param {string} roomId - Room ID to join
- * @returns {Object} { success: boolean, room: Object|null, error: string|null }
+ * @returns {Object} { success: boolean, room: Object|null, midGame: boolean, error: string|null }
  */
 function joinRoom(playerId, roomId) {
   // Normalize room ID for case-insensitive lookup
@@ -214,38 +436,176 @@ function joinRoom(playerId, roomId) {
   // Check if room exists
   const room = rooms.get(normalizedRoomId);
   if (!room) {
-    return { success: false, room: null, error: 'Room not found' };
+    return { success: false, room: null, midGame: false, error: 'Room not found' };
   }
 
   // Check room status
-  if (room.status !== 'waiting') {
-    return { success: false, room: null, error: 'Room is not accepting players' };
+  const midGame = room.status === 'in_game' && room.settings.allowMidGameJoin;
+  if (room.status !== 'waiting' && !midGame) {
+    return { success: false, room: null, midGame: false, error: 'Room is not accepting players' };
   }
 
   // Check if player is already in room
-  if (room.players.includes(playerId)) {
-    return { success: false, room: null, error: 'Already in this room' };
+  if (isInRoom(room, playerId)) {
+    return { success: false, room: null, midGame: false, error: 'Already in this room' };
+  }
+
+  if (isBanned(room, playerId)) {
+    return { success: false, room: null, midGame: false, error: 'You are banned from this room' };
   }
 
   // Check if room is full
   if (room.players.length >= room.settings.maxPlayers) {
-    return { success: false, room: null, error: 'Room is full' };
+    return { success: false, room: null, midGame: false, error: 'Room is full' };
   }
 
-  // Add player to room
+  // Add player to room - appending keeps every earlier rotation index (and drawerIndex) valid
   room.players.push(playerId);
 
   console.log(`[ROOM] Player joined: ${playerId} | Room: ${normalizedRoomId} | Count: ${room.players.length}/${room.settings.maxPlayers}`);
 
+  return { success: true, room: room, midGame: midGame, error: null };
+}
+
+/**
+ * Watch a room as a spectator
+ * Allowed in any room status - spectators never play, so a running game is fine
+ * @param {string} playerId - ID of player spectating
+ * @param {string} roomId - Room ID to watch
+ * @returns {Object} { success: boolean, room: Object|null, error: string|null }
+ */
+function spectateRoom(playerId, roomId) {
+  const normalizedRoomId = normalizeRoomId(roomId);
+
+  const room = rooms.get(normalizedRoomId);
+  if (!room) {
+    return { success: false, room: null, error: 'Room not found' };
+  }
+
+  if (isInRoom(room, playerId)) {
+    return { success: false, room: null, error: 'Already in this room' };
+  }
+
+  if (isBanned(room, playerId)) {
+    return { success: false, room: null, error: 'You are banned from this room' };
+  }
+
+  if (room.spectators.length >= MAX_SPECTATORS) {
+    return { success: false, room: null, error: 'Room has too many spectators' };
+  }
+
+  room.spectators.push(playerId);
+
+  console.log(`[ROOM] Spectator joined: ${playerId} | Room: ${normalizedRoomId} | Spectators: ${room.spectators.length}`);
+
   return { success: true, room: room, error: null };
 }
 
+/**
+ * Move a spectator into the player list (owner only, between games)
+ * @param {string} ownerId - ID of player requesting the promotion
+ * @param {string} roomId - Room ID
+ * @param {string} spectatorId - ID of spectator to promote
+ * @returns {Object} { success: boolean, room: Object|null, error: string|null }
+ */
+function promoteSpectator(ownerId, roomId, spectatorId) {
+  const normalizedRoomId = normalizeRoomId(roomId);
+
+  const room = rooms.get(normalizedRoomId);
+  if (!room) {
+    return { success: false, room: null, error: 'Room not found' };
+  }
+
+  if (room.ownerId !== ownerId) {
+    return { success: false, room: null, error: 'Only room owner can promote spectators' };
+  }
+
+  // Rotation and scores are fixed while a game runs
+  if (room.status === 'in_game') {
+    return { success: false, room: null, error: 'Cannot promote spectators during a game' };
+  }
+
+  const spectatorIndex = room.spectators.indexOf(spectatorId);
+  if (spectatorIndex === -1) {
+    return { success: false, room: null, error: 'Spectator not found' };
+  }
+
+  if (room.players.length >= room.settings.maxPlayers) {
+    return { success: false, room: null, error: 'Room is full' };
+  }
+
+  room.spectators.splice(spectatorIndex, 1);
+  room.players.push(spectatorId);
+
+  console.log(`[ROOM] Spectator promoted: ${spectatorId} | Room: ${normalizedRoomId} | Count: ${room.players.length}/${room.settings.maxPlayers}`);
+
+  return { success: true, room: room, error: null };
+}
+
+/**
+ * Check that the owner may kick a member, and record the ban if requested
+ * Does not remove the member - the caller runs the normal leave flow so the
+ * game rotation and transport channels are cleaned up the same way
+ * @param {string} ownerId - ID of player requesting the kick
+ * @param {string} roomId - Room ID
+ * @param {string} targetId - ID of player or spectator to kick
+ * @param {boolean} ban - Also block the target from rejoining while the room exists
+ * @returns {Object} { success: boolean, room: Object|null, error: string|null }
+ */
+function kickPlayer(ownerId, roomId, targetId, ban) {
+  const normalizedRoomId = normalizeRoomId(roomId);
+
+  const room = rooms.get(normalizedRoomId);
+  if (!room) {
+    return { success: false, room: null, error: 'Room not found' };
+  }
+
+  if (room.ownerId !== ownerId) {
+    return { success: false, room: null, error: 'Only room owner can kick players' };
+  }
+
+  if (targetId === ownerId) {
+    return { success: false, room: null, error: 'Cannot kick yourself' };
+  }
+
+  if (!isInRoom(room, targetId)) {
+    return { success: false, room: null, error: 'Player not in room' };
+  }
+
+  if (ban) {
+    banPlayer(room, targetId);
+  }
+
+  console.log(`[ROOM] Player kicked: ${targetId} | Room: ${normalizedRoomId} | Banned: ${Boolean(ban)}`);
+
+  return { success: true, room: room, error: null };
+}
+
+/**
+ * Block a player from joining or watching a room again
+ * Bans last for the room's lifetime (they are not persisted beyond it) and cover
+ * the player's other identities, so reconnecting as a new player doesn't lift them
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ */
+function banPlayer(room, playerId) {
+  if (!room.bannedPlayers.includes(playerId)) {
+    room.bannedPlayers.push(playerId);
+  }
+  getIdentityKeys(playerId).forEach(key => {
+    if (!room.bannedIdentities.includes(key)) {
+      room.bannedIdentities.push(key);
+    }
+  });
+}
+
 /**
  * Remove player from their current room
- * Handles owner reassignment and room cleanup
+ * Handles spectators, owner reassignment and room cleanup
  * @param {string} playerId - ID of player leaving
  * @param {string} roomId - Room ID player is leaving from
- * @returns {Object} { success: boolean, room: Object|null, deleted: boolean, error: string|null }
+ * @returns {Object} { success: boolean, room: Object|null, deleted: boolean, removedIndex: number, evictedSpectators: Array, error: string|null }
+ * removedIndex is the player's former position in the rotation (-1 for spectators)
  */
 function leaveRoom(playerId, roomId) {
   // Normalize room ID
@@ -254,13 +614,21 @@ function leaveRoom(playerId, roomId) {
   // Check if room exists
   const room = rooms.get(normalizedRoomId);
   if (!room) {
-    return { success: false, room: null, deleted: false, error: 'Room not found' };
+    return { success: false, room: null, deleted: false, removedIndex: -1, evictedSpectators: [], error: 'Room not found' };
+  }
+
+  // Spectators leave without affecting players or ownership
+  const spectatorIndex = room.spectators.indexOf(playerId);
+  if (spectatorIndex !== -1) {
+    room.spectators.splice(spectatorIndex, 1);
+    console.log(`[ROOM] Spectator left: ${playerId} | Room: ${normalizedRoomId} | Spectators: ${room.spectators.length}`);
+    return { success: true, room: room, deleted: false, removedIndex: -1, evictedSpectators: [], error: null };
   }
 
   // Check if player is in room
   const playerIndex = room.players.indexOf(playerId);
   if (playerIndex === -1) {
-    return { success: false, room: null, deleted: false, error: 'Player not in room' };
+    return { success: false, room: null, deleted: false, removedIndex: -1, evictedSpectators: [], error: 'Player not in room' };
   }
 
   // Remove player from room
@@ -268,11 +636,11 @@ function leaveRoom(playerId, roomId) {
 
   console.log(`[ROOM] Player left: ${playerId} | Room: ${normalizedRoomId} | Remaining: ${room.players.length}`);
 
-  // Check if room is now empty
+  // Check if room is now empty - spectators can't keep a room alive
   if (room.players.length === 0) {
     rooms.delete(normalizedRoomId);
     console.log(`[ROOM] Deleted empty room: ${normalizedRoomId}`);
-    return { success: true, room: null, deleted: true, error: null };
+    return { success: true, room: null, deleted: true, removedIndex: playerIndex, evictedSpectators: room.spectators.splice(0), error: null };
   }
 
   // Reassign owner if the owner left
@@ -282,7 +650,7 @@ function leaveRoom(playerId, roomId) {
     console.log(`[ROOM] Owner reassigned: ${room.ownerId} | Room: ${normalizedRoomId}`);
   }
 
-  return { success: true, room: room, deleted: false, error: null };
+  return { success: true, room: room, deleted: false, removedIndex: playerIndex, evictedSpectators: [], error: null };
 }
 
 /**
@@ -290,7 +658,8 @@ function leaveRoom(playerId, roomId) {
  * @param {string} playerId - ID of player updating settings
  * @param {string} roomId - Room ID to update
  * @param {Object} newSettings - New settings from client
- * @returns {Object} { success: boolean, settings: Object|null, error: string|null }
+ * @returns {Object} { success: boolean, settings: Object|null, error: string|null, code: string|null }
+ *   code is one of ERROR_CODES on failure
  */
 function updateRoomSettings(playerId, roomId, newSettings) {
   // Normalize room ID
@@ -299,23 +668,34 @@ function updateRoomSettings(playerId, roomId, newSettings) {
   // Check if room exists
   const room = rooms.get(normalizedRoomId);
   if (!room) {
-    return { success: false, settings: null, error: 'Room not found' };
+    return { success: false, settings: null, error: 'Room not found', code: ERROR_CODES.NOT_FOUND };
   }
 
   // Check if player is the room owner
   if (room.ownerId !== playerId) {
     console.log(`[ROOM] Settings update rejected: ${playerId} is not owner of ${normalizedRoomId}`);
-    return { success: false, settings: null, error: 'Only room owner can update settings' };
+    return { success: false, settings: null, error: 'Only room owner can update settings', code: ERROR_CODES.FORBIDDEN };
   }
 
   // Check if room is in waiting state (settings locked once game starts)
   if (room.status !== 'waiting') {
     console.log(`[ROOM] Settings update rejected: ${normalizedRoomId} is not in waiting state`);
-    return { success: false, settings: null, error: 'Settings locked: game has started' };
+    return { success: false, settings: null, error: 'Settings locked: game has started', code: ERROR_CODES.LOCKED };
   }
 
   // Validate new settings
-  const validatedSettings = validateSettings(newSettings);
+  // Clients never see the seed, so an update without one keeps the current seed
+  const validatedSettings = validateSettings(
+    newSettings && typeof newSettings === 'object' && !('seed' in newSettings)
+      ? { ...newSettings, seed: room.settings.seed }
+      : newSettings
+  );
+
+  const check = checkSettings(validatedSettings, newSettings);
+  if (!check.valid) {
+    console.log(`[ROOM] Settings update rejected: ${normalizedRoomId} | ${check.error}`);
+    return { success: false, settings: null, error: check.error, code: ERROR_CODES.INVALID };
+  }
 
   // Special validation: maxPlayers cannot be less than current player count
   if (validatedSettings.maxPlayers < room.players.length) {
@@ -323,7 +703,8 @@ function updateRoomSettings(playerId, roomId, newSettings) {
     return { 
       success: false, 
       settings: null, 
-      error: `Cannot set max players below current player count (${room.players.length})` 
+      error: `Cannot set max players below current player count (${room.players.length})`,
+      code: ERROR_CODES.INVALID
     };
   }
 
@@ -332,7 +713,60 @@ function updateRoomSettings(playerId, roomId, newSettings) {
 
   console.log(`[ROOM] Settings updated: ${normalizedRoomId} | Owner: ${playerId} | Settings: ${JSON.stringify(validatedSettings)}`);
 
-  return { success: true, settings: validatedSettings, error: null };
+  return { success: true, settings: validatedSettings, error: null, code: null };
+}
+
+/**
+ * Split a pasted blob or text file into custom words
+ * Words are separated by commas or line breaks; blanks and repeats are dropped
+ * @param {string} text - Raw text
+ * @param {string} locale - Room language (lowercasing rules)
+ * @returns {Array} Normalized words in order of appearance
+ */
+function parseCustomWords(text, locale) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .slice(0, LIMITS.importText.maxLength)
+    .split(/[,\r\n]+/)
+    .map(word => textNormalizer.normalizeText(word, { locale: locale }))
+    .filter((word, index, all) => word.length > 0 && all.indexOf(word) === index);
+}
+
+/**
+ * Import custom words into a room's settings (owner only, before the game starts)
+ * Goes through updateRoomSettings, so the usual length and count limits apply
+ * @param {string} playerId - Player importing (must be owner)
+ * @param {string} roomId - Room ID
+ * @param {string} text - Comma/newline separated words
+ * @param {boolean} replace - Replace the current list instead of appending to it
+ * @returns {Object} { success: boolean, settings: Object|null, added: number, error: string|null, code: string|null }
+ */
+function importCustomWords(playerId, roomId, text, replace) {
+  const room = rooms.get(normalizeRoomId(roomId));
+  if (!room) {
+    return { success: false, settings: null, added: 0, error: 'Room not found', code: ERROR_CODES.NOT_FOUND };
+  }
+
+  const words = parseCustomWords(text, room.settings.language);
+  if (words.length === 0) {
+    return { success: false, settings: null, added: 0, error: 'No words found', code: ERROR_CODES.INVALID };
+  }
+
+  const previous = replace ? [] : room.settings.customWords;
+  const merged = previous.concat(words.filter(word => !previous.includes(word)));
+
+  const result = updateRoomSettings(playerId, roomId, { ...room.settings, customWords: merged });
+  if (!result.success) {
+    return { success: false, settings: null, added: 0, error: result.error, code: result.code };
+  }
+
+  const added = result.settings.customWords.filter(word => !previous.includes(word)).length;
+  console.log(`[ROOM] Imported custom words: ${room.id} | Parsed: ${words.length} | Added: ${added}`);
+
+  return { success: true, settings: result.settings, added: added, error: null, code: null };
 }
 
 /**
@@ -345,15 +779,49 @@ function getRoom(roomId) {
   return rooms.get(normalizedRoomId) || null;
 }
 
+/**
+ * Check if a player is in a room as player or spectator
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if player or spectator of the room
+ */
+function isInRoom(room, playerId) {
+  return room.players.includes(playerId) || room.spectators.includes(playerId);
+}
+
+/**
+ * Check if a player is banned from a room
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if banned
+ */
+function isBanned(room, playerId) {
+  if (room.bannedPlayers && room.bannedPlayers.includes(playerId)) {
+    return true;
+  }
+  const banned = room.bannedIdentities || [];
+  return banned.length > 0 && getIdentityKeys(playerId).some(key => banned.includes(key));
+}
+
+/**
+ * Check if a player is spectating a room
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if spectator
+ */
+function isSpectator(room, playerId) {
+  return Boolean(room.spectators) && room.spectators.includes(playerId);
+}
+
 /**
  * Get room by player ID
- * Finds which room a player is currently in
+ * Finds which room a player is currently in (as player or spectator)
  * @param {string} playerId - Player ID to lookup
  * @returns {Object|null} Room object or null if player not in any room
  */
 function getRoomByPlayer(playerId) {
   for (const room of rooms.values()) {
-    if (room.players.includes(playerId)) {
+    if (isInRoom(room, playerId)) {
       return room;
     }
   }
@@ -362,7 +830,7 @@ function getRoomByPlayer(playerId) {
 
 /**
  * Get all rooms
- * Useful for debugging and future lobby list feature
+ * Useful for debugging; the lobby list uses listPublicRooms
  * @returns {Array} Array of all room objects
  */
 function getAllRooms() {
@@ -377,6 +845,136 @@ function getRoomCount() {
   return rooms.size;
 }
 
+// =============================================================================
+// PERSISTENCE FUNCTIONS
+// =============================================================================
+
+/**
+ * Export all rooms (including in-progress game state) for a storage snapshot
+ * @returns {Array} Deep copies of room objects
+ */
+function exportRooms() {
+  return Array.from(rooms.values()).map(room => JSON.parse(JSON.stringify(room)));
+}
+
+/**
+ * Restore rooms from a storage snapshot
+ * Replaces any rooms currently in memory
+ * @param {Array} snapshot - Array from exportRooms
+ * @returns {number} Number of restored rooms
+ */
+function restoreRooms(snapshot) {
+  if (!Array.isArray(snapshot)) {
+    return 0;
+  }
+
+  rooms.clear();
+  snapshot.forEach(room => {
+    if (room && room.id && Array.isArray(room.players) && room.players.length > 0) {
+      // Re-validate settings so snapshots from older versions pick up new defaults
+      room.settings = validateSettings(room.settings);
+      room.spectators = Array.isArray(room.spectators) ? room.spectators : [];
+      room.bannedPlayers = Array.isArray(room.bannedPlayers) ? room.bannedPlayers : [];
+      room.bannedIdentities = Array.isArray(room.bannedIdentities) ? room.bannedIdentities : [];
+      room.wordHistory = room.wordHistory || { game: [], pastGames: [] };
+      rooms.set(room.id, room);
+    }
+  });
+
+  console.log(`[ROOM] Restored rooms: ${rooms.size}`);
+
+  return rooms.size;
+}
+
+// =============================================================================
+// ROOM BROWSER
+// =============================================================================
+
+/**
+ * Check if a public room can take another player right now
+ * @param {Object} room - Room object
+ * @returns {boolean} True if listed and joinable
+ */
+function isPubliclyJoinable(room) {
+  if (room.settings.visibility !== 'public') {
+    return false;
+  }
+
+  const accepting = room.status === 'waiting' ||
+    (room.status === 'in_game' && room.settings.allowMidGameJoin);
+
+  return accepting && room.players.length < room.settings.maxPlayers;
+}
+
+/**
+ * Get the language of a room
+ * @param {Object} room - Room object
+ * @returns {string} Language code
+ */
+function getRoomLanguage(room) {
+  return room.settings.language || textNormalizer.DEFAULT_LOCALE;
+}
+
+/**
+ * Summarize a room for the room browser
+ * @param {Object} room - Room object
+ * @returns {Object} { id, status, playerCount, maxPlayers, spectatorCount, language, wordPacks, rounds, drawTime }
+ */
+function summarizeRoom(room) {
+  return {
+    id: room.id,
+    status: room.status,
+    playerCount: room.players.length,
+    maxPlayers: room.settings.maxPlayers,
+    spectatorCount: room.spectators.length,
+    language: getRoomLanguage(room),
+    wordPacks: room.settings.wordPacks.map(packId => {
+      const pack = wordPacks.getPack(packId);
+      return { id: packId, name: pack ? pack.name : packId };
+    }),
+    rounds: room.settings.rounds,
+    drawTime: room.settings.drawTime
+  };
+}
+
+/**
+ * List public rooms that can take another player
+ * @param {Object} filter - { language } (optional)
+ * @returns {Array} Room summaries, fullest first
+ */
+function listPublicRooms(filter = {}) {
+  return Array.from(rooms.values())
+    .filter(isPubliclyJoinable)
+    .filter(room => !filter.language || getRoomLanguage(room) === filter.language)
+    .map(summarizeRoom)
+    .sort((a, b) => b.playerCount - a.playerCount);
+}
+
+/**
+ * Pick the best public waiting room for quick match
+ * Fullest room first (gets games started sooner), oldest room on ties;
+ * rooms the player is banned from are skipped
+ * @param {string} playerId - Player looking for a game
+ * @param {Object} filter - { language } (optional)
+ * @returns {Object|null} Room object or null if none fits
+ */
+function findQuickMatchRoom(playerId, filter = {}) {
+  let best = null;
+  rooms.forEach(room => {
+    if (room.status !== 'waiting' || !isPubliclyJoinable(room) || isBanned(room, playerId)) {
+      return;
+    }
+    if (filter.language && getRoomLanguage(room) !== filter.language) {
+      return;
+    }
+    // Map iteration is insertion order, so ">" keeps the oldest room on ties
+    if (!best || room.players.length > best.players.length) {
+      best = room;
+    }
+  });
+  return best;
+}
+
 // =============================================================================
 // MODULE EXPORTS
 // =============================================================================
@@ -384,11 +982,30 @@ function getRoomCount() {
 module.exports = {
   createRoom,
   joinRoom,
+  spectateRoom,
+  promoteSpectator,
+  kickPlayer,
+  banPlayer,
   leaveRoom,
   updateRoomSettings,
+  importCustomWords,
+  parseCustomWords,
   getRoom,
   getRoomByPlayer,
+  isSpectator,
+  isBanned,
   getAllRooms,
   getRoomCount,
-  serializeRoom
+  serializeRoom,
+  getPublicSettings,
+  normalizeRoomId,
+  setRoomIdTakenCheck,
+  setIdentityLookup,
+  listPublicRooms,
+  findQuickMatchRoom,
+  exportRooms,
+  restoreRooms,
+
+  // Constants
+  ERROR_CODES
 };
\ No newline at end of file
@@ -3,27 +3,42 @@
 // Real-time Multiplayer Drawing Game Backend
 // =============================================================================
 // Purpose: Server-authoritative scoring system
-// Faster guesses = higher score, drawer gets partial points
+// Formulas come from the room's scoring strategy; difficulty scales the result
 // =============================================================================
 
+const clock = require('./clock');
 const gameEngine = require('./gameEngine');
 const guessEngine = require('./guessEngine');
+const scoringStrategies = require('./scoringStrategies');
 
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
 
-// Scoring formula constants
-const BASE_SCORE = 100; // Base score for correct guess
-const DRAWER_SCORE_MULTIPLIER = 0.5; // Drawer gets 50% of base score
-const TIME_BONUS_MULTIPLIER = 1.0; // Bonus multiplier for fast guesses
-
-// Maximum time bonus (guessing immediately)
-const MAX_TIME_BONUS = 100;
+// Scoring formula constants (base and time bonus live in scoringStrategies)
+const DRAWER_SCORE_MULTIPLIER = 0.5; // Drawer gets 50% when scored like a guesser
 
 // Minimum score (guessing at the last second)
 const MIN_SCORE = 10;
 
+// Harder words pay more (applied to guesser and drawer)
+const DIFFICULTY_MULTIPLIERS = {
+  easy: 1.0,
+  medium: 1.25,
+  hard: 1.5
+};
+
+// Word length factor: each letter beyond the baseline adds a small bonus
+const LENGTH_BASELINE = 5; // Letters at which the factor is 1.0
+const LENGTH_FACTOR_PER_LETTER = 0.03;
+const LENGTH_FACTOR_MIN = 1.0; // Short words are never penalised
+const LENGTH_FACTOR_MAX = 1.3;
+
+// Starting score for players who join a game in progress
+// zero: start from 0 | lowest: match the last-place player | average: match the room average
+const CATCH_UP_MODES = ['zero', 'lowest', 'average'];
+const DEFAULT_CATCH_UP_MODE = 'zero';
+
 // =============================================================================
 // ROUND SCORING STORAGE
 // =============================================================================
@@ -38,37 +53,99 @@ const roundGuessTimes = new Map();
 // =============================================================================
 
 /**
- * Calculate score for a correct guess
- * Faster guesses = higher score
+ * Calculate word length factor
+ * Longer words are harder to draw and guess
+ * @param {string|null} word - Selected word (spaces ignored)
+ * @returns {number} Factor between LENGTH_FACTOR_MIN and LENGTH_FACTOR_MAX
+ */
+function getLengthFactor(word) {
+  if (!word || typeof word !== 'string') {
+    return 1;
+  }
+  const letters = word.replace(/\s/g, '').length;
+  const factor = 1 + (letters - LENGTH_BASELINE) * LENGTH_FACTOR_PER_LETTER;
+  return Math.max(LENGTH_FACTOR_MIN, Math.min(LENGTH_FACTOR_MAX, factor));
+}
+
+/**
+ * Get combined difficulty multiplier for a word
+ * @param {string|null} difficulty - Difficulty tier of the word
+ * @param {string|null} word - Selected word
+ * @returns {number} Difficulty multiplier × length factor
+ */
+function getWordMultiplier(difficulty, word) {
+  const difficultyMultiplier = DIFFICULTY_MULTIPLIERS[difficulty] || 1;
+  return difficultyMultiplier * getLengthFactor(word);
+}
+
+/**
+ * Calculate score breakdown for a correct guess
+ * Base and time bonus come from the strategy, harder/longer words add a difficulty bonus
  * @param {number} roundTime - Total round time in seconds
  * @param {number} guessTime - Time when player guessed (seconds elapsed)
  * @param {boolean} isDrawer - Whether player is the drawer
- * @returns {number} Calculated score
+ * @param {string|null} difficulty - Difficulty tier of the word
+ * @param {string|null} word - Selected word
+ * @param {Object} scoring - { strategy: string, rank: number } (rank 0 = first correct guesser)
+ * @returns {Object} { base: number, timeBonus: number, difficultyBonus: number, total: number }
  */
-function calculateScore(roundTime, guessTime, isDrawer) {
+function calculateScoreBreakdown(roundTime, guessTime, isDrawer, difficulty = null, word = null, scoring = {}) {
   // Ensure valid inputs
   if (roundTime <= 0 || guessTime < 0 || guessTime > roundTime) {
-    return MIN_SCORE;
+    return { base: MIN_SCORE, timeBonus: 0, difficultyBonus: 0, total: MIN_SCORE };
   }
   
-  // Calculate time ratio (0 = guessed immediately, 1 = guessed at end)
-  const timeRatio = guessTime / roundTime;
-  
-  // Calculate time bonus (higher for faster guesses)
-  const timeBonus = MAX_TIME_BONUS * (1 - timeRatio);
-  
-  // Base score calculation
-  let score = BASE_SCORE + timeBonus;
+  const strategy = scoringStrategies.getStrategy(scoring.strategy);
+  let { base, timeBonus } = strategy.scoreGuess({
+    rank: scoring.rank || 0,
+    roundTime: roundTime,
+    guessTime: guessTime
+  });
   
   // Apply drawer multiplier if drawer
   if (isDrawer) {
-    score = Math.floor(score * DRAWER_SCORE_MULTIPLIER);
+    base = Math.floor(base * DRAWER_SCORE_MULTIPLIER);
+    timeBonus = Math.floor(timeBonus * DRAWER_SCORE_MULTIPLIER);
   }
   
+  // Difficulty bonus is the extra on top of base + time bonus
+  const difficultyBonus = Math.floor((base + timeBonus) * (getWordMultiplier(difficulty, word) - 1));
+  
   // Ensure minimum score
-  score = Math.max(MIN_SCORE, Math.floor(score));
+  const total = Math.max(MIN_SCORE, base + timeBonus + difficultyBonus);
   
-  return score;
+  return { base, timeBonus, difficultyBonus, total };
+}
+
+/**
+ * Calculate score for a correct guess
+ * @param {number} roundTime - Total round time in seconds
+ * @param {number} guessTime - Time when player guessed (seconds elapsed)
+ * @param {boolean} isDrawer - Whether player is the drawer
+ * @param {string|null} difficulty - Difficulty tier of the word
+ * @param {string|null} word - Selected word
+ * @param {Object} scoring - { strategy: string, rank: number }
+ * @returns {number} Calculated score
+ */
+function calculateScore(roundTime, guessTime, isDrawer, difficulty = null, word = null, scoring = {}) {
+  return calculateScoreBreakdown(roundTime, guessTime, isDrawer, difficulty, word, scoring).total;
+}
+
+/**
+ * Calculate drawer score breakdown
+ * Payout grows with the fraction of players who guessed and how fast they did it
+ * @param {Object} stats - { guessedCount, guesserCount, averageSpeed } (speed 1 = instant)
+ * @param {string|null} difficulty - Difficulty tier of the word
+ * @param {string|null} word - Selected word
+ * @param {string} strategyId - Scoring strategy from room settings
+ * @returns {Object} { base: number, timeBonus: number, difficultyBonus: number, total: number }
+ */
+function calculateDrawerBreakdown(stats, difficulty = null, word = null, strategyId = null) {
+  const strategy = scoringStrategies.getStrategy(strategyId);
+  const base = strategy.scoreDrawer(stats);
+  const difficultyBonus = Math.floor(base * (getWordMultiplier(difficulty, word) - 1));
+  
+  return { base, timeBonus: 0, difficultyBonus, total: base + difficultyBonus };
 }
 
 /**
@@ -106,6 +183,32 @@ function getGuessTime(roomId, round, playerId) {
   return roomData[round].get(playerId) || null;
 }
 
+/**
+ * Collect guess statistics the drawer payout is based on
+ * Guessers in their reconnect grace period don't lower the payout (see guessEngine.getCountedGuessers)
+ * @param {Object} room - Room object with active game
+ * @returns {Object} { guessedCount, guesserCount, averageSpeed }
+ */
+function getDrawerStats(room) {
+  const game = room.game;
+  const guesserCount = guessEngine.getCountedGuessers(room).length;
+  const guessed = guessEngine.getGuessedPlayers(room);
+  
+  const speeds = guessed.map(playerId => {
+    const timestamp = getGuessTime(room.id, game.currentRound, playerId);
+    if (timestamp === null || !game.roundStartTime) {
+      return 0;
+    }
+    return scoringStrategies.getSpeed(room.settings.drawTime, (timestamp - game.roundStartTime) / 1000);
+  });
+  
+  const averageSpeed = speeds.length > 0
+    ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length
+    : 0;
+  
+  return { guessedCount: guessed.length, guesserCount, averageSpeed };
+}
+
 /**
  * Clear round guess times for a room
  * @param {string} roomId - Room ID
@@ -126,16 +229,22 @@ function clearRoundGuessTimes(roomId) {
  * @param {number} guessTimestamp - Timestamp when guess was made (milliseconds)
  * @param {Function} getPlayer - Function to get player object
  * @param {Function} updatePlayerScore - Function to update player score
- * @returns {Object} { success: boolean, score: number, totalScore: number, error: string|null }
+ * @returns {Object} { success: boolean, score: number, totalScore: number, breakdown: Object|null, error: string|null }
  */
 function awardGuessScore(room, playerId, guessTimestamp, getPlayer, updatePlayerScore) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
-    return { success: false, score: 0, totalScore: 0, error: validation.error };
+    return { success: false, score: 0, totalScore: 0, breakdown: null, error: validation.error };
   }
   
   const game = room.game;
+  const word = game.selectedWord || null;
+  const difficulty = game.selectedDifficulty || null;
+  
+  // Order of correct guesses matters for rank-based strategies
+  const rank = Math.max(0, (game.guessedPlayers || []).indexOf(playerId));
+  const scoring = { strategy: room.settings.scoringStrategy, rank: rank };
   
   // Check if player has already been scored for this round
   const existingTime = getGuessTime(room.id, game.currentRound, playerId);
@@ -143,29 +252,33 @@ function awardGuessScore(room, playerId, guessTimestamp, getPlayer, updatePlayer
     // Already scored, return existing score
     const player = getPlayer(playerId);
     if (!player) {
-      return { success: false, score: 0, totalScore: 0, error: 'Player not found' };
+      return { success: false, score: 0, totalScore: 0, breakdown: null, error: 'Player not found' };
     }
-    const roundScore = calculateScore(
+    const breakdown = calculateScoreBreakdown(
       room.settings.drawTime,
       (existingTime - game.roundStartTime) / 1000,
-      gameEngine.isCurrentDrawer(room, playerId)
+      gameEngine.isCurrentDrawer(room, playerId),
+      difficulty,
+      word,
+      scoring
     );
-    return { success: true, score: roundScore, totalScore: player.score || 0, error: null };
+    return { success: true, score: breakdown.total, totalScore: player.score || 0, breakdown: breakdown, error: null };
   }
   
   // Record guess time
   recordGuessTime(room.id, game.currentRound, playerId, guessTimestamp);
   
   // Calculate score
-  const roundStartTime = game.roundStartTime || Date.now();
+  const roundStartTime = game.roundStartTime || clock.now();
   const guessTimeSeconds = (guessTimestamp - roundStartTime) / 1000;
   const isDrawer = gameEngine.isCurrentDrawer(room, playerId);
-  const roundScore = calculateScore(room.settings.drawTime, guessTimeSeconds, isDrawer);
+  const breakdown = calculateScoreBreakdown(room.settings.drawTime, guessTimeSeconds, isDrawer, difficulty, word, scoring);
+  const roundScore = breakdown.total;
   
   // Update player score
   const player = getPlayer(playerId);
   if (!player) {
-    return { success: false, score: 0, totalScore: 0, error: 'Player not found' };
+    return { success: false, score: 0, totalScore: 0, breakdown: null, error: 'Player not found' };
   }
   
   // Initialize score if not exists
@@ -179,7 +292,7 @@ function awardGuessScore(room, playerId, guessTimestamp, getPlayer, updatePlayer
   
   console.log(`[SCORE] Awarded score: ${room.id} | Round: ${game.currentRound} | Player: ${playerId} | Round Score: ${roundScore} | Total: ${newTotalScore}`);
   
-  return { success: true, score: roundScore, totalScore: newTotalScore, error: null };
+  return { success: true, score: roundScore, totalScore: newTotalScore, breakdown: breakdown, error: null };
 }
 
 /**
@@ -189,13 +302,13 @@ function awardGuessScore(room, playerId, guessTimestamp, getPlayer, updatePlayer
  * @param {Object} room - Room object with active game
  * @param {Function} getPlayer - Function to get player object
  * @param {Function} updatePlayerScore - Function to update player score
- * @returns {Object} { success: boolean, drawerScore: number, error: string|null }
+ * @returns {Object} { success: boolean, drawerScore: number, breakdown: Object|null, error: string|null }
  */
 function awardDrawerScore(room, getPlayer, updatePlayerScore) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
-    return { success: false, drawerScore: 0, error: validation.error };
+    return { success: false, drawerScore: 0, breakdown: null, error: validation.error };
   }
   
   const game = room.game;
@@ -207,25 +320,30 @@ function awardDrawerScore(room, getPlayer, updatePlayerScore) {
     // Already scored, return existing score
     const drawer = getPlayer(drawerId);
     if (!drawer) {
-      return { success: false, drawerScore: 0, error: 'Drawer not found' };
+      return { success: false, drawerScore: 0, breakdown: null, error: 'Drawer not found' };
     }
     // Calculate what the drawer score was
-    const guessedCount = guessEngine.getGuessedPlayersCount(room);
-    const scorePerGuesser = Math.floor(BASE_SCORE * DRAWER_SCORE_MULTIPLIER);
-    const drawerScore = guessedCount * scorePerGuesser;
-    return { success: true, drawerScore: drawerScore, error: null };
+    const breakdown = calculateDrawerBreakdown(
+      getDrawerStats(room),
+      game.selectedDifficulty,
+      game.selectedWord,
+      room.settings.scoringStrategy
+    );
+    return { success: true, drawerScore: breakdown.total, breakdown: breakdown, error: null };
   }
   
-  // Calculate drawer score based on number of correct guessers
-  const guessedCount = guessEngine.getGuessedPlayersCount(room);
-  
-  // Drawer gets points for each correct guesser
-  // Base score per guesser, with multiplier
-  const scorePerGuesser = Math.floor(BASE_SCORE * DRAWER_SCORE_MULTIPLIER);
-  const drawerScore = guessedCount * scorePerGuesser;
+  // Calculate drawer score from how many guessers got it and how fast
+  // (must run before the drawer marker is recorded below)
+  const breakdown = calculateDrawerBreakdown(
+    getDrawerStats(room),
+    game.selectedDifficulty,
+    game.selectedWord,
+    room.settings.scoringStrategy
+  );
+  const drawerScore = breakdown.total;
   
   // Record that drawer has been scored (using special marker)
-  recordGuessTime(room.id, game.currentRound, drawerId, Date.now());
+  recordGuessTime(room.id, game.currentRound, drawerId, clock.now());
   
   // Update drawer score
   const drawer = getPlayer(drawerId);
@@ -239,7 +357,7 @@ function awardDrawerScore(room, getPlayer, updatePlayerScore) {
     console.log(`[SCORE] Awarded drawer score: ${room.id} | Round: ${game.currentRound} | Drawer: ${drawerId} | Score: ${drawerScore} | Total: ${newTotalScore}`);
   }
   
-  return { success: true, drawerScore: drawerScore, error: null };
+  return { success: true, drawerScore: drawerScore, breakdown: breakdown, error: null };
 }
 
 /**
@@ -267,6 +385,34 @@ function getLeaderboard(room, getPlayer) {
   return leaderboard;
 }
 
+/**
+ * Get starting score for a player joining a game in progress
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Joining player ID (excluded from the calculation)
+ * @param {Function} getPlayer - Function to get player object
+ * @returns {number} Catch-up score
+ */
+function getCatchUpScore(room, playerId, getPlayer) {
+  const scores = room.players
+    .filter(id => id !== playerId)
+    .map(id => getPlayer(id))
+    .filter(player => player !== null)
+    .map(player => player.score || 0);
+
+  if (scores.length === 0) {
+    return 0;
+  }
+
+  switch (room.settings.catchUpScore) {
+    case 'lowest':
+      return Math.min(...scores);
+    case 'average':
+      return Math.floor(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    default:
+      return 0;
+  }
+}
+
 /**
  * Initialize round start time for scoring
  * @param {Object} room - Room object with active game
@@ -275,6 +421,43 @@ function getLeaderboard(room, getPlayer) {
 function initializeRoundStartTime(room, startTime) {
   if (room.game) {
     room.game.roundStartTime = startTime;
+    room.game.roundPausedAt = null;
+  }
+}
+
+/**
+ * Stop the scoring clock when the turn is paused
+ * @param {Object} room - Room object with active game
+ */
+function pauseRoundClock(room) {
+  if (room.game) {
+    room.game.roundPausedAt = clock.now();
+  }
+}
+
+/**
+ * Restart the scoring clock after a pause
+ * The round start and the guesses made so far move forward by the paused time,
+ * so time spent paused never counts as guessing time
+ * @param {Object} room - Room object with active game
+ */
+function resumeRoundClock(room) {
+  const game = room.game;
+  if (!game || typeof game.roundPausedAt !== 'number') {
+    return;
+  }
+
+  const pausedFor = Math.max(0, clock.now() - game.roundPausedAt);
+  game.roundPausedAt = null;
+
+  if (game.roundStartTime) {
+    game.roundStartTime += pausedFor;
+  }
+
+  const roomData = roundGuessTimes.get(room.id);
+  const times = roomData && roomData[game.currentRound];
+  if (times) {
+    times.forEach((timestamp, playerId) => times.set(playerId, timestamp + pausedFor));
   }
 }
 
@@ -290,6 +473,44 @@ function clearRoundScoring(roomId) {
   }
 }
 
+// =============================================================================
+// PERSISTENCE FUNCTIONS
+// =============================================================================
+
+/**
+ * Export recorded guess times for a storage snapshot
+ * @returns {Object} { roomId: { round: { playerId: timestamp } } }
+ */
+function exportGuessTimes() {
+  const exported = {};
+  roundGuessTimes.forEach((roomData, roomId) => {
+    exported[roomId] = {};
+    Object.keys(roomData).forEach(round => {
+      exported[roomId][round] = Object.fromEntries(roomData[round]);
+    });
+  });
+  return exported;
+}
+
+/**
+ * Restore recorded guess times from a storage snapshot
+ * @param {Object} snapshot - Object from exportGuessTimes
+ */
+function restoreGuessTimes(snapshot) {
+  roundGuessTimes.clear();
+  if (!snapshot || typeof snapshot !== 'object') {
+    return;
+  }
+  
+  Object.keys(snapshot).forEach(roomId => {
+    const roomData = {};
+    Object.keys(snapshot[roomId]).forEach(round => {
+      roomData[round] = new Map(Object.entries(snapshot[roomId][round]));
+    });
+    roundGuessTimes.set(roomId, roomData);
+  });
+}
+
 // =============================================================================
 // MODULE EXPORTS
 // =============================================================================
@@ -301,14 +522,28 @@ module.exports = {
   
   // Leaderboard
   getLeaderboard,
+  getCatchUpScore,
   
   // Round management
   initializeRoundStartTime,
+  pauseRoundClock,
+  resumeRoundClock,
   clearRoundScoring,
   
   // Utilities
   calculateScore,
+  calculateScoreBreakdown,
+  calculateDrawerBreakdown,
   recordGuessTime,
-  getGuessTime
+  getGuessTime,
+  
+  // Persistence
+  exportGuessTimes,
+  restoreGuessTimes,
+  
+  // Constants
+  DIFFICULTY_MULTIPLIERS,
+  CATCH_UP_MODES,
+  DEFAULT_CATCH_UP_MODE
 };
 
@@ -0,0 +1,153 @@
+// =============================================================================
+// SCORING STRATEGIES MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Pluggable formulas for guesser and drawer points
+// Selected per room via settings.scoringStrategy; scoreEngine applies them
+// =============================================================================
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+const BASE_SCORE = 100; // Base score for correct guess
+const MAX_TIME_BONUS = 100; // Maximum time bonus (guessing immediately)
+
+// Classic: first guesser gets the most, each later guesser gets a decayed share
+const CLASSIC_FIRST_SCORE = 200;
+const CLASSIC_RANK_DECAY = 0.8; // Each rank keeps 80% of the previous rank's score
+const CLASSIC_MIN_RANK_SCORE = 50;
+
+// Drawer payout: fraction of players who got it × guessers' average speed
+const DRAWER_MAX_SCORE = 200;
+const DRAWER_SPEED_WEIGHT = 0.5; // Share of drawer payout that depends on speed
+
+const DEFAULT_STRATEGY = 'time_linear';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Calculate speed of a guess
+ * @param {number} roundTime - Total round time in seconds
+ * @param {number} guessTime - Seconds elapsed when player guessed
+ * @returns {number} 1 = guessed immediately, 0 = guessed at the buzzer
+ */
+function getSpeed(roundTime, guessTime) {
+  if (roundTime <= 0 || guessTime < 0 || guessTime > roundTime) {
+    return 0;
+  }
+  return 1 - guessTime / roundTime;
+}
+
+/**
+ * Drawer payout shared by speed-aware strategies
+ * Nobody guessed = 0; everyone guessed instantly = DRAWER_MAX_SCORE
+ * @param {Object} stats - { guessedCount, guesserCount, averageSpeed }
+ * @returns {number} Drawer base score
+ */
+function speedWeightedDrawerScore(stats) {
+  if (stats.guesserCount <= 0 || stats.guessedCount <= 0) {
+    return 0;
+  }
+  const fraction = stats.guessedCount / stats.guesserCount;
+  const speedFactor = (1 - DRAWER_SPEED_WEIGHT) + DRAWER_SPEED_WEIGHT * stats.averageSpeed;
+  return Math.floor(DRAWER_MAX_SCORE * fraction * speedFactor);
+}
+
+// =============================================================================
+// STRATEGY DEFINITIONS
+// =============================================================================
+
+/**
+ * Strategy structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   scoreGuess: ({ rank, roundTime, guessTime }) => { base, timeBonus },
+ *   scoreDrawer: ({ guessedCount, guesserCount, averageSpeed }) => number
+ * }
+ * rank is 0 for the first correct guesser of the turn
+ */
+const STRATEGIES = {
+  // Rank-based decay: order of guessing matters, time does not
+  classic: {
+    id: 'classic',
+    name: 'Skribbl classic',
+    scoreGuess: ({ rank }) => ({
+      base: Math.max(
+        CLASSIC_MIN_RANK_SCORE,
+        Math.floor(CLASSIC_FIRST_SCORE * Math.pow(CLASSIC_RANK_DECAY, rank))
+      ),
+      timeBonus: 0
+    }),
+    scoreDrawer: speedWeightedDrawerScore
+  },
+
+  // Base score plus a bonus that shrinks linearly with time elapsed
+  time_linear: {
+    id: 'time_linear',
+    name: 'Time linear',
+    scoreGuess: ({ roundTime, guessTime }) => ({
+      base: BASE_SCORE,
+      timeBonus: Math.floor(MAX_TIME_BONUS * getSpeed(roundTime, guessTime))
+    }),
+    scoreDrawer: speedWeightedDrawerScore
+  },
+
+  // Same points for every correct guess; drawer paid per guesser
+  fixed: {
+    id: 'fixed',
+    name: 'Fixed',
+    scoreGuess: () => ({ base: BASE_SCORE, timeBonus: 0 }),
+    scoreDrawer: ({ guessedCount, guesserCount }) =>
+      guesserCount > 0 ? Math.floor(DRAWER_MAX_SCORE * guessedCount / guesserCount) : 0
+  }
+};
+
+// =============================================================================
+// STRATEGY ACCESS
+// =============================================================================
+
+/**
+ * Get strategy by ID
+ * @param {string} strategyId - Strategy ID from room settings
+ * @returns {Object} Strategy object (default strategy if unknown)
+ */
+function getStrategy(strategyId) {
+  return STRATEGIES[strategyId] || STRATEGIES[DEFAULT_STRATEGY];
+}
+
+/**
+ * Check if a strategy ID is known
+ * @param {string} strategyId - Strategy ID
+ * @returns {boolean} True if strategy exists
+ */
+function isValidStrategy(strategyId) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, strategyId);
+}
+
+/**
+ * List available strategies for clients
+ * @returns {Array} Array of { id, name }
+ */
+function listStrategies() {
+  return Object.values(STRATEGIES).map(strategy => ({ id: strategy.id, name: strategy.name }));
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  getStrategy,
+  isValidStrategy,
+  listStrategies,
+  getSpeed,
+
+  // Constants
+  DEFAULT_STRATEGY,
+  BASE_SCORE,
+  MAX_TIME_BONUS
+};
@@ -0,0 +1,93 @@
+// =============================================================================
+// FILE STORAGE ADAPTER
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Persist snapshots as JSON files so state survives a restart
+// Writes go to a temp file first and are renamed, so a crash never leaves half a file
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Turn a snapshot key into a safe file name
+ * @param {string} key - Snapshot key
+ * @returns {string} File name
+ */
+function keyToFileName(key) {
+  return `${String(key).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+}
+
+// =============================================================================
+// ADAPTER FACTORY
+// =============================================================================
+
+/**
+ * Create a file-backed storage adapter
+ * Adapter interface: { name, durable, save(key, data), load(key), remove(key) }
+ * @param {string} directory - Directory to keep snapshot files in (created if missing)
+ * @returns {Object} Storage adapter
+ */
+function createFileStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  return {
+    name: 'file',
+    durable: true, // Survives a restart
+
+    /**
+     * Store a snapshot under a key
+     * @param {string} key - Snapshot key
+     * @param {Object} data - JSON-serializable data
+     */
+    save(key, data) {
+      const filePath = path.join(directory, keyToFileName(key));
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    },
+
+    /**
+     * Load a snapshot by key
+     * A corrupt file is logged and treated as missing
+     * @param {string} key - Snapshot key
+     * @returns {Object|null} Stored data or null if missing
+     */
+    load(key) {
+      const filePath = path.join(directory, keyToFileName(key));
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.error(`[STORAGE] Failed to read snapshot ${filePath}:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} key - Snapshot key
+     */
+    remove(key) {
+      const filePath = path.join(directory, keyToFileName(key));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  createFileStore
+};
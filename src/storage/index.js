@@ -0,0 +1,37 @@
+// =============================================================================
+// STORAGE ADAPTER REGISTRY
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Pick a storage adapter by driver name
+// Every adapter implements { name, durable, save(key, data), load(key), remove(key) }
+// =============================================================================
+
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+/**
+ * Create a storage adapter
+ * @param {string} driver - 'memory' | 'file'
+ * @param {Object} options - Adapter options ({ directory } for the file driver)
+ * @returns {Object} Storage adapter
+ */
+function createStore(driver, options = {}) {
+  switch (driver) {
+    case 'file':
+      return createFileStore(options.directory);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore
+};
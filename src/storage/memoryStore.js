@@ -0,0 +1,56 @@
+// =============================================================================
+// IN-MEMORY STORAGE ADAPTER
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Default storage adapter - snapshots live only as long as the process
+// A restart starts from an empty state (original behavior)
+// =============================================================================
+
+/**
+ * Create an in-memory storage adapter
+ * Adapter interface: { name, durable, save(key, data), load(key), remove(key) }
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStore() {
+  // Map structure: key -> deep-copied snapshot
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    durable: false, // Gone with the process - not worth snapshotting periodically
+
+    /**
+     * Store a snapshot under a key
+     * @param {string} key - Snapshot key
+     * @param {Object} data - JSON-serializable data
+     */
+    save(key, data) {
+      entries.set(key, JSON.parse(JSON.stringify(data)));
+    },
+
+    /**
+     * Load a snapshot by key
+     * @param {string} key - Snapshot key
+     * @returns {Object|null} Stored data or null if missing
+     */
+    load(key) {
+      return entries.has(key) ? JSON.parse(JSON.stringify(entries.get(key))) : null;
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} key - Snapshot key
+     */
+    remove(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,132 @@
+// =============================================================================
+// TEXT NORMALIZATION MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: One normalization pipeline for words, guesses and chat matching
+// Unicode NFKC, locale-aware lowercasing and optional diacritic-insensitive
+// matching, plus grapheme splitting so masks and hints count letters, not
+// UTF-16 code units
+// =============================================================================
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+const DEFAULT_LOCALE = 'en';
+
+// Grapheme segmenters per locale, created on first use
+const segmenters = new Map();
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Check if a string is a usable BCP 47 language tag
+ * @param {string} locale - Language tag (e.g., "en", "tr", "pt-BR")
+ * @returns {boolean} True if Intl accepts it
+ */
+function isValidLocale(locale) {
+  if (typeof locale !== 'string' || locale.trim().length === 0) {
+    return false;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lowercase with the locale's rules (Turkish "I" -> "ı", "İ" -> "i")
+ * @param {string} text - Text
+ * @param {string} locale - Language tag
+ * @returns {string} Lowercased text
+ */
+function foldCase(text, locale) {
+  return text.toLocaleLowerCase(isValidLocale(locale) ? locale : DEFAULT_LOCALE);
+}
+
+/**
+ * Remove diacritics ("café" -> "cafe")
+ * @param {string} text - Text
+ * @returns {string} Text without combining marks, recomposed
+ */
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
+
+// =============================================================================
+// NORMALIZATION FUNCTIONS
+// =============================================================================
+
+/**
+ * Normalize text for comparison
+ * NFKC (full-width and compatibility forms fold to their plain letters), trim,
+ * collapse whitespace, locale-aware lowercase, then optionally drop diacritics
+ * @param {string} text - Raw text
+ * @param {Object} options - { locale: string, ignoreDiacritics: boolean }
+ * @returns {string} Normalized text ('' for non-strings)
+ */
+function normalizeText(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  let normalized = text.normalize('NFKC').trim().replace(/\s+/g, ' ');
+  normalized = foldCase(normalized, options.locale);
+
+  if (options.ignoreDiacritics) {
+    normalized = stripDiacritics(normalized);
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalization options for a room
+ * @param {Object} room - Room object
+ * @returns {Object} { locale, ignoreDiacritics }
+ */
+function getRoomOptions(room) {
+  const settings = (room && room.settings) || {};
+  return {
+    locale: settings.language || DEFAULT_LOCALE,
+    ignoreDiacritics: Boolean(settings.ignoreDiacritics)
+  };
+}
+
+/**
+ * Split text into user-perceived characters
+ * Keeps combining marks and emoji sequences together with their base character
+ * @param {string} text - Text
+ * @param {string} locale - Language tag
+ * @returns {Array} Graphemes
+ */
+function splitGraphemes(text, locale = DEFAULT_LOCALE) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const key = isValidLocale(locale) ? locale : DEFAULT_LOCALE;
+  if (!segmenters.has(key)) {
+    segmenters.set(key, new Intl.Segmenter(key, { granularity: 'grapheme' }));
+  }
+
+  return Array.from(segmenters.get(key).segment(text), segment => segment.segment);
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  normalizeText,
+  getRoomOptions,
+  splitGraphemes,
+  stripDiacritics,
+  isValidLocale,
+
+  // Constants
+  DEFAULT_LOCALE
+};
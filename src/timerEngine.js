@@ -6,6 +6,7 @@
 // This module ensures server-authoritative timing with safe timer cleanup
 // =============================================================================
 
+const clock = require('./clock');
 const gameEngine = require('./gameEngine');
 const wordEngine = require('./wordEngine');
 
@@ -17,6 +18,10 @@ const wordEngine = require('./wordEngine');
 // Each room can have only one active timer at a time
 const activeTimers = new Map();
 
+// Map structure: roomId -> vote timer object
+// Kick votes run alongside the game timer, so they get their own slot
+const voteTimers = new Map();
+
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
@@ -32,23 +37,73 @@ const WORD_SELECTION_TIMEOUT = wordEngine.WORD_SELECTION_TIMEOUT;
  * Timer object structure:
  * {
  *   roomId: string,
- *   type: 'word_selection' | 'drawing',
- *   duration: number,      // Total duration in seconds
- *   remaining: number,     // Remaining time in seconds
- *   intervalId: NodeJS.Timeout,  // setInterval ID
- *   timeoutId: NodeJS.Timeout,   // setTimeout ID for final timeout
- *   onTick: Function,       // Called every second
+ *   type: 'word_selection' | 'drawing' | 'vote',
+ *   store: Map,            // activeTimers or voteTimers
+ *   duration: number,      // Total duration in seconds (grows with extendTimer)
+ *   deadline: number|null, // Absolute expiry time (ms, clock.now() based); null while paused
+ *   pausedRemaining: number|null, // Milliseconds left when paused; null while running
+ *   tickId: Object,        // clock.schedule handle for the next tick
+ *   timeoutId: Object,     // clock.schedule handle for expiry
+ *   onTick: Function,       // Called on every whole second left
  *   onTimeout: Function     // Called when timer expires
  * }
+ * Remaining time is always derived from the deadline, so ticks can't drift from expiry
  */
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
+/**
+ * Milliseconds left on a timer
+ * @param {Object} timer - Timer object
+ * @returns {number} Milliseconds (never negative)
+ */
+function getRemainingMs(timer) {
+  if (timer.pausedRemaining !== null) {
+    return timer.pausedRemaining;
+  }
+  return Math.max(0, timer.deadline - clock.now());
+}
+
+/**
+ * Whole seconds left on a timer (what clients display)
+ * @param {Object} timer - Timer object
+ * @returns {number} Seconds, rounded up
+ */
+function getRemainingSeconds(timer) {
+  return Math.ceil(getRemainingMs(timer) / 1000);
+}
+
+/**
+ * Describe a timer for clients and callbacks
+ * @param {Object} timer - Timer object
+ * @returns {Object} { type, duration, remaining, deadline, paused }
+ */
+function describeTimer(timer) {
+  return {
+    type: timer.type,
+    duration: timer.duration,
+    remaining: getRemainingSeconds(timer),
+    deadline: timer.deadline,
+    paused: timer.pausedRemaining !== null
+  };
+}
+
+/**
+ * Cancel a timer's scheduled tick and expiry (the timer itself stays registered)
+ * @param {Object} timer - Timer object
+ */
+function disarm(timer) {
+  clock.cancel(timer.tickId);
+  clock.cancel(timer.timeoutId);
+  timer.tickId = null;
+  timer.timeoutId = null;
+}
+
 /**
  * Clear timer safely
- * Removes all timer references and clears intervals/timeouts
+ * Removes all timer references and cancels scheduled callbacks
  * @param {string} roomId - Room ID to clear timer for
  */
 function clearTimer(roomId) {
@@ -57,15 +112,7 @@ function clearTimer(roomId) {
     return;
   }
   
-  // Clear interval if exists
-  if (timer.intervalId) {
-    clearInterval(timer.intervalId);
-  }
-  
-  // Clear timeout if exists
-  if (timer.timeoutId) {
-    clearTimeout(timer.timeoutId);
-  }
+  disarm(timer);
   
   // Remove from storage
   activeTimers.delete(roomId);
@@ -76,7 +123,7 @@ function clearTimer(roomId) {
 /**
  * Create timer object
  * @param {string} roomId - Room ID
- * @param {string} type - Timer type ('word_selection' | 'drawing')
+ * @param {string} type - Timer type ('word_selection' | 'drawing' | 'vote')
  * @param {number} duration - Duration in seconds
  * @param {Function} onTick - Callback for each tick
  * @param {Function} onTimeout - Callback when timer expires
@@ -86,15 +133,79 @@ function createTimer(roomId, type, duration, onTick, onTimeout) {
   return {
     roomId,
     type,
+    store: type === 'vote' ? voteTimers : activeTimers,
     duration,
-    remaining: duration,
-    intervalId: null,
+    deadline: clock.now() + duration * 1000,
+    pausedRemaining: null,
+    tickId: null,
     timeoutId: null,
     onTick,
     onTimeout
   };
 }
 
+/**
+ * Schedule the next tick on the next whole second before the deadline
+ * @param {Object} timer - Running timer object
+ */
+function scheduleTick(timer) {
+  const remainingMs = getRemainingMs(timer);
+  if (remainingMs <= TIMER_TICK_INTERVAL) {
+    return; // The last tick (0) is sent on expiry
+  }
+
+  const untilNextTick = remainingMs % TIMER_TICK_INTERVAL || TIMER_TICK_INTERVAL;
+  timer.tickId = clock.schedule(() => {
+    timer.tickId = null;
+    try {
+      timer.onTick(timer.roomId, getRemainingSeconds(timer), describeTimer(timer));
+    } catch (error) {
+      console.error(`[TIMER] Error in tick callback for ${timer.roomId}:`, error);
+    }
+    // The tick callback may have stopped, paused or replaced the timer
+    if (timer.store.get(timer.roomId) === timer && timer.pausedRemaining === null && !timer.tickId) {
+      scheduleTick(timer);
+    }
+  }, untilNextTick);
+}
+
+/**
+ * Handle a timer reaching its deadline
+ * @param {Object} timer - Timer object
+ */
+function expire(timer) {
+  disarm(timer);
+
+  // Remove from storage
+  timer.store.delete(timer.roomId);
+
+  // Final tick so countdowns land on zero
+  try {
+    timer.onTick(timer.roomId, 0, describeTimer(timer));
+  } catch (error) {
+    console.error(`[TIMER] Error in tick callback for ${timer.roomId}:`, error);
+  }
+
+  // Call timeout callback
+  try {
+    timer.onTimeout(timer.roomId);
+  } catch (error) {
+    console.error(`[TIMER] Error in timeout callback for ${timer.roomId}:`, error);
+  }
+
+  console.log(`[TIMER] Timer expired: ${timer.roomId} | Type: ${timer.type}`);
+}
+
+/**
+ * Schedule ticks and expiry from the timer's deadline
+ * @param {Object} timer - Running timer object
+ */
+function arm(timer) {
+  disarm(timer);
+  timer.timeoutId = clock.schedule(() => expire(timer), getRemainingMs(timer));
+  scheduleTick(timer);
+}
+
 // =============================================================================
 // TIMER MANAGEMENT FUNCTIONS
 // =============================================================================
@@ -105,7 +216,8 @@ function createTimer(roomId, type, duration, onTick, onTimeout) {
  * @param {string} roomId - Room ID
  * @param {string} type - Timer type ('word_selection' | 'drawing')
  * @param {number} duration - Duration in seconds
- * @param {Function} onTick - Callback called every second with (roomId, remaining)
+ * @param {Function} onTick - Callback called every second with (roomId, remaining, info)
+ *   info is { type, duration, remaining, deadline, paused }
  * @param {Function} onTimeout - Callback called when timer expires with (roomId)
  * @returns {Object} { success: boolean, error: string|null }
  */
@@ -130,50 +242,10 @@ function startTimer(roomId, type, duration, onTick, onTimeout) {
   // Clear any existing timer for this room
   clearTimer(roomId);
   
-  // Create timer object
+  // Create timer object and schedule it from its deadline
   const timer = createTimer(roomId, type, duration, onTick, onTimeout);
-  
-  // Set up interval for ticks (every second)
-  timer.intervalId = setInterval(() => {
-    timer.remaining--;
-    
-    // Call tick callback
-    try {
-      timer.onTick(roomId, timer.remaining);
-    } catch (error) {
-      console.error(`[TIMER] Error in tick callback for ${roomId}:`, error);
-    }
-    
-    // Stop interval when time runs out
-    if (timer.remaining <= 0) {
-      clearInterval(timer.intervalId);
-      timer.intervalId = null;
-    }
-  }, TIMER_TICK_INTERVAL);
-  
-  // Set up timeout for final expiration
-  timer.timeoutId = setTimeout(() => {
-    // Clear interval if still running
-    if (timer.intervalId) {
-      clearInterval(timer.intervalId);
-      timer.intervalId = null;
-    }
-    
-    // Remove from storage
-    activeTimers.delete(roomId);
-    
-    // Call timeout callback
-    try {
-      timer.onTimeout(roomId);
-    } catch (error) {
-      console.error(`[TIMER] Error in timeout callback for ${roomId}:`, error);
-    }
-    
-    console.log(`[TIMER] Timer expired: ${roomId} | Type: ${type}`);
-  }, duration * 1000);
-  
-  // Store timer
   activeTimers.set(roomId, timer);
+  arm(timer);
   
   console.log(`[TIMER] Started timer: ${roomId} | Type: ${type} | Duration: ${duration}s`);
   
@@ -195,6 +267,83 @@ function stopTimer(roomId) {
   return true;
 }
 
+/**
+ * Pause a room's timer, keeping the time left
+ * @param {string} roomId - Room ID
+ * @returns {Object} { success: boolean, timer: Object|null, error: string|null }
+ */
+function pauseTimer(roomId) {
+  const timer = activeTimers.get(roomId);
+  if (!timer) {
+    return { success: false, timer: null, error: 'No active timer' };
+  }
+
+  if (timer.pausedRemaining !== null) {
+    return { success: false, timer: null, error: 'Timer already paused' };
+  }
+
+  timer.pausedRemaining = getRemainingMs(timer);
+  timer.deadline = null;
+  disarm(timer);
+
+  console.log(`[TIMER] Paused timer: ${roomId} | Type: ${timer.type} | Remaining: ${timer.pausedRemaining}ms`);
+
+  return { success: true, timer: describeTimer(timer), error: null };
+}
+
+/**
+ * Resume a paused timer with the time it had left
+ * @param {string} roomId - Room ID
+ * @returns {Object} { success: boolean, timer: Object|null, error: string|null }
+ */
+function resumeTimer(roomId) {
+  const timer = activeTimers.get(roomId);
+  if (!timer) {
+    return { success: false, timer: null, error: 'No active timer' };
+  }
+
+  if (timer.pausedRemaining === null) {
+    return { success: false, timer: null, error: 'Timer not paused' };
+  }
+
+  timer.deadline = clock.now() + timer.pausedRemaining;
+  timer.pausedRemaining = null;
+  arm(timer);
+
+  console.log(`[TIMER] Resumed timer: ${roomId} | Type: ${timer.type} | Deadline: ${timer.deadline}`);
+
+  return { success: true, timer: describeTimer(timer), error: null };
+}
+
+/**
+ * Add time to a room's timer (running or paused)
+ * @param {string} roomId - Room ID
+ * @param {number} seconds - Seconds to add (positive)
+ * @returns {Object} { success: boolean, timer: Object|null, error: string|null }
+ */
+function extendTimer(roomId, seconds) {
+  const timer = activeTimers.get(roomId);
+  if (!timer) {
+    return { success: false, timer: null, error: 'No active timer' };
+  }
+
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0) {
+    return { success: false, timer: null, error: 'Invalid extension' };
+  }
+
+  timer.duration += seconds;
+  if (timer.pausedRemaining !== null) {
+    timer.pausedRemaining += seconds * 1000;
+  } else {
+    timer.deadline += seconds * 1000;
+    arm(timer);
+  }
+
+  console.log(`[TIMER] Extended timer: ${roomId} | Type: ${timer.type} | By: ${seconds}s`);
+
+  return { success: true, timer: describeTimer(timer), error: null };
+}
+
 /**
  * Get remaining time for a room's timer
  * @param {string} roomId - Room ID
@@ -205,7 +354,40 @@ function getRemainingTime(roomId) {
   if (!timer) {
     return null;
   }
-  return timer.remaining;
+  return getRemainingSeconds(timer);
+}
+
+/**
+ * Get type, remaining time and deadline for a room's timer
+ * Used to replay timer state to a reconnecting player
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} { type, duration, remaining, deadline, paused } or null if no timer
+ */
+function getTimerInfo(roomId) {
+  const timer = activeTimers.get(roomId);
+  if (!timer) {
+    return null;
+  }
+  return describeTimer(timer);
+}
+
+/**
+ * Export active timer deadlines for persistence
+ * Callbacks can't be serialized - the caller re-arms timers from these deadlines
+ * @returns {Object} Map-like object roomId -> { type, duration, deadline, paused, remainingMs }
+ */
+function exportTimers() {
+  const exported = {};
+  activeTimers.forEach((timer, roomId) => {
+    exported[roomId] = {
+      type: timer.type,
+      duration: timer.duration,
+      deadline: timer.deadline,
+      paused: timer.pausedRemaining !== null,
+      remainingMs: getRemainingMs(timer)
+    };
+  });
+  return exported;
 }
 
 /**
@@ -217,6 +399,60 @@ function hasActiveTimer(roomId) {
   return activeTimers.has(roomId);
 }
 
+// =============================================================================
+// VOTE TIMER FUNCTIONS
+// =============================================================================
+
+/**
+ * Start the timer of a room's kick vote
+ * Replaces any vote timer already running in the room; the game timer is untouched
+ * @param {string} roomId - Room ID
+ * @param {number} duration - Duration in seconds
+ * @param {Function} onTimeout - Callback called when the vote runs out with (roomId)
+ * @returns {Object} { success: boolean, timer: Object|null, error: string|null }
+ */
+function startVoteTimer(roomId, duration, onTimeout) {
+  if (!roomId || typeof roomId !== 'string') {
+    return { success: false, timer: null, error: 'Invalid room ID' };
+  }
+
+  if (typeof duration !== 'number' || duration <= 0) {
+    return { success: false, timer: null, error: 'Invalid duration' };
+  }
+
+  if (typeof onTimeout !== 'function') {
+    return { success: false, timer: null, error: 'Invalid callbacks' };
+  }
+
+  stopVoteTimer(roomId);
+
+  const timer = createTimer(roomId, 'vote', duration, () => {}, onTimeout);
+  voteTimers.set(roomId, timer);
+  arm(timer);
+
+  console.log(`[TIMER] Started vote timer: ${roomId} | Duration: ${duration}s`);
+
+  return { success: true, timer: describeTimer(timer), error: null };
+}
+
+/**
+ * Stop the timer of a room's kick vote
+ * @param {string} roomId - Room ID
+ * @returns {boolean} True if a vote timer was stopped
+ */
+function stopVoteTimer(roomId) {
+  const timer = voteTimers.get(roomId);
+  if (!timer) {
+    return false;
+  }
+
+  disarm(timer);
+  voteTimers.delete(roomId);
+
+  console.log(`[TIMER] Cleared vote timer: ${roomId}`);
+  return true;
+}
+
 // =============================================================================
 // GAME-SPECIFIC TIMER FUNCTIONS
 // =============================================================================
@@ -227,9 +463,10 @@ function hasActiveTimer(roomId) {
  * @param {Object} room - Room object with active game
  * @param {Function} onTick - Callback for each tick
  * @param {Function} onTimeout - Callback when timer expires (optional, defaults to auto-select)
+ * @param {number} duration - Override duration in seconds (optional, used when re-arming a restored timer)
  * @returns {Object} { success: boolean, error: string|null }
  */
-function startWordSelectionTimer(room, onTick, onTimeout) {
+function startWordSelectionTimer(room, onTick, onTimeout, duration) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
@@ -257,7 +494,7 @@ function startWordSelectionTimer(room, onTick, onTimeout) {
   return startTimer(
     room.id,
     'word_selection',
-    WORD_SELECTION_TIMEOUT / 1000, // Convert to seconds
+    duration || WORD_SELECTION_TIMEOUT / 1000, // Convert to seconds
     onTick || (() => {}),
     timeoutHandler
   );
@@ -269,9 +506,10 @@ function startWordSelectionTimer(room, onTick, onTimeout) {
  * @param {Object} room - Room object with active game
  * @param {Function} onTick - Callback for each tick
  * @param {Function} onTimeout - Callback when timer expires (optional, defaults to end round)
+ * @param {number} duration - Override duration in seconds (optional, used when re-arming a restored timer)
  * @returns {Object} { success: boolean, error: string|null }
  */
-function startDrawingTimer(room, onTick, onTimeout) {
+function startDrawingTimer(room, onTick, onTimeout, duration) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
@@ -302,7 +540,7 @@ function startDrawingTimer(room, onTick, onTimeout) {
   return startTimer(
     room.id,
     'drawing',
-    drawTime,
+    duration || drawTime,
     onTick || (() => {}),
     timeoutHandler
   );
@@ -318,6 +556,7 @@ function startDrawingTimer(room, onTick, onTimeout) {
 function clearAllTimers() {
   const roomIds = Array.from(activeTimers.keys());
   roomIds.forEach(roomId => clearTimer(roomId));
+  Array.from(voteTimers.keys()).forEach(roomId => stopVoteTimer(roomId));
   console.log(`[TIMER] Cleared all timers: ${roomIds.length} timers cleared`);
 }
 
@@ -330,8 +569,17 @@ module.exports = {
   startTimer,
   stopTimer,
   clearTimer,
+  pauseTimer,
+  resumeTimer,
+  extendTimer,
   getRemainingTime,
+  getTimerInfo,
   hasActiveTimer,
+  exportTimers,
+  
+  // Vote timers
+  startVoteTimer,
+  stopVoteTimer,
   
   // Game-specific timers
   startWordSelectionTimer,
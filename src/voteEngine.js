@@ -0,0 +1,204 @@
+// =============================================================================
+// VOTE KICK ENGINE MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Let players remove a disruptive player without the owner
+// One vote per room at a time; tallies are kept server-side only
+// =============================================================================
+
+// =============================================================================
+// VOTE STORAGE
+// =============================================================================
+
+// Map structure: roomId -> vote object
+const activeVotes = new Map();
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+const VOTE_DURATION = 30; // Seconds before an undecided vote fails
+const MIN_PLAYERS_FOR_VOTE = 3; // With two players a "majority" is just the initiator
+
+// =============================================================================
+// VOTE OBJECT STRUCTURE
+// =============================================================================
+
+/**
+ * Vote object structure:
+ * {
+ *   id: string,            // Distinguishes successive votes in the same room
+ *   roomId: string,
+ *   targetId: string,
+ *   initiatorId: string,
+ *   ballots: Object        // voterId -> true (kick) | false (keep)
+ * }
+ * The target can't vote; the initiator's kick ballot is cast when the vote starts
+ */
+
+let voteCounter = 0;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Votes needed to kick: a majority of the players currently in the room
+ * @param {Object} room - Room object
+ * @returns {number} Required kick ballots
+ */
+function getRequiredVotes(room) {
+  return Math.floor(room.players.length / 2) + 1;
+}
+
+/**
+ * Count a vote against the current player list
+ * Ballots of players who left no longer count
+ * @param {Object} room - Room object
+ * @param {Object} vote - Vote object
+ * @returns {Object} { voteId, targetId, yes, no, required, eligible, passed, failed }
+ */
+function tally(room, vote) {
+  const eligible = room.players.filter(playerId => playerId !== vote.targetId);
+  let yes = 0;
+  let no = 0;
+  eligible.forEach(playerId => {
+    if (vote.ballots[playerId] === true) yes++;
+    if (vote.ballots[playerId] === false) no++;
+  });
+
+  const required = getRequiredVotes(room);
+  const undecided = eligible.length - yes - no;
+
+  return {
+    voteId: vote.id,
+    targetId: vote.targetId,
+    yes: yes,
+    no: no,
+    required: required,
+    eligible: eligible.length,
+    passed: yes >= required,
+    failed: yes + undecided < required // Can't reach the majority any more
+  };
+}
+
+// =============================================================================
+// VOTE MANAGEMENT FUNCTIONS
+// =============================================================================
+
+/**
+ * Start a vote to kick a player
+ * @param {Object} room - Room object
+ * @param {string} initiatorId - Player starting the vote
+ * @param {string} targetId - Player to kick
+ * @returns {Object} { success: boolean, vote: Object|null, tally: Object|null, error: string|null }
+ */
+function startVote(room, initiatorId, targetId) {
+  if (!room.players.includes(initiatorId)) {
+    return { success: false, vote: null, tally: null, error: 'Only players can start a vote' };
+  }
+
+  if (!room.players.includes(targetId)) {
+    return { success: false, vote: null, tally: null, error: 'Player not in room' };
+  }
+
+  if (initiatorId === targetId) {
+    return { success: false, vote: null, tally: null, error: 'Cannot vote to kick yourself' };
+  }
+
+  if (room.players.length < MIN_PLAYERS_FOR_VOTE) {
+    return { success: false, vote: null, tally: null, error: `Vote kick needs at least ${MIN_PLAYERS_FOR_VOTE} players` };
+  }
+
+  if (activeVotes.has(room.id)) {
+    return { success: false, vote: null, tally: null, error: 'A vote is already running' };
+  }
+
+  voteCounter++;
+  const vote = {
+    id: `${room.id}-${voteCounter}`,
+    roomId: room.id,
+    targetId: targetId,
+    initiatorId: initiatorId,
+    ballots: { [initiatorId]: true }
+  };
+  activeVotes.set(room.id, vote);
+
+  console.log(`[VOTE] Started: ${vote.id} | Target: ${targetId} | By: ${initiatorId}`);
+
+  return { success: true, vote: vote, tally: tally(room, vote), error: null };
+}
+
+/**
+ * Cast or change a ballot in the room's vote
+ * @param {Object} room - Room object
+ * @param {string} voterId - Player voting
+ * @param {string} voteId - Vote the ballot is for (stale ballots are rejected)
+ * @param {boolean} kick - True to kick, false to keep
+ * @returns {Object} { success: boolean, tally: Object|null, error: string|null }
+ */
+function castVote(room, voterId, voteId, kick) {
+  const vote = activeVotes.get(room.id);
+  if (!vote || vote.id !== voteId) {
+    return { success: false, tally: null, error: 'No such vote' };
+  }
+
+  if (!room.players.includes(voterId)) {
+    return { success: false, tally: null, error: 'Only players can vote' };
+  }
+
+  if (voterId === vote.targetId) {
+    return { success: false, tally: null, error: 'Cannot vote on yourself' };
+  }
+
+  vote.ballots[voterId] = Boolean(kick);
+
+  return { success: true, tally: tally(room, vote), error: null };
+}
+
+/**
+ * Get the room's running vote
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} Vote object or null
+ */
+function getVote(roomId) {
+  return activeVotes.get(roomId) || null;
+}
+
+/**
+ * Recount the room's vote (e.g., after a player left)
+ * @param {Object} room - Room object
+ * @returns {Object|null} Tally or null if no vote is running
+ */
+function getTally(room) {
+  const vote = activeVotes.get(room.id);
+  return vote ? tally(room, vote) : null;
+}
+
+/**
+ * End the room's vote
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} The vote that was running, or null
+ */
+function endVote(roomId) {
+  const vote = activeVotes.get(roomId) || null;
+  activeVotes.delete(roomId);
+  return vote;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  startVote,
+  castVote,
+  getVote,
+  getTally,
+  endVote,
+  getRequiredVotes,
+
+  // Constants
+  VOTE_DURATION,
+  MIN_PLAYERS_FOR_VOTE
+};
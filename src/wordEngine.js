@@ -7,47 +7,16 @@
 // =============================================================================
 
 const gameEngine = require('./gameEngine');
-
-// =============================================================================
-// WORD LIST
-// =============================================================================
-
-// Default word list for generating options
-// Words are categorized by difficulty for better game balance
-const WORD_LIST = [
-  // Easy words
-  'cat', 'dog', 'house', 'tree', 'car', 'sun', 'moon', 'star', 'book', 'pen',
-  'chair', 'table', 'door', 'window', 'phone', 'computer', 'keyboard', 'mouse',
-  'apple', 'banana', 'orange', 'cake', 'pizza', 'hamburger', 'ice cream',
-  'bird', 'fish', 'lion', 'tiger', 'elephant', 'giraffe', 'monkey', 'bear',
-  'flower', 'grass', 'mountain', 'ocean', 'river', 'beach', 'cloud', 'rain',
-  'bicycle', 'airplane', 'train', 'boat', 'bus', 'motorcycle', 'truck',
-  'hat', 'shoes', 'shirt', 'pants', 'dress', 'jacket', 'glasses', 'watch',
-  
-  // Medium words
-  'camera', 'guitar', 'piano', 'violin', 'drum', 'microphone', 'speaker',
-  'lighthouse', 'bridge', 'castle', 'tower', 'pyramid', 'statue', 'fountain',
-  'butterfly', 'dragonfly', 'spider', 'bee', 'ant', 'snake', 'turtle', 'frog',
-  'cactus', 'bamboo', 'palm tree', 'forest', 'desert', 'island', 'volcano',
-  'helicopter', 'submarine', 'rocket', 'satellite', 'telescope', 'microscope',
-  'backpack', 'umbrella', 'flashlight', 'compass', 'map', 'globe', 'flag',
-  'crown', 'sword', 'shield', 'treasure', 'key', 'lock', 'chain', 'ring',
-  
-  // Hard words
-  'kaleidoscope', 'telescope', 'microscope', 'periscope', 'binoculars',
-  'architect', 'engineer', 'scientist', 'astronaut', 'pilot', 'chef', 'artist',
-  'skyscraper', 'cathedral', 'monument', 'amphitheater', 'aqueduct', 'colosseum',
-  'chameleon', 'peacock', 'flamingo', 'penguin', 'ostrich', 'eagle', 'hawk',
-  'tornado', 'hurricane', 'earthquake', 'avalanche', 'tsunami', 'meteor',
-  'saxophone', 'trumpet', 'trombone', 'flute', 'clarinet', 'harmonica', 'accordion',
-  'knight', 'wizard', 'dragon', 'unicorn', 'phoenix', 'mermaid', 'vampire'
-];
+const wordPacks = require('./wordPacks');
+const random = require('./random');
+const textNormalizer = require('./textNormalizer');
 
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
 
-const WORD_OPTIONS_COUNT = 3;
+// One option per difficulty tier: easy, medium, hard
+const WORD_OPTIONS_COUNT = wordPacks.DIFFICULTIES.length;
 const WORD_SELECTION_TIMEOUT = 15000; // 15 seconds to select word
 
 // =============================================================================
@@ -55,42 +24,132 @@ const WORD_SELECTION_TIMEOUT = 15000; // 15 seconds to select word
 // =============================================================================
 
 /**
- * Get word pool combining custom words and default word list
- * @param {Array} customWords - Custom words from room settings
- * @returns {Array} Combined word pool
+ * Turn the room's custom words into pool entries
+ * Custom words have no tag, so their difficulty is estimated
+ * @param {Object} settings - Room settings (customWords)
+ * @returns {Array} Pool of { word, difficulty } entries
  */
-function getWordPool(customWords) {
-  const pool = [...WORD_LIST];
+function getCustomEntries(settings) {
+  const customWords = settings && settings.customWords;
+  if (!Array.isArray(customWords)) {
+    return [];
+  }
   
-  // Add custom words if they exist
-  if (Array.isArray(customWords) && customWords.length > 0) {
-    // Filter out duplicates
-    const customLower = customWords.map(w => w.toLowerCase());
-    pool.push(...customLower.filter(w => !pool.includes(w)));
+  return customWords
+    .map(w => textNormalizer.normalizeText(w, { locale: settings.language }))
+    .filter((w, index, all) => all.indexOf(w) === index)
+    .map(w => ({ word: w, difficulty: wordPacks.estimateDifficulty(w) }));
+}
+
+/**
+ * Get word pool for the room
+ * Custom-only rooms use their custom words alone; mixed rooms add them to the word packs
+ * @param {Object} settings - Room settings (wordPacks, customWords, customWordsMode)
+ * @returns {Array} Combined pool of { word, difficulty } entries
+ */
+function getWordPool(settings) {
+  const customEntries = getCustomEntries(settings);
+  if (settings && settings.customWordsMode === 'only' && customEntries.length > 0) {
+    return customEntries;
   }
   
+  const pool = [...wordPacks.getPackWords(settings && settings.wordPacks)];
+  
+  // Filter out duplicates of pack words
+  const known = new Set(pool.map(entry => entry.word));
+  customEntries
+    .filter(entry => !known.has(entry.word))
+    .forEach(entry => pool.push(entry));
+  
   return pool;
 }
 
+/**
+ * Sort options easy → hard
+ * @param {Array} options - { word, difficulty } entries
+ * @returns {Array} The same array, sorted
+ */
+function sortByDifficulty(options) {
+  return options.sort((a, b) =>
+    wordPacks.DIFFICULTIES.indexOf(a.difficulty) - wordPacks.DIFFICULTIES.indexOf(b.difficulty)
+  );
+}
+
 /**
  * Generate random word options for drawer to choose from
- * @param {Array} wordPool - Pool of available words
+ * Offers one word per difficulty tier, filling gaps from the rest of the pool
+ * @param {Array} wordPool - Pool of { word, difficulty } entries
  * @param {number} count - Number of options to generate
- * @returns {Array} Array of word options
+ * @param {Function} randomSource - Random source (see random.js; default Math.random)
+ * @returns {Array} Array of { word, difficulty } options ordered easy → hard
  */
-function generateWordOptions(wordPool, count = WORD_OPTIONS_COUNT) {
+function generateWordOptions(wordPool, count = WORD_OPTIONS_COUNT, randomSource = Math.random) {
   if (!wordPool || wordPool.length === 0) {
-    // Fallback to default words if pool is empty
-    wordPool = WORD_LIST;
+    // Fallback to default pack if pool is empty
+    wordPool = wordPacks.getPackWords([wordPacks.DEFAULT_PACK_ID]);
   }
   
   // Ensure we don't request more words than available
   const optionsCount = Math.min(count, wordPool.length);
+  const shuffled = random.shuffle(wordPool, randomSource);
+  const options = [];
+  const used = new Set();
+  
+  // One word from each tier first
+  wordPacks.DIFFICULTIES.forEach(difficulty => {
+    if (options.length >= optionsCount) return;
+    const entry = shuffled.find(candidate => candidate.difficulty === difficulty && !used.has(candidate.word));
+    if (entry) {
+      used.add(entry.word);
+      options.push(entry);
+    }
+  });
   
-  // Shuffle and pick random words
-  const shuffled = [...wordPool].sort(() => Math.random() - 0.5);
-  console.log(`[WORD] Shuffled word pool: ${shuffled.slice(0, optionsCount)}`);
-  return shuffled.slice(0, optionsCount);
+  // Fill any empty tiers (e.g., custom-heavy pools) from whatever is left
+  shuffled.forEach(entry => {
+    if (options.length < optionsCount && !used.has(entry.word)) {
+      used.add(entry.word);
+      options.push(entry);
+    }
+  });
+  
+  sortByDifficulty(options);
+  
+  console.log(`[WORD] Generated options: ${options.map(entry => `${entry.word} (${entry.difficulty})`).join(', ')}`);
+  return options;
+}
+
+/**
+ * Look up the difficulty of a word in the room's pool
+ * @param {Object} room - Room object
+ * @param {string} word - Normalized word
+ * @returns {string} Difficulty tier (estimated if the word is not in the pool)
+ */
+function getWordDifficulty(room, word) {
+  const entry = getWordPool(room.settings).find(candidate => candidate.word === word);
+  return entry ? entry.difficulty : wordPacks.estimateDifficulty(word);
+}
+
+/**
+ * Split a word into displayable letters
+ * NFKC first, then graphemes, so "é" or a letter with combining marks is one blank
+ * @param {string} word - Word
+ * @returns {Array} Letters and spaces
+ */
+function splitLetters(word) {
+  return textNormalizer.splitGraphemes(word.normalize('NFKC'));
+}
+
+/**
+ * Count the letters of a word (spaces excluded)
+ * @param {string} word - Word
+ * @returns {number} Letter count
+ */
+function countLetters(word) {
+  if (!word || typeof word !== 'string') {
+    return 0;
+  }
+  return splitLetters(word).filter(char => !/\s/.test(char)).length;
 }
 
 /**
@@ -104,9 +163,8 @@ function maskWord(word) {
     return '';
   }
   
-  // Replace each character with underscore, preserve spaces
-  return word
-    .split('')
+  // Replace each letter with underscore, preserve spaces
+  return splitLetters(word)
     .map(char => char === ' ' ? ' ' : '_')
     .join(' ');
 }
@@ -125,9 +183,9 @@ function generateHint(word, hintLevel = 0) {
     return '';
   }
   
-  // Remove spaces for hint calculation
-  const wordWithoutSpaces = word.replace(/\s/g, '');
-  const wordLength = wordWithoutSpaces.length;
+  // Work on letters (graphemes), spaces excluded from the count
+  const chars = splitLetters(word);
+  const wordLength = countLetters(word);
   
   if (wordLength === 0) {
     return '';
@@ -178,8 +236,8 @@ function generateHint(word, hintLevel = 0) {
   let result = '';
   let charIndex = 0;
   
-  for (let i = 0; i < word.length; i++) {
-    const char = word[i];
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
     if (char === ' ') {
       result += ' ';
     } else {
@@ -190,15 +248,15 @@ function generateHint(word, hintLevel = 0) {
       }
       charIndex++;
       // Add space between characters for display (except last char)
-      if (i < word.length - 1) {
-        const nextChar = word[i + 1];
+      if (i < chars.length - 1) {
+        const nextChar = chars[i + 1];
         if (nextChar !== ' ') {
           result += ' ';
         }
       }
     }
     // Handle spaces in original word
-    if (char === ' ' && i < word.length - 1) {
+    if (char === ' ' && i < chars.length - 1) {
       result += ' ';
     }
   }
@@ -207,15 +265,155 @@ function generateHint(word, hintLevel = 0) {
 }
 
 /**
- * Normalize word for comparison (lowercase, trim)
+ * Normalize word for comparison (NFKC, trim, locale-aware lowercase, see textNormalizer)
  * @param {string} word - Word to normalize
+ * @param {Object} options - { locale, ignoreDiacritics } (e.g., textNormalizer.getRoomOptions(room))
  * @returns {string} Normalized word
  */
-function normalizeWord(word) {
-  if (!word || typeof word !== 'string') {
-    return '';
+function normalizeWord(word, options = {}) {
+  return textNormalizer.normalizeText(word, options);
+}
+
+/**
+ * Draw a new option set for the turn and store it on the game
+ * Words offered earlier in this game (and in the remembered past games) are left out;
+ * when the pool runs dry the oldest restrictions are dropped first.
+ * With settings.customWordChance each option is a custom word with that chance
+ * @param {Object} room - Room object with active game
+ * @returns {Object} { options: Array, difficulties: Array }
+ */
+function storeNewOptions(room) {
+  const game = room.game;
+  const history = getWordHistory(room);
+  const previous = (game.wordOptions || []).map(entry => entry.word);
+  const pastWords = history.pastGames.reduce((all, words) => all.concat(words), []);
+
+  // Strictest first: never repeat anything remembered, then this game only, then the last set only
+  const exclusions = [
+    new Set([...history.game, ...pastWords, ...previous]),
+    new Set([...history.game, ...previous]),
+    new Set(previous)
+  ];
+
+  /**
+   * Leave out used words while enough remain
+   * @param {Array} pool - Pool entries
+   * @param {number} count - Words needed
+   * @returns {Array} Pool entries to draw from
+   */
+  function unused(pool, count) {
+    for (const excluded of exclusions) {
+      const fresh = pool.filter(entry => !excluded.has(entry.word));
+      if (fresh.length >= count) {
+        return fresh;
+      }
+    }
+    return pool;
+  }
+
+  const randomSource = random.forRoom(room);
+  const settings = room.settings;
+  const customEntries = getCustomEntries(settings);
+  let options;
+
+  if (settings.customWordsMode === 'mixed' && settings.customWordChance !== null &&
+      settings.customWordChance !== undefined && customEntries.length > 0) {
+    // Roll each slot separately, then fill the custom and pack shares from their own pools
+    let customCount = 0;
+    for (let i = 0; i < WORD_OPTIONS_COUNT; i++) {
+      if (randomSource() < settings.customWordChance) customCount++;
+    }
+    customCount = Math.min(customCount, customEntries.length);
+
+    const custom = customCount > 0
+      ? generateWordOptions(unused(customEntries, customCount), customCount, randomSource)
+      : [];
+    const taken = new Set(custom.map(entry => entry.word));
+    const packEntries = wordPacks.getPackWords(settings.wordPacks).filter(entry => !taken.has(entry.word));
+    const packCount = WORD_OPTIONS_COUNT - custom.length;
+    const packs = packCount > 0
+      ? generateWordOptions(unused(packEntries, packCount), packCount, randomSource)
+      : [];
+    options = sortByDifficulty(custom.concat(packs));
+  } else {
+    options = generateWordOptions(unused(getWordPool(settings), WORD_OPTIONS_COUNT), WORD_OPTIONS_COUNT, randomSource);
+  }
+
+  // Stored server-side so selectWord only accepts what was actually offered
+  game.wordOptions = options;
+  recordOfferedWords(room, options.map(entry => entry.word));
+
+  return {
+    options: options.map(entry => entry.word),
+    difficulties: options.map(entry => entry.difficulty)
+  };
+}
+
+/**
+ * Rerolls the drawer has left this turn
+ * @param {Object} room - Room object with active game
+ * @returns {number} Remaining rerolls (0 if disabled)
+ */
+function getRerollsLeft(room) {
+  if (!room.game) {
+    return 0;
+  }
+  const allowed = room.settings.wordRerolls || 0;
+  return Math.max(0, allowed - (room.game.wordRerollsUsed || 0));
+}
+
+// =============================================================================
+// WORD HISTORY
+// =============================================================================
+
+/**
+ * Word history structure (room.wordHistory):
+ * {
+ *   game: string[],         // Words offered so far in the current game
+ *   pastGames: string[][]   // Offered words of the last settings.wordHistoryGames games, newest last
+ * }
+ * Offered words count as used even if the drawer picked another one
+ */
+
+/**
+ * Get the room's word history, creating it for rooms that predate it
+ * @param {Object} room - Room object
+ * @returns {Object} Word history
+ */
+function getWordHistory(room) {
+  if (!room.wordHistory) {
+    room.wordHistory = { game: [], pastGames: [] };
+  }
+  return room.wordHistory;
+}
+
+/**
+ * Remember words shown to a drawer in the current game
+ * @param {Object} room - Room object
+ * @param {Array} words - Offered words
+ */
+function recordOfferedWords(room, words) {
+  const history = getWordHistory(room);
+  words.forEach(word => {
+    if (!history.game.includes(word)) {
+      history.game.push(word);
+    }
+  });
+}
+
+/**
+ * Start a new game's word history
+ * The finished game moves to pastGames, which keeps settings.wordHistoryGames entries
+ * @param {Object} room - Room object
+ */
+function startWordHistory(room) {
+  const history = getWordHistory(room);
+  if (history.game.length > 0) {
+    history.pastGames.push(history.game);
   }
-  return word.trim().toLowerCase();
+  const keep = room.settings.wordHistoryGames || 0;
+  history.pastGames = keep > 0 ? history.pastGames.slice(-keep) : [];
+  history.game = [];
 }
 
 // =============================================================================
@@ -226,36 +424,90 @@ function normalizeWord(word) {
  * Generate word options for current drawer
  * Called when round starts and phase is WORD_SELECT
  * @param {Object} room - Room object with active game
- * @returns {Object} { success: boolean, options: Array|null, error: string|null }
+ * @returns {Object} { success: boolean, options: Array|null, difficulties: Array|null, rerollsLeft: number, error: string|null }
  */
 function generateOptionsForDrawer(room) {
   // Validate game state
   const validation = gameEngine.hasActiveGame(room);
   if (!validation.valid) {
-    return { success: false, options: null, error: validation.error };
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: validation.error };
   }
   
   const game = room.game;
   
   // Check if we're in word selection phase
   if (game.phase !== gameEngine.PHASES.WORD_SELECT) {
-    return { success: false, options: null, error: 'Not in word selection phase' };
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: 'Not in word selection phase' };
   }
   
-  // Get word pool from room settings
-  const wordPool = getWordPool(room.settings.customWords);
-  
-  // Generate options
-  const options = generateWordOptions(wordPool, WORD_OPTIONS_COUNT);
+  // New turn - fresh reroll allowance
+  game.wordOptions = null;
+  game.wordRerollsUsed = 0;
+  const { options, difficulties } = storeNewOptions(room);
   
   console.log(`[WORD] Generated options for drawer: ${room.id} | Drawer: ${game.drawerId} | Options: ${options.length}`);
   
-  return { success: true, options: options, error: null };
+  return { success: true, options: options, difficulties: difficulties, rerollsLeft: getRerollsLeft(room), error: null };
+}
+
+/**
+ * Replace the drawer's word options with a fresh set
+ * Limited by settings.wordRerolls per turn; the selection timer keeps running
+ * @param {Object} room - Room object with active game
+ * @param {string} playerId - Player asking (must be drawer)
+ * @returns {Object} { success: boolean, options: Array|null, difficulties: Array|null, rerollsLeft: number, error: string|null }
+ */
+function rerollWordOptions(room, playerId) {
+  const validation = gameEngine.hasActiveGame(room);
+  if (!validation.valid) {
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: validation.error };
+  }
+  
+  const game = room.game;
+  
+  if (!gameEngine.isCurrentDrawer(room, playerId)) {
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: 'Only drawer can reroll words' };
+  }
+  
+  if (game.phase !== gameEngine.PHASES.WORD_SELECT) {
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: 'Not in word selection phase' };
+  }
+  
+  if (gameEngine.isGamePaused(room)) {
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: 'Game is paused' };
+  }
+  
+  if (getRerollsLeft(room) === 0) {
+    return { success: false, options: null, difficulties: null, rerollsLeft: 0, error: 'No rerolls left' };
+  }
+  
+  game.wordRerollsUsed = (game.wordRerollsUsed || 0) + 1;
+  const { options, difficulties } = storeNewOptions(room);
+  
+  console.log(`[WORD] Rerolled options: ${room.id} | Drawer: ${playerId} | Rerolls left: ${getRerollsLeft(room)}`);
+  
+  return { success: true, options: options, difficulties: difficulties, rerollsLeft: getRerollsLeft(room), error: null };
+}
+
+/**
+ * Get the options currently offered to the drawer (server-only)
+ * @param {Object} room - Room object with active game
+ * @returns {Object|null} { options, difficulties, rerollsLeft } or null if none are offered
+ */
+function getWordOptions(room) {
+  if (!room.game || !Array.isArray(room.game.wordOptions)) {
+    return null;
+  }
+  return {
+    options: room.game.wordOptions.map(entry => entry.word),
+    difficulties: room.game.wordOptions.map(entry => entry.difficulty),
+    rerollsLeft: getRerollsLeft(room)
+  };
 }
 
 /**
  * Select word for current round
- * Validates selection and updates game state
+ * Validates selection and records the word; the caller then moves the game to DRAWING
  * @param {Object} room - Room object with active game
  * @param {string} playerId - Player selecting word (must be drawer)
  * @param {string} selectedWord - Word selected by drawer
@@ -280,24 +532,29 @@ function selectWord(room, playerId, selectedWord) {
     return { success: false, maskedWord: null, error: 'Not in word selection phase' };
   }
   
-  // Validate selected word
-  const normalized = normalizeWord(selectedWord);
+  if (gameEngine.isGamePaused(room)) {
+    return { success: false, maskedWord: null, error: 'Game is paused' };
+  }
+  
+  // Validate selected word (offered words keep their diacritics, so only the locale applies)
+  const normalized = normalizeWord(selectedWord, { locale: room.settings.language });
   if (!normalized || normalized.length === 0) {
     return { success: false, maskedWord: null, error: 'Invalid word selection' };
   }
   
+  // Only words from the offered set can be drawn
+  const offered = (game.wordOptions || []).find(entry => entry.word === normalized);
+  if (!offered) {
+    return { success: false, maskedWord: null, error: 'Word was not offered' };
+  }
+  
   // Store selected word (server-only, never sent to clients)
   game.selectedWord = normalized;
+  game.selectedDifficulty = offered.difficulty;
   
   // Generate masked word for guessers
   game.maskedWord = maskWord(normalized);
   
-  // Transition to drawing phase
-  const phaseResult = gameEngine.transitionPhase(room, gameEngine.PHASES.DRAWING);
-  if (!phaseResult.success) {
-    return { success: false, maskedWord: null, error: phaseResult.error };
-  }
-  
   console.log(`[WORD] Word selected: ${room.id} | Round: ${game.currentRound} | Drawer: ${playerId} | Word: ${normalized} | Masked: ${game.maskedWord}`);
   
   return { success: true, maskedWord: game.maskedWord, error: null };
@@ -305,7 +562,7 @@ function selectWord(room, playerId, selectedWord) {
 
 /**
  * Auto-select word if drawer doesn't select in time
- * Picks first option from generated options (fallback)
+ * Picks one of the options the drawer was shown; the caller moves the game to DRAWING
  * @param {Object} room - Room object with active game
  * @returns {Object} { success: boolean, maskedWord: string|null, error: string|null }
  */
@@ -323,28 +580,23 @@ function autoSelectWord(room) {
     return { success: false, maskedWord: null, error: 'Not in word selection phase' };
   }
   
-  // Generate word pool and pick first option
-  const wordPool = getWordPool(room.settings.customWords);
-  const options = generateWordOptions(wordPool, WORD_OPTIONS_COUNT);
+  // Pick from what the drawer was shown (older restored games may have no stored set)
+  if (!Array.isArray(game.wordOptions) || game.wordOptions.length === 0) {
+    storeNewOptions(room);
+  }
   
-  if (options.length === 0) {
+  if (game.wordOptions.length === 0) {
     return { success: false, maskedWord: null, error: 'No words available' };
   }
   
-  // Auto-select first option
-  const selectedWord = options[0];
-  const normalized = normalizeWord(selectedWord);
+  const selectedWord = random.pick(game.wordOptions, random.forRoom(room));
+  const normalized = normalizeWord(selectedWord.word, { locale: room.settings.language });
   
   // Store selected word
   game.selectedWord = normalized;
+  game.selectedDifficulty = selectedWord.difficulty;
   game.maskedWord = maskWord(normalized);
   
-  // Transition to drawing phase
-  const phaseResult = gameEngine.transitionPhase(room, gameEngine.PHASES.DRAWING);
-  if (!phaseResult.success) {
-    return { success: false, maskedWord: null, error: phaseResult.error };
-  }
-  
   console.log(`[WORD] Auto-selected word: ${room.id} | Round: ${game.currentRound} | Drawer: ${game.drawerId} | Word: ${normalized}`);
   
   return { success: true, maskedWord: game.maskedWord, error: null };
@@ -374,6 +626,18 @@ function getSelectedWord(room) {
   return room.game.selectedWord;
 }
 
+/**
+ * Get difficulty of the selected word (server-only)
+ * @param {Object} room - Room object with active game
+ * @returns {string|null} Difficulty tier or null if no word selected
+ */
+function getSelectedDifficulty(room) {
+  if (!room.game || !room.game.selectedWord) {
+    return null;
+  }
+  return room.game.selectedDifficulty || null;
+}
+
 /**
  * Clear word selection (for round reset)
  * @param {Object} room - Room object with active game
@@ -381,7 +645,10 @@ function getSelectedWord(room) {
 function clearWordSelection(room) {
   if (room.game) {
     room.game.selectedWord = null;
+    room.game.selectedDifficulty = null;
     room.game.maskedWord = null;
+    room.game.wordOptions = null;
+    room.game.wordRerollsUsed = 0;
   }
 }
 
@@ -392,20 +659,32 @@ function clearWordSelection(room) {
 module.exports = {
   // Word selection
   generateOptionsForDrawer,
+  rerollWordOptions,
   selectWord,
   autoSelectWord,
   
   // Word access (server-only)
   getSelectedWord,
+  getSelectedDifficulty,
   getMaskedWord,
+  getWordOptions,
+  getRerollsLeft,
   clearWordSelection,
   
+  // Word pool
+  getWordPool,
+  getWordHistory,
+  startWordHistory,
+  getWordDifficulty,
+  
   // Utilities
   maskWord,
+  countLetters,
   normalizeWord,
   generateHint,
   
   // Constants
-  WORD_SELECTION_TIMEOUT
+  WORD_SELECTION_TIMEOUT,
+  WORD_OPTIONS_COUNT
 };
 
@@ -0,0 +1,278 @@
+// =============================================================================
+// WORD PACK LOADING MODULE
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Load themed word packs from JSON files on disk
+// Each pack has an id, name, language and difficulty-tagged words
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const textNormalizer = require('./textNormalizer');
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+// Directory holding one JSON file per pack
+const WORD_PACKS_DIR = process.env.WORD_PACKS_DIR || path.join(__dirname, 'data', 'wordPacks');
+
+// Pack used when a room has not chosen any (or only unknown) packs
+const DEFAULT_PACK_ID = 'default';
+
+// Packs named default-<language> (e.g., "default-es") stand in for DEFAULT_PACK_ID in that language
+const LANGUAGE_DEFAULT_PREFIX = 'default-';
+
+// Difficulty tiers in the order options are offered to the drawer
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// =============================================================================
+// IN-MEMORY PACK STORAGE
+// =============================================================================
+
+// Map structure: packId -> pack object
+// Pack format: { id, name, language, words: [{ word, difficulty }] }
+const packs = new Map();
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Estimate difficulty for an untagged word (e.g., room custom words)
+ * Longer words and phrases are harder to draw and guess
+ * @param {string} word - Normalized word
+ * @returns {string} Difficulty tier
+ */
+function estimateDifficulty(word) {
+  const letters = word.replace(/\s/g, '').length;
+  if (letters <= 4) return 'easy';
+  if (letters <= 7) return 'medium';
+  return 'hard';
+}
+
+/**
+ * Validate and normalize a parsed pack file
+ * Drops malformed words instead of rejecting the whole pack
+ * @param {Object} raw - Parsed JSON
+ * @param {string} fileName - Source file name (for logging)
+ * @returns {Object} { valid: boolean, pack: Object|null, error: string|null }
+ */
+function validatePack(raw, fileName) {
+  if (!raw || typeof raw !== 'object') {
+    return { valid: false, pack: null, error: 'Pack must be a JSON object' };
+  }
+
+  if (typeof raw.id !== 'string' || raw.id.trim().length === 0) {
+    return { valid: false, pack: null, error: 'Pack id is required' };
+  }
+
+  if (!Array.isArray(raw.words)) {
+    return { valid: false, pack: null, error: 'Pack words must be an array' };
+  }
+
+  // Words are normalized with the pack's own language rules (e.g., Turkish dotted i)
+  const language = textNormalizer.isValidLocale(raw.language) ? raw.language.trim() : textNormalizer.DEFAULT_LOCALE;
+  const seen = new Set();
+  const words = [];
+
+  raw.words.forEach(entry => {
+    // Allow bare strings for convenience; their difficulty is estimated
+    const word = typeof entry === 'string' ? entry : entry && entry.word;
+    if (typeof word !== 'string' || word.trim().length === 0) {
+      return;
+    }
+
+    const normalized = textNormalizer.normalizeText(word, { locale: language });
+    if (seen.has(normalized)) {
+      return;
+    }
+    seen.add(normalized);
+
+    const difficulty = entry && DIFFICULTIES.includes(entry.difficulty)
+      ? entry.difficulty
+      : estimateDifficulty(normalized);
+
+    words.push({ word: normalized, difficulty: difficulty });
+  });
+
+  if (words.length === 0) {
+    return { valid: false, pack: null, error: `Pack ${raw.id} has no valid words (${fileName})` };
+  }
+
+  const pack = {
+    id: raw.id.trim(),
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : raw.id.trim(),
+    language: language,
+    words: words
+  };
+
+  return { valid: true, pack: pack, error: null };
+}
+
+// =============================================================================
+// PACK LOADING FUNCTIONS
+// =============================================================================
+
+/**
+ * Load all packs from a directory, replacing any loaded packs
+ * Invalid files are logged and skipped so one bad pack can't stop startup
+ * @param {string} directory - Directory containing *.json pack files
+ * @returns {Object} { loaded: number, errors: Array }
+ */
+function loadPacks(directory = WORD_PACKS_DIR) {
+  const errors = [];
+  let files = [];
+
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    console.error(`[WORDPACK] Failed to read pack directory ${directory}:`, error.message);
+    return { loaded: 0, errors: [error.message] };
+  }
+
+  packs.clear();
+
+  files.forEach(file => {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      return;
+    }
+
+    const validation = validatePack(raw, file);
+    if (!validation.valid) {
+      errors.push(`${file}: ${validation.error}`);
+      return;
+    }
+
+    if (packs.has(validation.pack.id)) {
+      errors.push(`${file}: duplicate pack id ${validation.pack.id}`);
+      return;
+    }
+
+    packs.set(validation.pack.id, validation.pack);
+    console.log(`[WORDPACK] Loaded pack: ${validation.pack.id} | Language: ${validation.pack.language} | Words: ${validation.pack.words.length}`);
+  });
+
+  errors.forEach(error => console.error(`[WORDPACK] Skipped pack: ${error}`));
+
+  return { loaded: packs.size, errors: errors };
+}
+
+/**
+ * Get pack by ID
+ * @param {string} packId - Pack ID
+ * @returns {Object|null} Pack object or null if not found
+ */
+function getPack(packId) {
+  return packs.get(packId) || null;
+}
+
+/**
+ * Check if a pack exists
+ * @param {string} packId - Pack ID
+ * @returns {boolean} True if pack is loaded
+ */
+function hasPack(packId) {
+  return packs.has(packId);
+}
+
+/**
+ * Get metadata for all loaded packs (no word lists)
+ * Used by clients to present pack choices
+ * @returns {Array} Array of { id, name, language, wordCount }
+ */
+function listPacks() {
+  return Array.from(packs.values()).map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    language: pack.language,
+    wordCount: pack.words.length
+  }));
+}
+
+/**
+ * Get the languages that have at least one loaded pack
+ * @returns {Array} Language tags
+ */
+function listLanguages() {
+  return Array.from(new Set(Array.from(packs.values()).map(pack => pack.language)));
+}
+
+/**
+ * Get the packs a room in this language starts with
+ * The language's default pack if there is one, otherwise all of its packs
+ * @param {string} language - Language tag
+ * @returns {Array} Pack IDs (empty if no pack has this language)
+ */
+function getDefaultPackIds(language) {
+  const defaultPack = packs.get(DEFAULT_PACK_ID);
+  if (defaultPack && defaultPack.language === language) {
+    return [DEFAULT_PACK_ID];
+  }
+
+  if (packs.has(LANGUAGE_DEFAULT_PREFIX + language)) {
+    return [LANGUAGE_DEFAULT_PREFIX + language];
+  }
+
+  return Array.from(packs.values())
+    .filter(pack => pack.language === language)
+    .map(pack => pack.id);
+}
+
+/**
+ * Get combined, de-duplicated word entries for a set of packs
+ * Unknown pack IDs are ignored; falls back to the default pack if none match
+ * @param {Array} packIds - Pack IDs chosen in room settings
+ * @returns {Array} Array of { word, difficulty }
+ */
+function getPackWords(packIds) {
+  const ids = Array.isArray(packIds) ? packIds.filter(id => packs.has(id)) : [];
+  if (ids.length === 0 && packs.has(DEFAULT_PACK_ID)) {
+    ids.push(DEFAULT_PACK_ID);
+  }
+
+  const seen = new Set();
+  const words = [];
+
+  ids.forEach(id => {
+    packs.get(id).words.forEach(entry => {
+      if (!seen.has(entry.word)) {
+        seen.add(entry.word);
+        words.push(entry);
+      }
+    });
+  });
+
+  return words;
+}
+
+// Load packs once at startup
+loadPacks();
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  // Loading
+  loadPacks,
+
+  // Pack access
+  getPack,
+  hasPack,
+  listPacks,
+  listLanguages,
+  getDefaultPackIds,
+  getPackWords,
+
+  // Utilities
+  estimateDifficulty,
+
+  // Constants
+  DEFAULT_PACK_ID,
+  DIFFICULTIES
+};
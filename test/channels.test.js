@@ -0,0 +1,50 @@
+// =============================================================================
+// CHANNEL TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Drawer and guesser sub-channels - strokes fan out to guessers only,
+// the word reaches only the drawer, and channels follow the drawer each turn
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+test('strokes reach each guesser once, never the drawer, and channels follow the turn', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara], { rounds: 1 });
+  const strokesSeen = () => [alice, bob, cara].map(bot => bot.payloads('draw_start').length);
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('round_ended').length === 1));
+  assert.deepStrictEqual(strokesSeen(), [0, 1, 1]);
+
+  assert.ok(harness.runUntil(() => alice.payloads('round_ended').length === 2));
+  assert.deepStrictEqual(strokesSeen(), [1, 1, 2]);
+
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  assert.deepStrictEqual(strokesSeen(), [2, 2, 2]);
+});
+
+test('the word and the word options reach only the drawer', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara], { rounds: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+
+  assert.strictEqual(alice.payloads('word_options').length, 1);
+  assert.ok(!bob.has('word_options') && !cara.has('word_options'));
+  assert.strictEqual(alice.payloads('drawing_started')[0].word, harness.table.word);
+  [bob, cara].forEach(bot => {
+    const started = bot.payloads('drawing_started')[0];
+    assert.strictEqual(started.word, undefined);
+    assert.notStrictEqual(started.game.maskedWord, harness.table.word);
+  });
+});
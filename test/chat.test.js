@@ -0,0 +1,88 @@
+// =============================================================================
+// CHAT TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: The guessed-only channel and secret word redaction - what gets
+// hidden, and that ordinary words next to a short secret word don't
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chatEngine = require('../src/chatEngine');
+const { createHarness } = require('./harness');
+
+/**
+ * Redact with the default close-guess threshold
+ * @param {string} text - Message text
+ * @param {string} word - Secret word
+ * @param {boolean} includeVariants - Sender knows the word
+ * @returns {string} Redacted text
+ */
+function redact(text, word, includeVariants = false) {
+  return chatEngine.redactSecretWord(text, word, 1, {}, includeVariants).text;
+}
+
+test('short secret words are only hidden where they stand as a word', () => {
+  assert.strictEqual(redact('box fox ox OX!', 'ox'), 'box fox ** ***');
+  assert.strictEqual(redact('that is fun and run', 'sun'), 'that is fun and run');
+  assert.strictEqual(redact('two cats and catnip', 'cat'), 'two **** and ******');
+  assert.strictEqual(redact('I want icecream', 'ice cream'), 'I want ********');
+  assert.strictEqual(redact('nice creamy', 'ice cream'), 'nice creamy');
+});
+
+test('near spellings are only hidden for players who know the word', () => {
+  assert.strictEqual(redact('that is fun and run', 'sun', true), 'that is *** and ***');
+  assert.strictEqual(redact('that is fun and run', 'sun', false), 'that is fun and run');
+});
+
+test('a guesser\'s near miss shows in chat as typed', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  harness.seat([alice, bob], { rounds: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  const word = harness.table.word;
+  const nearMiss = word.slice(0, -1) + (word.endsWith('q') ? 'z' : 'q');
+  bob.guess(nearMiss);
+  harness.flush();
+
+  assert.strictEqual(bob.payloads('close_guess').length, 1);
+  const shown = alice.payloads('chat_message').find(message => message.playerId === bob.playerId);
+  assert.strictEqual(shown.message, nearMiss);
+  assert.strictEqual(shown.redacted, false);
+});
+
+test('players who know the word chat among themselves until the turn ends', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: 2000 });
+  const cara = harness.addBot('Cara', { guessDelay: null });
+  harness.seat([alice, bob, cara], { rounds: 1, drawTime: 60 });
+  const chatFrom = (bot, sender) => bot.payloads('chat_message').filter(message => message.playerId === sender.playerId);
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('correct_guess')));
+  bob.client.emit('chat', { message: `easy, it was ${harness.table.word}` });
+  bob.guess('no idea');
+  harness.flush();
+
+  // Guesses from players who already guessed are chat on the same channel
+  [alice, bob].forEach(bot => {
+    const messages = chatFrom(bot, bob);
+    assert.deepStrictEqual(messages.map(message => message.channel), ['guessed', 'guessed']);
+    assert.strictEqual(messages[0].redacted, true);
+    assert.ok(!messages[0].message.includes(harness.table.word));
+  });
+  assert.deepStrictEqual(chatFrom(cara, bob), [], 'remaining guessers see nothing');
+
+  assert.ok(harness.runUntil(() => alice.has('round_ended')));
+  bob.client.emit('chat', { message: 'gg' });
+  harness.flush();
+  assert.deepStrictEqual(chatFrom(cara, bob).map(message => [message.message, message.channel]), [['gg', 'all']]);
+});
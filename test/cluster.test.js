@@ -0,0 +1,181 @@
+// =============================================================================
+// CLUSTER TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Two nodes on a shared in-process bus - room claims, releases,
+// heartbeat expiry, redirects to the owning node and the cluster-wide room list
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const clock = require('../src/clock');
+const cluster = require('../src/cluster');
+const { app, clusterNode } = require('../src/index');
+const { createManualClock } = require('./harness/manualClock');
+const { createHarness } = require('./harness');
+
+/**
+ * Let the in-process bus deliver everything published so far, plus replies
+ * (a sync request is answered with an announce one delivery later)
+ * @returns {Promise} Resolves after pending deliveries
+ */
+async function delivered() {
+  for (let i = 0; i < 3; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+test('nodes see each other\'s claims and releases, including claims made before they joined', async (t) => {
+  const bus = cluster.createInProcessPubSub();
+  const alpha = cluster.createClusterNode({ nodeId: 'alpha', url: 'http://alpha', pubsub: bus });
+  const beta = cluster.createClusterNode({ nodeId: 'beta', url: 'http://beta', pubsub: bus });
+  t.after(() => {
+    alpha.stop();
+    beta.stop();
+  });
+
+  alpha.start();
+  alpha.claimRoom('EARLY1');
+  await delivered();
+
+  beta.start();
+  beta.claimRoom('LATE01');
+  await delivered();
+
+  assert.deepStrictEqual(beta.getRoomOwner('EARLY1'), { nodeId: 'alpha', url: 'http://alpha', isLocal: false });
+  assert.deepStrictEqual(alpha.getRoomOwner('LATE01'), { nodeId: 'beta', url: 'http://beta', isLocal: false });
+  assert.strictEqual(alpha.getRoomOwner('EARLY1').isLocal, true);
+
+  alpha.releaseRoom('EARLY1');
+  await delivered();
+  assert.strictEqual(beta.isRoomKnown('EARLY1'), false);
+
+  // Stopping a node frees every room it still owned
+  beta.stop();
+  await delivered();
+  assert.strictEqual(alpha.isRoomKnown('LATE01'), false);
+});
+
+test('rooms of a node that stops sending heartbeats expire', async (t) => {
+  const manualClock = createManualClock({ start: 1700000000000 });
+  clock.setClock(manualClock);
+
+  // The crashed node stays subscribed but nothing it publishes arrives any more
+  const bus = cluster.createInProcessPubSub();
+  let crashed = false;
+  const flakyBus = { ...bus, publish: (channel, message) => !crashed && bus.publish(channel, message) };
+
+  const alpha = cluster.createClusterNode({ nodeId: 'alpha', url: 'http://alpha', pubsub: bus });
+  const beta = cluster.createClusterNode({ nodeId: 'beta', url: 'http://beta', pubsub: flakyBus });
+  t.after(() => {
+    alpha.stop();
+    beta.stop();
+    clock.resetClock();
+  });
+
+  alpha.start();
+  beta.start();
+  beta.claimRoom('BETA01');
+  await delivered();
+
+  // Heartbeats keep the room alive well past the TTL
+  for (let elapsed = 0; elapsed < cluster.NODE_TTL * 2; elapsed += cluster.HEARTBEAT_INTERVAL) {
+    manualClock.advance(cluster.HEARTBEAT_INTERVAL);
+    await delivered();
+  }
+  assert.strictEqual(alpha.getRoomOwner('BETA01').nodeId, 'beta');
+
+  crashed = true;
+  manualClock.advance(cluster.NODE_TTL);
+  await delivered();
+  assert.strictEqual(alpha.getRoomOwner('BETA01').nodeId, 'beta', 'still within the TTL');
+
+  manualClock.advance(cluster.HEARTBEAT_INTERVAL);
+  await delivered();
+  assert.strictEqual(alpha.getRoomOwner('BETA01'), null);
+  assert.strictEqual(alpha.isRoomKnown('BETA01'), false);
+});
+
+test('joining a room owned by another node redirects the client there', async (t) => {
+  const harness = createHarness();
+  const remote = cluster.createClusterNode({ nodeId: 'remote', url: 'http://remote:3001', pubsub: clusterNode.pubsub });
+  t.after(() => {
+    remote.stop();
+    clusterNode.stop();
+    harness.close();
+  });
+
+  clusterNode.start();
+  remote.start();
+  remote.claimRoom('FARAWY');
+  await delivered();
+
+  const alice = harness.addBot('Alice');
+  alice.joinRoom('farawy');
+  harness.flush();
+
+  assert.deepStrictEqual(alice.payloads('room_redirect'), [{ roomId: 'FARAWY', nodeId: 'remote', url: 'http://remote:3001' }]);
+  assert.ok(!alice.has('room_joined'));
+
+  // Rooms this node owns are served locally
+  const bob = harness.addBot('Bob');
+  const roomId = harness.seat([bob], {});
+  await delivered();
+  assert.strictEqual(remote.getRoomOwner(roomId).nodeId, clusterNode.nodeId);
+});
+
+test('the room list covers public rooms on every node, with the owner\'s URL', async (t) => {
+  const harness = createHarness();
+  const server = http.createServer(app);
+
+  // The remote node goes silent once crashed, like in the expiry test
+  let crashed = false;
+  const flakyBus = { ...clusterNode.pubsub, publish: (channel, message) => !crashed && clusterNode.pubsub.publish(channel, message) };
+  const remote = cluster.createClusterNode({ nodeId: 'remote', url: 'http://remote:3001', pubsub: flakyBus });
+  const remoteRooms = [{ id: 'FARAWY', status: 'waiting', playerCount: 3, maxPlayers: 8, language: 'en' }];
+  remote.setListingSource(() => remoteRooms);
+  t.after(() => {
+    server.close();
+    remote.stop();
+    clusterNode.stop();
+    harness.close();
+  });
+
+  clusterNode.start();
+  remote.start();
+  remote.claimRoom('FARAWY');
+  await delivered();
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const localId = harness.seat([alice], { visibility: 'public' });
+  await delivered();
+
+  bob.client.emit('list_public_rooms');
+  harness.flush();
+  assert.deepStrictEqual(bob.payloads('public_rooms')[0].rooms.map(room => [room.id, room.url]),
+    [['FARAWY', 'http://remote:3001'], [localId, clusterNode.url]]);
+  assert.deepStrictEqual(remote.listRooms().map(room => room.id), ['FARAWY', localId], 'nodes see each other\'s rooms');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const list = async (query) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/rooms${query}`);
+    return (await response.json()).rooms.map(room => room.id);
+  };
+  assert.deepStrictEqual(await list('?language=en'), ['FARAWY', localId]);
+  assert.deepStrictEqual(await list('?language=xx'), []);
+
+  // Released rooms leave the list; so do all rooms of a node that stops sending heartbeats
+  remoteRooms.splice(0);
+  remoteRooms.push({ id: 'SECOND', status: 'waiting', playerCount: 1, maxPlayers: 8, language: 'en' });
+  remote.releaseRoom('FARAWY');
+  remote.claimRoom('SECOND');
+  remote.publishListings();
+  await delivered();
+  assert.deepStrictEqual(await list(''), [localId, 'SECOND']);
+
+  crashed = true;
+  harness.advance(cluster.NODE_TTL + cluster.HEARTBEAT_INTERVAL);
+  await delivered();
+  assert.deepStrictEqual(await list(''), [localId]);
+});
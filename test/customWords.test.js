@@ -0,0 +1,138 @@
+// =============================================================================
+// CUSTOM WORDS TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Custom-only and weighted modes, settings validation and the
+// custom word import route
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { app } = require('../src/index');
+const { createHarness } = require('./harness');
+
+const JOKES = ['office plant', 'coffee mug', 'standup', 'deploy friday', 'rubber duck',
+  'merge conflict', 'pager', 'whiteboard', 'hotfix', 'lunch order', 'retro', 'jira'];
+
+/**
+ * Play a two-round game and collect every offered word
+ * @param {Object} settings - Room settings
+ * @returns {Array} Offered words
+ */
+function offeredIn(settings) {
+  const harness = createHarness();
+  try {
+    const bots = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+    harness.seat(bots, { rounds: 2, ...settings });
+    bots[0].startGame();
+    assert.ok(harness.runUntil(() => bots[0].has('game_ended')));
+    return bots.reduce((all, bot) => all.concat(...bot.payloads('word_options').map(offer => offer.options)), []);
+  } finally {
+    harness.close();
+  }
+}
+
+test('custom-only rooms offer nothing but their custom words', () => {
+  const offered = offeredIn({ customWords: JOKES, customWordsMode: 'only' });
+  assert.strictEqual(offered.length, 18);
+  assert.ok(offered.every(word => JOKES.includes(word)));
+});
+
+test('the custom word chance decides how many options are custom', () => {
+  const always = offeredIn({ customWords: JOKES, customWordChance: 1 });
+  assert.ok(always.every(word => JOKES.includes(word)));
+
+  const never = offeredIn({ customWords: JOKES, customWordChance: 0 });
+  assert.ok(never.every(word => !JOKES.includes(word)));
+});
+
+test('custom-driven modes need enough custom words', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const owner = harness.addBot('Owner');
+  const create = (settings) => {
+    owner.createRoom(settings);
+    harness.flush();
+    return owner.payloads('room_error').pop();
+  };
+
+  assert.deepStrictEqual(create({ customWords: JOKES.slice(0, 9), customWordsMode: 'only' }),
+    { error: 'Custom-only mode needs at least 10 custom words' });
+  assert.deepStrictEqual(create({ customWords: JOKES.slice(0, 3), customWordChance: 0.5 }),
+    { error: 'A custom word chance needs at least 10 custom words' });
+  assert.strictEqual(owner.roomId, null);
+
+  harness.seat([owner], { customWords: JOKES, customWordsMode: 'only', customWordChance: 7 });
+  const enough = owner.payloads('room_created')[0].room.settings;
+  assert.strictEqual(enough.customWordsMode, 'only');
+  assert.strictEqual(enough.customWordChance, 1);
+
+  // Updates are held to the same rule and leave the room untouched
+  owner.client.emit('update_room_settings', { settings: { customWords: JOKES.slice(0, 2), customWordsMode: 'only' } });
+  harness.flush();
+  assert.deepStrictEqual(owner.payloads('room_settings_error'), [{ message: 'Custom-only mode needs at least 10 custom words' }]);
+  assert.ok(!owner.has('room_settings_updated'));
+});
+
+test('owners import custom words from pasted text or a text file', async (t) => {
+  const harness = createHarness();
+  const server = http.createServer(app);
+  t.after(() => {
+    server.close();
+    harness.close();
+  });
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const roomId = harness.seat([alice, bob], { customWords: ['pager'] });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}/api/rooms/${roomId.toLowerCase()}/custom-words`;
+  const tokenOf = bot => bot.payloads('connected')[0].sessionToken;
+  const post = (bot, body, type) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': type, Authorization: `Bearer ${tokenOf(bot)}` },
+    body: body
+  });
+
+  const pasted = await post(alice, JSON.stringify({ text: 'Standup, hotfix,,pager\nretro' }), 'application/json');
+  assert.strictEqual(pasted.status, 200);
+  assert.strictEqual((await pasted.json()).added, 3);
+
+  const file = await post(alice, 'jira\r\nwhiteboard\r\n', 'text/plain');
+  assert.deepStrictEqual((await file.json()).settings.customWords,
+    ['pager', 'standup', 'hotfix', 'retro', 'jira', 'whiteboard']);
+
+  harness.flush();
+  assert.strictEqual(bob.payloads('room_settings_updated').length, 2);
+
+  const notOwner = await post(bob, 'coffee mug', 'text/plain');
+  assert.strictEqual(notOwner.status, 403);
+
+  const noToken = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'retro' });
+  assert.strictEqual(noToken.status, 401);
+
+  const empty = await post(alice, ' , \n', 'text/plain');
+  assert.strictEqual(empty.status, 400);
+  assert.deepStrictEqual(await empty.json(), { error: 'No words found', code: 'invalid' });
+
+  // Replacing the list with too few words for a custom-only room is rejected
+  await post(alice, JOKES.join('\n'), 'text/plain');
+  alice.client.emit('update_room_settings', { settings: { customWords: JOKES, customWordsMode: 'only' } });
+  harness.flush();
+  const tooFew = await fetch(`${url}?replace=true`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain', Authorization: `Bearer ${tokenOf(alice)}` },
+    body: 'pager\nretro'
+  });
+  assert.strictEqual(tooFew.status, 400);
+  assert.deepStrictEqual(await tooFew.json(), { error: 'Custom-only mode needs at least 10 custom words', code: 'invalid' });
+
+  const missing = await fetch(url.replace(roomId.toLowerCase(), 'nope00'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain', Authorization: `Bearer ${tokenOf(alice)}` },
+    body: 'retro'
+  });
+  assert.strictEqual(missing.status, 404);
+});
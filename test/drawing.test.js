@@ -0,0 +1,84 @@
+// =============================================================================
+// DRAWING TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Per-round stroke history and its replay to players who ask for the
+// canvas or resume their session mid-round
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+/**
+ * Send one complete stroke from the drawer
+ * @param {Object} bot - Drawing bot
+ * @param {number} x - Starting x coordinate
+ */
+function stroke(bot, x) {
+  bot.client.emit('draw_start', { x: x, y: 10, color: '#000000', size: 4 });
+  bot.client.emit('draw_move', { x: x + 5, y: 15 });
+  bot.client.emit('draw_move', { x: x + 10, y: 20 });
+  bot.client.emit('draw_end', { x: x + 10, y: 20 });
+}
+
+test('the canvas since the last clear replays on request and on resume', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice', { draw: false });
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  harness.seat([alice, bob], { rounds: 1, drawTime: 60 });
+  const { sessionToken } = bob.payloads('connected')[0];
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  stroke(alice, 0);
+  alice.client.emit('clear_canvas');
+  stroke(alice, 100);
+  harness.flush();
+
+  bob.client.emit('request_canvas_state');
+  harness.flush();
+  const canvas = bob.payloads('canvas_state')[0];
+  assert.deepStrictEqual(canvas, {
+    strokes: [{
+      start: { x: 100, y: 10, color: '#000000', size: 4 },
+      points: [{ x: 105, y: 15 }, { x: 110, y: 20 }],
+      end: { x: 110, y: 20 }
+    }],
+    pointCount: 2
+  });
+
+  // Reconnecting guessers get the same board without asking
+  bob.client.disconnect('transport close');
+  const client = harness.connect();
+  client.emit('resume_session', { sessionToken });
+  harness.flush();
+  const replayed = client.received.filter(entry => entry.event === 'canvas_state').map(entry => entry.payload);
+  assert.deepStrictEqual(replayed, [canvas]);
+});
+
+test('each turn starts with an empty canvas', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice', { draw: false });
+  const bob = harness.addBot('Bob', { draw: false, guessDelay: 2000 });
+  harness.seat([alice, bob], { rounds: 1, drawTime: 60 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  stroke(alice, 0);
+  assert.ok(harness.runUntil(() => alice.has('round_ended')));
+
+  // Between turns there is nothing to show
+  bob.client.emit('request_canvas_state');
+  harness.flush();
+  assert.deepStrictEqual(bob.payloads('canvas_state').pop(), { strokes: [], pointCount: 0 });
+
+  assert.ok(harness.runUntil(() => alice.payloads('drawing_started').length === 2));
+  alice.client.emit('request_canvas_state');
+  harness.flush();
+  assert.deepStrictEqual(alice.payloads('canvas_state').pop(), { strokes: [], pointCount: 0 });
+});
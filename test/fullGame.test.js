@@ -0,0 +1,311 @@
+// =============================================================================
+// FULL GAME SIMULATION TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Play complete multi-round games with scripted bots on a manual clock
+// and assert on the events each client sees
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const playerManager = require('../src/players');
+const { createHarness, GAME_FLOW_EVENTS } = require('./harness');
+
+/**
+ * Game flow events with repeated hint_update collapsed into one
+ * (the number of hints depends on the length of the drawn word)
+ * @param {Object} bot - Bot
+ * @returns {Array} Event names
+ */
+function flowOf(bot) {
+  return bot.events(GAME_FLOW_EVENTS).filter((event, index, events) =>
+    !(event === 'hint_update' && events[index - 1] === 'hint_update'));
+}
+
+/**
+ * Expected flow for one player across a game
+ * @param {Array} drawerOrder - Bots in drawing order for the whole game
+ * @param {Object} bot - Player to build the flow for
+ * @returns {Array} Event names
+ */
+function expectedFlow(drawerOrder, bot) {
+  const turns = drawerOrder.map(drawer => (drawer === bot
+    ? ['word_options', 'round_started', 'round_ended']
+    : ['round_started', 'hint_update', 'round_ended']));
+  return ['game_started'].concat(...turns, ['game_ended']);
+}
+
+test('two-round game with three bots emits the full event sequence', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob');
+  const cara = harness.addBot('Cara', { guessDelay: null });
+  harness.seat([alice, bob, cara], { rounds: 2, drawTime: 30 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')), 'game should end');
+  harness.flush();
+
+  const drawerOrder = [alice, bob, cara, alice, bob, cara];
+  [alice, bob, cara].forEach(bot => {
+    assert.deepStrictEqual(flowOf(bot), expectedFlow(drawerOrder, bot), `flow seen by ${bot.name}`);
+  });
+
+  // Cara never guesses, so only her own turns end before the buzzer
+  const rounds = alice.payloads('round_ended');
+  assert.deepStrictEqual(rounds.map(round => round.drawerId), drawerOrder.map(bot => bot.playerId));
+  assert.deepStrictEqual(
+    rounds.map(round => round.reason),
+    drawerOrder.map(drawer => (drawer === cara ? 'all_guessed' : 'time_up'))
+  );
+
+  const ended = alice.payloads('game_ended')[0];
+  assert.strictEqual(ended.reason, 'completed');
+  assert.strictEqual(ended.roundsPlayed, 2);
+  const caraResult = ended.leaderboard.find(entry => entry.playerId === cara.playerId);
+  const bobResult = ended.leaderboard.find(entry => entry.playerId === bob.playerId);
+  assert.ok(bobResult.score > caraResult.score, 'guessing earns more than only drawing');
+});
+
+test('turn ends as soon as every guesser has guessed', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice', { guessDelay: 2000 });
+  const bob = harness.addBot('Bob', { guessDelay: 4000 });
+  harness.seat([alice, bob], { rounds: 1, drawTime: 60 });
+
+  const startedAt = harness.clock.now();
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  harness.flush();
+
+  const rounds = alice.payloads('round_ended');
+  assert.deepStrictEqual(rounds.map(round => round.reason), ['all_guessed', 'all_guessed']);
+  assert.deepStrictEqual(rounds.map(round => round.drawerScore > 0), [true, true]);
+
+  // Two short turns plus the pause between them - nowhere near two full drawing timers
+  assert.ok(harness.clock.now() - startedAt < 60 * 1000);
+});
+
+test('idle drawer gets a word auto-selected when the selection timer runs out', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice', { selectDelay: null });
+  const bob = harness.addBot('Bob');
+  harness.seat([alice, bob], { rounds: 1, drawTime: 30 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('word_selected')));
+  harness.flush();
+
+  const selected = bob.payloads('word_selected')[0];
+  assert.strictEqual(selected.autoSelected, true);
+  assert.ok(alice.payloads('drawing_started')[0].word, 'drawer learns the auto-selected word');
+  assert.ok(!bob.payloads('drawing_started')[0].word, 'guessers never get the word');
+});
+
+test('wrong guesses do not end the turn or leak the word', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { wrongGuesses: ['zzzz', 'qqqq'], guessDelay: null });
+  harness.seat([alice, bob], { rounds: 1, drawTime: 30 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  harness.flush();
+
+  assert.ok(!bob.has('correct_guess'));
+  assert.ok(!bob.has('round_ended'));
+  assert.ok(bob.payloads('drawing_started').every(payload => !payload.word));
+});
+
+test('player leaves between turns in the last round', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob');
+  const cara = harness.addBot('Cara');
+  harness.seat([alice, bob, cara], { rounds: 1, drawTime: 30 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('round_ended').length === 2));
+  cara.leave();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')), 'game should end');
+  harness.flush();
+
+  // Cara was the only drawer left, so the game is over instead of wrapping into round 2
+  const rounds = alice.payloads('round_ended');
+  assert.deepStrictEqual(rounds.map(round => round.drawerId), [alice.playerId, bob.playerId]);
+  assert.strictEqual(alice.payloads('round_started').length, 2);
+
+  const ended = alice.payloads('game_ended')[0];
+  assert.strictEqual(ended.reason, 'completed');
+  assert.strictEqual(ended.roundsPlayed, 1);
+});
+
+/**
+ * Play Alice's opening turn where Bob guesses and Cara (if seated) never does
+ * @param {Object} options - { withCara: boolean, dropCaraAt: 'before_guess' | 'after_guess' }
+ * @returns {Object} { ended: Alice's first round_ended payload, waited: ms from Cara's drop to the turn's end }
+ */
+function openingTurn(options) {
+  const harness = createHarness();
+  try {
+    const alice = harness.addBot('Alice');
+    const bob = harness.addBot('Bob', { guessDelay: 2000 });
+    const cara = harness.addBot('Cara', { guessDelay: null });
+    const bots = options.withCara ? [alice, bob, cara] : [alice, bob];
+    harness.seat(bots, { rounds: 1, drawTime: 60 });
+
+    alice.startGame();
+    const dropAfter = options.dropCaraAt === 'after_guess' ? 'correct_guess' : 'drawing_started';
+    assert.ok(harness.runUntil(() => bob.has(dropAfter) || alice.has('round_ended')));
+    const droppedAt = harness.clock.now();
+    if (options.withCara) {
+      cara.client.disconnect('transport close');
+    }
+    assert.ok(harness.runUntil(() => alice.has('round_ended')));
+    return { ended: alice.payloads('round_ended')[0], waited: harness.clock.now() - droppedAt };
+  } finally {
+    harness.close();
+  }
+}
+
+test('disconnected guessers do not hold up the turn or cut the drawer payout', () => {
+  const alone = openingTurn({ withCara: false }).ended;
+  assert.strictEqual(alone.reason, 'all_guessed');
+
+  // Cara drops before Bob guesses: Bob's guess ends the turn, paid as if Cara had never played
+  const droppedEarly = openingTurn({ withCara: true, dropCaraAt: 'before_guess' });
+  assert.strictEqual(droppedEarly.ended.reason, 'all_guessed');
+  assert.ok(droppedEarly.waited < 5000, `turn waited ${droppedEarly.waited}ms for a disconnected guesser`);
+  assert.strictEqual(droppedEarly.ended.drawerBreakdown.base, alone.drawerBreakdown.base);
+
+  // Cara drops after Bob guessed: she was the only one missing, so the turn ends right away
+  const droppedLate = openingTurn({ withCara: true, dropCaraAt: 'after_guess' });
+  assert.strictEqual(droppedLate.ended.reason, 'all_guessed');
+  assert.strictEqual(droppedLate.waited, 0);
+});
+
+test('disconnected players are skipped in the drawer rotation', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob');
+  const cara = harness.addBot('Cara');
+  harness.seat([alice, bob, cara], { rounds: 1, drawTime: 60 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => cara.has('drawing_started')));
+  bob.client.disconnect('transport close');
+  harness.flush();
+
+  // Bob is still in his grace period when his turn comes up - Cara draws instead
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  const rounds = alice.payloads('round_ended');
+  assert.deepStrictEqual(rounds.map(round => round.drawerId), [alice.playerId, cara.playerId]);
+  assert.deepStrictEqual(rounds.map(round => round.reason), ['all_guessed', 'all_guessed']);
+  assert.ok(!alice.payloads('round_started').some(round => round.drawerId === bob.playerId));
+  assert.strictEqual(alice.payloads('game_ended')[0].reason, 'completed');
+});
+
+test('a dropped guesser resumes on a new connection and keeps playing', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  harness.seat([alice, bob], { rounds: 1, drawTime: 60 });
+  const { sessionToken } = bob.payloads('connected')[0];
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  bob.client.disconnect('transport close');
+  harness.flush();
+  const dropped = alice.payloads('room_updated').pop().room.players.find(player => player.id === bob.playerId);
+  assert.strictEqual(dropped.connected, false);
+  assert.strictEqual(playerManager.getPlayerById(bob.playerId).disconnectedAt, harness.clock.now());
+
+  const client = harness.connect();
+  client.emit('resume_session', { sessionToken });
+  client.emit('guess', { guess: harness.table.word });
+  harness.flush();
+
+  const resumed = client.received.find(entry => entry.event === 'session_resumed').payload;
+  assert.strictEqual(resumed.player.id, bob.playerId);
+  assert.strictEqual(resumed.game.phase, 'drawing');
+  assert.ok(client.received.some(entry => entry.event === 'correct_guess'), 'the resumed connection can guess');
+  assert.strictEqual(alice.payloads('round_ended')[0].reason, 'all_guessed');
+});
+
+test('a session can no longer be resumed once the grace period is over', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob');
+  const cara = harness.addBot('Cara');
+  harness.seat([alice, bob, cara]);
+  const { sessionToken } = bob.payloads('connected')[0];
+
+  bob.client.disconnect('transport close');
+  harness.advance(30000);
+
+  const client = harness.connect();
+  client.emit('resume_session', { sessionToken });
+  harness.flush();
+
+  const players = alice.payloads('room_updated').pop().room.players;
+  assert.ok(!players.some(player => player.id === bob.playerId), 'Bob lost his seat');
+  assert.deepStrictEqual(client.received.filter(entry => entry.event === 'session_error').map(entry => entry.payload),
+    [{ error: 'Session expired or not found' }]);
+});
+
+test('the drawer leaving mid-turn ends the turn and the rotation carries on', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara, dave] = ['Alice', 'Bob', 'Cara', 'Dave'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara, dave], { rounds: 1, drawTime: 60 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => cara.payloads('drawing_started').length === 2));
+  bob.leave();
+  harness.flush();
+  const cut = cara.payloads('round_ended')[1];
+  assert.deepStrictEqual([cut.drawerId, cut.reason], [bob.playerId, 'drawer_left']);
+
+  // Someone earlier in the rotation leaving doesn't make anyone lose their turn
+  assert.ok(harness.runUntil(() => cara.payloads('drawing_started').length === 3));
+  alice.leave();
+  assert.ok(harness.runUntil(() => cara.has('game_ended')));
+
+  assert.deepStrictEqual(cara.payloads('round_started').map(round => round.drawerId),
+    [alice.playerId, bob.playerId, cara.playerId, dave.playerId]);
+  assert.strictEqual(cara.payloads('game_ended')[0].reason, 'completed');
+});
+
+test('the game stops when fewer than two players are left', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  harness.seat([alice, bob], { rounds: 3 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  bob.leave();
+  harness.flush();
+
+  assert.strictEqual(alice.payloads('round_ended')[0].reason, 'not_enough_players');
+  assert.strictEqual(alice.payloads('game_ended')[0].reason, 'not_enough_players');
+  assert.strictEqual(alice.payloads('round_ended')[0].selectedWord, harness.table.word, 'the turn is finished so the word is revealed');
+});
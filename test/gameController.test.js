@@ -0,0 +1,64 @@
+// =============================================================================
+// GAME CONTROLLER TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: A room's game loop driven headless - no sockets, no transport, just
+// the controller, its domain events and a manual clock
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const clock = require('../src/clock');
+const playerManager = require('../src/players');
+const roomManager = require('../src/rooms');
+const gameController = require('../src/gameController');
+const { createManualClock } = require('./harness/manualClock');
+
+const { AUDIENCE } = gameController;
+
+test('a controller plays a whole game on its own and reports it through domain events', (t) => {
+  const manualClock = createManualClock({ start: 1700000000000 });
+  clock.setClock(manualClock);
+  const originalLog = console.log;
+  console.log = () => {};
+
+  const [alice, bob] = ['socket-alice', 'socket-bob'].map(socketId => playerManager.createPlayer(socketId));
+  const room = roomManager.createRoom(alice.id, { rounds: 1 }).room;
+  roomManager.joinRoom(bob.id, room.id);
+
+  const controller = gameController.createGameController(room.id);
+  const events = [];
+  controller.on('event', event => events.push(event));
+  t.after(() => {
+    controller.dispose();
+    clock.resetClock();
+    console.log = originalLog;
+  });
+  const named = name => events.filter(event => event.name === name);
+
+  assert.strictEqual(controller.startGame(bob.id).success, false, 'only the owner starts');
+  assert.strictEqual(controller.startGame(alice.id).success, true);
+
+  // Word options go to the drawer alone; the word reaches the drawer audience only
+  const [offer] = named('word_options');
+  assert.deepStrictEqual(offer.audience, { type: AUDIENCE.PLAYER, playerId: alice.id });
+  assert.strictEqual(controller.selectWord(alice.id, offer.payload.options[0]).success, true);
+  const [toDrawer, toGuessers] = named('drawing_started');
+  assert.deepStrictEqual(toDrawer.audience, { type: AUDIENCE.DRAWER });
+  assert.strictEqual(toDrawer.payload.word, offer.payload.options[0]);
+  assert.deepStrictEqual(toGuessers.audience, { type: AUDIENCE.GUESSERS });
+  assert.strictEqual(toGuessers.payload.word, undefined);
+
+  assert.strictEqual(controller.submitGuess(bob.id, toDrawer.payload.word).success, true);
+  assert.strictEqual(named('correct_guess')[0].payload.playerId, bob.id);
+  assert.strictEqual(named('round_ended')[0].payload.reason, 'all_guessed');
+
+  // Bob's turn runs on timers alone: auto-selected word, then the drawing timer runs out
+  assert.ok(manualClock.runUntil(() => named('game_ended').length === 1));
+  assert.deepStrictEqual(named('round_started').map(round => round.payload.drawerId), [alice.id, bob.id]);
+  assert.strictEqual(named('word_selected')[1].payload.autoSelected, true);
+
+  const [ended] = named('game_ended');
+  assert.strictEqual(ended.payload.reason, 'completed');
+  assert.ok(ended.payload.leaderboard.every(entry => entry.score > 0), 'guesser and drawer both scored');
+});
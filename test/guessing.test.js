@@ -0,0 +1,59 @@
+// =============================================================================
+// GUESSING TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Close-guess detection and the private feedback it sends, with the
+// room's threshold deciding how close is close
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const guessEngine = require('../src/guessEngine');
+const { createHarness } = require('./harness');
+
+test('one letter off, plural/singular and missing spaces count as close', () => {
+  assert.strictEqual(guessEngine.isCloseGuess('elefant', 'elephant', 2), true);
+  assert.strictEqual(guessEngine.isCloseGuess('bananna', 'banana'), true);
+  assert.strictEqual(guessEngine.isCloseGuess('cats', 'cat'), true);
+  assert.strictEqual(guessEngine.isCloseGuess('icecream', 'ice cream'), true);
+
+  assert.strictEqual(guessEngine.isCloseGuess('banana', 'banana'), false, 'correct is not close');
+  assert.strictEqual(guessEngine.isCloseGuess('dog', 'cat'), false);
+  assert.strictEqual(guessEngine.isCloseGuess('bananna', 'banana', 0), false, '0 disables');
+});
+
+/**
+ * Play the opening turn where Bob sends one near miss
+ * @param {Object} settings - Room settings
+ * @returns {Object} { alice, bob, cara } bots after the near miss
+ */
+function nearMissIn(settings) {
+  const harness = createHarness();
+  try {
+    const alice = harness.addBot('Alice');
+    const bob = harness.addBot('Bob', { guessDelay: null });
+    const cara = harness.addBot('Cara', { guessDelay: null });
+    harness.seat([alice, bob, cara], { rounds: 1, ...settings });
+
+    alice.startGame();
+    assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+    bob.guess(`${harness.table.word}s`);
+    harness.flush();
+    return { alice, bob, cara };
+  } finally {
+    harness.close();
+  }
+}
+
+test('only the guesser hears that a guess was close', () => {
+  const { alice, bob, cara } = nearMissIn({});
+  assert.strictEqual(bob.payloads('close_guess').length, 1);
+  assert.ok(!alice.has('close_guess'));
+  assert.ok(!cara.has('close_guess'));
+  assert.ok(!bob.has('correct_guess'), 'a close guess is still wrong');
+});
+
+test('a threshold of 0 turns close guesses off', () => {
+  const { bob } = nearMissIn({ closeGuessThreshold: 0 });
+  assert.ok(!bob.has('close_guess'));
+});
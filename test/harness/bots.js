@@ -0,0 +1,152 @@
+// =============================================================================
+// SCRIPTED BOTS
+// Headless Test Harness
+// =============================================================================
+// Purpose: Fake players that create/join rooms, pick words, draw and guess
+// Bots react to server events; timed actions run on the harness clock
+// =============================================================================
+
+/**
+ * Bot script structure:
+ * {
+ *   pickWord: (options: string[]) => string,   // Drawer's choice (default: first option)
+ *   selectDelay: number|null,                  // ms before picking; null = let the timer auto-select
+ *   guessDelay: number|null,                   // ms into drawing before guessing right; null = never
+ *   wrongGuesses: string[],                    // Sent right after drawing starts
+ *   draw: boolean                              // Send a short stroke when drawing starts
+ * }
+ */
+const DEFAULT_SCRIPT = {
+  pickWord: options => options[0],
+  selectDelay: 1000,
+  guessDelay: 5000,
+  wrongGuesses: [],
+  draw: true
+};
+
+/**
+ * Create a scripted bot
+ * @param {Object} harness - Harness (provides connect(), clock and the shared table)
+ * @param {string} name - Player name
+ * @param {Object} script - Partial bot script
+ * @returns {Object} Bot
+ */
+function createBot(harness, name, script = {}) {
+  const behavior = { ...DEFAULT_SCRIPT, ...script };
+  const client = harness.connect();
+  const pending = [];
+
+  const bot = {
+    name,
+    client,
+    playerId: null,
+    roomId: null,
+
+    /**
+     * Names of received events, optionally filtered
+     * @param {Array} only - Event names to keep
+     * @returns {Array} Event names in arrival order
+     */
+    events(only) {
+      const names = client.received.map(entry => entry.event);
+      return only ? names.filter(event => only.includes(event)) : names;
+    },
+
+    /**
+     * Payloads of one event, in arrival order
+     * @param {string} eventName - Event name
+     * @returns {Array} Payloads
+     */
+    payloads(eventName) {
+      return client.received.filter(entry => entry.event === eventName).map(entry => entry.payload);
+    },
+
+    /**
+     * Check if an event has been received
+     * @param {string} eventName - Event name
+     * @returns {boolean} True if received at least once
+     */
+    has(eventName) {
+      return client.received.some(entry => entry.event === eventName);
+    },
+
+    createRoom(settings) {
+      client.emit('create_room', { settings });
+    },
+
+    joinRoom(roomId) {
+      client.emit('join_room', { roomId });
+    },
+
+    startGame() {
+      client.emit('start_game');
+    },
+
+    guess(text) {
+      client.emit('guess', { guess: text });
+    },
+
+    leave() {
+      client.emit('leave_room');
+    }
+  };
+
+  /**
+   * Run an action later on the harness clock; dropped when the turn moves on
+   * @param {number} delay - Delay in ms
+   * @param {Function} action - Action
+   */
+  function later(delay, action) {
+    pending.push(harness.clock.setTimeout(action, delay));
+  }
+
+  function cancelPending() {
+    pending.splice(0).forEach(handle => harness.clock.clearTimeout(handle));
+  }
+
+  client.on('connected', ({ playerId }) => {
+    bot.playerId = playerId;
+    client.emit('set_player_name', { name });
+  });
+
+  client.on('room_created', ({ roomId }) => {
+    bot.roomId = roomId;
+  });
+
+  client.on('room_joined', ({ room }) => {
+    bot.roomId = room.id;
+  });
+
+  client.on('round_ended', cancelPending);
+  client.on('game_ended', cancelPending);
+
+  client.on('word_options', ({ options }) => {
+    if (behavior.selectDelay === null) return;
+    later(behavior.selectDelay, () => client.emit('select_word', { word: behavior.pickWord(options) }));
+  });
+
+  client.on('drawing_started', (payload) => {
+    if (payload.word) {
+      // Drawer: tell the table what to guess, then draw something
+      harness.table.word = payload.word;
+      if (behavior.draw) {
+        client.emit('draw_start', { x: 10, y: 10, color: '#000000', size: 4 });
+        client.emit('draw_move', { x: 20, y: 20 });
+        client.emit('draw_end', {});
+      }
+      return;
+    }
+
+    behavior.wrongGuesses.forEach(text => bot.guess(text));
+    if (behavior.guessDelay !== null) {
+      later(behavior.guessDelay, () => bot.guess(harness.table.word));
+    }
+  });
+
+  return bot;
+}
+
+module.exports = {
+  createBot,
+  DEFAULT_SCRIPT
+};
@@ -0,0 +1,237 @@
+// =============================================================================
+// FAKE SOCKET.IO SERVER AND CLIENTS
+// Headless Test Harness
+// =============================================================================
+// Purpose: The subset of the Socket.IO server API used by src/index.js, with
+// in-process clients instead of network connections
+// Messages are queued and only delivered on flush(), so handlers never re-enter
+// each other and the order of delivery is deterministic
+// =============================================================================
+
+/**
+ * Create a fake Socket.IO server
+ * @returns {Object} Server with connect() and flush() for the harness
+ */
+function createFakeSocketServer() {
+  const connectionHandlers = [];
+  const queue = [];
+  let nextSocketId = 1;
+
+  // Map structure: socketId -> server-side socket
+  const sockets = new Map();
+
+  // Map structure: channel -> Set of socketIds
+  const channels = new Map();
+
+  /**
+   * Queue a delivery; payloads are copied like they would be on the wire
+   * @param {Function} deliver - Called with the copied arguments
+   * @param {Array} args - Event arguments
+   */
+  function enqueue(deliver, args) {
+    const copied = args.map(arg => (arg === undefined ? undefined : JSON.parse(JSON.stringify(arg))));
+    queue.push(() => deliver(copied));
+  }
+
+  /**
+   * Resolve a target (channel name or socket ID) to socket IDs
+   * @param {Array} targets - Channel names or socket IDs
+   * @param {string|null} exceptId - Socket ID to leave out
+   * @returns {Set} Socket IDs
+   */
+  function resolveTargets(targets, exceptId) {
+    const ids = new Set();
+    targets.forEach(target => {
+      if (channels.has(target)) {
+        channels.get(target).forEach(id => ids.add(id));
+      } else if (sockets.has(target)) {
+        ids.add(target);
+      }
+    });
+    ids.delete(exceptId);
+    return ids;
+  }
+
+  /**
+   * Build a broadcast operator like io.to(...) / socket.to(...)
+   * @param {Array} targets - Channel names or socket IDs
+   * @param {string|null} exceptId - Sender socket to skip
+   * @returns {Object} Operator with to() and emit()
+   */
+  function createOperator(targets, exceptId) {
+    return {
+      to(target) {
+        return createOperator(targets.concat(target), exceptId);
+      },
+      emit(eventName, ...args) {
+        resolveTargets(targets, exceptId).forEach(id => {
+          sockets.get(id).client.receive(eventName, args);
+        });
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Create a connected server socket / client pair
+   * @param {Object} query - Handshake query
+   * @returns {Object} Client
+   */
+  function createConnection(query) {
+    const id = `fake-${nextSocketId++}`;
+    const serverHandlers = new Map();
+    const clientHandlers = new Map();
+    const rooms = new Set([id]);
+    let connected = true;
+
+    const socket = {
+      id,
+      handshake: { query: query || {} },
+      rooms,
+
+      on(eventName, handler) {
+        if (!serverHandlers.has(eventName)) serverHandlers.set(eventName, []);
+        serverHandlers.get(eventName).push(handler);
+        return socket;
+      },
+
+      emit(eventName, ...args) {
+        client.receive(eventName, args);
+        return true;
+      },
+
+      join(channel) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(id);
+        rooms.add(channel);
+      },
+
+      leave(channel) {
+        if (channels.has(channel)) {
+          channels.get(channel).delete(id);
+          if (channels.get(channel).size === 0) channels.delete(channel);
+        }
+        rooms.delete(channel);
+      },
+
+      to(target) {
+        return createOperator([target], id);
+      },
+
+      disconnect() {
+        client.disconnect('server namespace disconnect');
+      }
+    };
+
+    function runServerHandlers(eventName, args) {
+      (serverHandlers.get(eventName) || []).forEach(handler => handler(...args));
+    }
+
+    const client = {
+      id,
+
+      // Every event received: [{ event, payload }]
+      received: [],
+
+      get connected() {
+        return connected;
+      },
+
+      on(eventName, handler) {
+        if (!clientHandlers.has(eventName)) clientHandlers.set(eventName, []);
+        clientHandlers.get(eventName).push(handler);
+        return client;
+      },
+
+      /**
+       * Send an event to the server (delivered on the next flush)
+       */
+      emit(eventName, ...args) {
+        if (!connected) return;
+        enqueue(copied => {
+          if (connected) runServerHandlers(eventName, copied);
+        }, args);
+      },
+
+      /**
+       * Server -> client delivery (internal)
+       */
+      receive(eventName, args) {
+        if (!connected) return;
+        enqueue(copied => {
+          if (!connected) return;
+          client.received.push({ event: eventName, payload: copied[0] });
+          (clientHandlers.get(eventName) || []).forEach(handler => handler(...copied));
+        }, args);
+      },
+
+      /**
+       * Drop the connection; the server sees 'disconnect' with the given reason
+       * @param {string} reason - Socket.IO disconnect reason
+       */
+      disconnect(reason = 'client namespace disconnect') {
+        if (!connected) return;
+        Array.from(rooms).forEach(channel => socket.leave(channel));
+        sockets.delete(id);
+        queue.push(() => {
+          connected = false;
+          runServerHandlers('disconnect', [reason]);
+        });
+      }
+    };
+
+    socket.client = client;
+    sockets.set(id, socket);
+    return { socket, client };
+  }
+
+  const server = {
+    sockets: { sockets },
+
+    on(eventName, handler) {
+      if (eventName === 'connection') connectionHandlers.push(handler);
+      return server;
+    },
+
+    to(target) {
+      return createOperator([target], null);
+    },
+
+    close(callback) {
+      Array.from(sockets.values()).forEach(socket => socket.client.disconnect('server shutting down'));
+      server.flush();
+      if (callback) callback();
+    },
+
+    /**
+     * Open a new client connection
+     * @param {Object} query - Handshake query (e.g., { roomId })
+     * @returns {Object} Client with on()/emit()/disconnect()/received
+     */
+    connect(query) {
+      const { socket, client } = createConnection(query);
+      queue.push(() => connectionHandlers.forEach(handler => handler(socket)));
+      return client;
+    },
+
+    /**
+     * Deliver queued messages until nothing is left
+     * @param {number} limit - Safety limit against event loops
+     */
+    flush(limit = 100000) {
+      let delivered = 0;
+      while (queue.length > 0) {
+        if (++delivered > limit) {
+          throw new Error('Fake socket server did not settle');
+        }
+        queue.shift()();
+      }
+    }
+  };
+
+  return server;
+}
+
+module.exports = {
+  createFakeSocketServer
+};
@@ -0,0 +1,136 @@
+// =============================================================================
+// HEADLESS GAME HARNESS
+// Headless Test Harness
+// =============================================================================
+// Purpose: Run the real server in-process with fake Socket.IO clients and a
+// manual clock, so complete multi-round games finish in milliseconds
+// =============================================================================
+
+const clock = require('../../src/clock');
+const transport = require('../../src/index');
+const { createManualClock } = require('./manualClock');
+const { createFakeSocketServer } = require('./fakeSocketServer');
+const { createBot } = require('./bots');
+
+// Server events that make up the visible game flow
+const GAME_FLOW_EVENTS = [
+  'game_started',
+  'word_options',
+  'round_started',
+  'hint_update',
+  'round_ended',
+  'game_ended'
+];
+
+/**
+ * Create a harness
+ * Only one harness should be open at a time - server state is per process
+ * @param {Object} options - { logs: boolean, start: number }
+ *   server console.log is muted unless logs is true; start is the clock's starting time
+ * @returns {Object} Harness
+ */
+function createHarness(options = {}) {
+  const io = createFakeSocketServer();
+  const manualClock = createManualClock({ start: options.start || 1700000000000, onFire: () => io.flush() });
+  const originalLog = console.log;
+  const bots = [];
+
+  clock.setClock(manualClock);
+  transport.attachSocketServer(io);
+  if (!options.logs) {
+    console.log = () => {};
+  }
+
+  const harness = {
+    clock: manualClock,
+    io,
+
+    // Shared knowledge between bots (the drawer's word, so guessers can guess it)
+    table: { word: null },
+
+    /**
+     * Open a raw client connection
+     * @param {Object} query - Handshake query
+     * @returns {Object} Fake client
+     */
+    connect(query) {
+      return io.connect(query);
+    },
+
+    /**
+     * Connect a scripted bot
+     * @param {string} name - Player name
+     * @param {Object} script - Partial bot script (see bots.js)
+     * @returns {Object} Bot
+     */
+    addBot(name, script) {
+      const bot = createBot(harness, name, script);
+      bots.push(bot);
+      io.flush();
+      return bot;
+    },
+
+    /**
+     * Deliver all queued messages
+     */
+    flush() {
+      io.flush();
+    },
+
+    /**
+     * Advance the clock, delivering messages after every timer
+     * @param {number} ms - Milliseconds
+     */
+    advance(ms) {
+      io.flush();
+      manualClock.advance(ms);
+      io.flush();
+    },
+
+    /**
+     * Run timers until a condition holds
+     * @param {Function} condition - Condition
+     * @param {number} limit - Max simulated milliseconds
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(condition, limit) {
+      io.flush();
+      return manualClock.runUntil(condition, limit);
+    },
+
+    /**
+     * Create a room with the first bot as owner and seat the others
+     * @param {Array} roomBots - Bots; roomBots[0] becomes the owner
+     * @param {Object} settings - Room settings
+     * @returns {string} Room ID
+     */
+    seat(roomBots, settings) {
+      const [owner, ...others] = roomBots;
+      owner.createRoom(settings);
+      io.flush();
+      if (!owner.roomId) {
+        throw new Error(`Room creation failed: ${JSON.stringify(owner.payloads('room_error'))}`);
+      }
+      others.forEach(bot => bot.joinRoom(owner.roomId));
+      io.flush();
+      return owner.roomId;
+    },
+
+    /**
+     * Disconnect every client and restore the real clock and logging
+     */
+    close() {
+      bots.forEach(bot => bot.client.disconnect());
+      io.flush();
+      clock.resetClock();
+      console.log = originalLog;
+    }
+  };
+
+  return harness;
+}
+
+module.exports = {
+  createHarness,
+  GAME_FLOW_EVENTS
+};
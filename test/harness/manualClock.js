@@ -0,0 +1,109 @@
+// =============================================================================
+// MANUAL CLOCK
+// Headless Test Harness
+// =============================================================================
+// Purpose: A clock whose time only moves when the test says so
+// Implements the clock structure from src/clock.js
+// =============================================================================
+
+/**
+ * Create a manual clock
+ * @param {Object} options - { start: number, onFire: Function }
+ *   onFire is called after every timer callback (the harness flushes the network there)
+ * @returns {Object} Clock with advance()/runUntil() on top of the clock structure
+ */
+function createManualClock(options = {}) {
+  let currentTime = options.start || 0;
+  let nextHandle = 1;
+  const onFire = options.onFire || (() => {});
+
+  // Map structure: handle -> { at: number, callback: Function, interval: number|null }
+  const timers = new Map();
+
+  function add(callback, ms, interval) {
+    const handle = nextHandle++;
+    timers.set(handle, { at: currentTime + Math.max(0, ms), callback, interval });
+    return handle;
+  }
+
+  /**
+   * Find the earliest timer due at or before a time (ties fire in scheduling order)
+   * @param {number} limit - Latest time to consider
+   * @returns {Array|null} [handle, timer] or null
+   */
+  function nextDue(limit) {
+    let found = null;
+    timers.forEach((timer, handle) => {
+      if (timer.at <= limit && (!found || timer.at < found[1].at)) {
+        found = [handle, timer];
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Fire one timer, moving time to its due time
+   * @param {number} handle - Timer handle
+   * @param {Object} timer - Timer entry
+   */
+  function fire(handle, timer) {
+    currentTime = timer.at;
+    if (timer.interval !== null) {
+      timer.at += Math.max(1, timer.interval);
+    } else {
+      timers.delete(handle);
+    }
+    timer.callback();
+    onFire();
+  }
+
+  return {
+    now: () => currentTime,
+    setTimeout: (callback, ms) => add(callback, ms, null),
+    clearTimeout: (handle) => timers.delete(handle),
+    setInterval: (callback, ms) => add(callback, ms, ms),
+    clearInterval: (handle) => timers.delete(handle),
+
+    /**
+     * Move time forward, firing every timer that falls due on the way
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      const target = currentTime + ms;
+      let due = nextDue(target);
+      while (due) {
+        fire(due[0], due[1]);
+        due = nextDue(target);
+      }
+      currentTime = target;
+    },
+
+    /**
+     * Advance until a condition holds, firing timers one at a time
+     * @param {Function} condition - Checked after every fired timer
+     * @param {number} limit - Give up after this many milliseconds
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(condition, limit = 60 * 60 * 1000) {
+      const deadline = currentTime + limit;
+      while (!condition()) {
+        const due = nextDue(deadline);
+        if (!due) {
+          return false;
+        }
+        fire(due[0], due[1]);
+      }
+      return true;
+    },
+
+    /**
+     * Number of pending timers
+     * @returns {number} Pending timer count
+     */
+    pendingCount: () => timers.size
+  };
+}
+
+module.exports = {
+  createManualClock
+};
@@ -0,0 +1,124 @@
+// =============================================================================
+// LANGUAGE TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Room language settings and Unicode-aware word, guess and hint handling
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const textNormalizer = require('../src/textNormalizer');
+const wordEngine = require('../src/wordEngine');
+const guessEngine = require('../src/guessEngine');
+const { createHarness } = require('./harness');
+
+/**
+ * A room in the drawing phase, for checking guesses directly
+ * @param {string} word - Secret word
+ * @param {Object} settings - Room settings
+ * @returns {Object} Room object
+ */
+function drawingRoom(word, settings) {
+  return {
+    id: 'LANG01',
+    status: 'in_game',
+    players: ['drawer', 'guesser'],
+    settings: { closeGuessThreshold: 1, ...settings },
+    game: { phase: 'drawing', drawerId: 'drawer', selectedWord: word, guessedPlayers: [], paused: false }
+  };
+}
+
+test('text is normalized with NFKC, locale case rules and optional diacritic folding', () => {
+  assert.strictEqual(textNormalizer.normalizeText('  ＣＡＴ  '), 'cat');
+  assert.strictEqual(textNormalizer.normalizeText('İSTANBUL', { locale: 'tr' }), 'istanbul');
+  assert.strictEqual(textNormalizer.normalizeText('IŞIK', { locale: 'tr' }), 'ışık');
+  assert.strictEqual(textNormalizer.normalizeText('IŞIK', { locale: 'en' }), 'işik');
+  assert.strictEqual(textNormalizer.normalizeText('Café'), 'café');
+  assert.strictEqual(textNormalizer.normalizeText('Café', { ignoreDiacritics: true }), 'cafe');
+});
+
+test('masks and hints count letters, not code units', () => {
+  assert.strictEqual(wordEngine.maskWord('café'), '_ _ _ _');
+  assert.strictEqual(wordEngine.maskWord('cafe\u0301'), '_ _ _ _');
+  assert.strictEqual(wordEngine.countLetters('örümcek ağı'), 10);
+  assert.strictEqual(wordEngine.generateHint('ağaç', 1), '_ _ a _');
+  assert.strictEqual(wordEngine.generateHint('jalapeño', 2), '_ _ l _ _ _ ñ _');
+});
+
+test('guesses match under the room language and diacritic setting', () => {
+  const turkish = drawingRoom('ışık', { language: 'tr' });
+  assert.strictEqual(guessEngine.validateGuess(turkish, 'guesser', 'IŞIK').isCorrect, true);
+
+  const strict = drawingRoom('café', { language: 'fr' });
+  const strictResult = guessEngine.validateGuess(strict, 'guesser', 'CAFE');
+  assert.strictEqual(strictResult.isCorrect, false);
+  assert.strictEqual(strictResult.isClose, true);
+  assert.strictEqual(guessEngine.validateGuess(strict, 'guesser', 'ｃａｆé').isCorrect, true);
+
+  const relaxed = drawingRoom('café', { language: 'fr', ignoreDiacritics: true });
+  assert.strictEqual(guessEngine.validateGuess(relaxed, 'guesser', 'Cafe').isCorrect, true);
+});
+
+test('the room language picks its word packs', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const settingsOf = (settings) => {
+    const bot = harness.addBot('Owner');
+    harness.seat([bot], settings);
+    return bot.payloads('room_created')[0].room.settings;
+  };
+
+  const spanish = settingsOf({ language: 'es' });
+  assert.deepStrictEqual(spanish.wordPacks, ['default-es']);
+
+  const mixed = settingsOf({ language: 'es', wordPacks: ['default', 'animals', 'default-es'] });
+  assert.deepStrictEqual(mixed.wordPacks, ['default-es']);
+
+  const fromPack = settingsOf({ wordPacks: ['default-fr'] });
+  assert.strictEqual(fromPack.language, 'fr');
+
+  const turkishWords = settingsOf({ language: 'tr', customWords: ['IRMAK', 'İĞNE'] });
+  assert.deepStrictEqual(turkishWords.customWords, ['ırmak', 'iğne']);
+});
+
+test('languages without word packs are rejected', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const owner = harness.addBot('Owner');
+  owner.createRoom({ language: 'xx', wordPacks: ['default-tr'] });
+  harness.flush();
+  assert.deepStrictEqual(owner.payloads('room_error'), [{ error: 'Unsupported language' }]);
+  assert.strictEqual(owner.roomId, null);
+
+  harness.seat([owner], { language: 'tr' });
+  owner.client.emit('update_room_settings', { settings: { language: 'klingon' } });
+  harness.flush();
+  assert.deepStrictEqual(owner.payloads('room_settings_error'), [{ message: 'Unsupported language' }]);
+  assert.ok(!owner.has('room_settings_updated'));
+});
+
+test('diacritic-insensitive rooms accept unaccented guesses in a real game', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const accented = ['café', 'árbol', 'canción', 'ratón', 'corazón', 'avión', 'camión', 'lápiz', 'jardín', 'pingüino'];
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  harness.seat([alice, bob], {
+    language: 'es',
+    ignoreDiacritics: true,
+    customWords: accented,
+    customWordsMode: 'only'
+  });
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+
+  const masked = bob.payloads('drawing_started')[0].maskedWord;
+  assert.strictEqual(masked.split(' ').length, wordEngine.countLetters(harness.table.word));
+
+  bob.guess(textNormalizer.stripDiacritics(harness.table.word).toUpperCase());
+  harness.flush();
+  assert.ok(bob.has('correct_guess'));
+});
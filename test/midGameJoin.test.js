@@ -0,0 +1,58 @@
+// =============================================================================
+// MID-GAME JOIN TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Joining a running game - catch-up score, the snapshot the late
+// joiner lands in, and their place at the end of the drawer rotation
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+test('late joiners get a catch-up score, the running turn and a turn to draw', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const dave = harness.addBot('Dave');
+  const roomId = harness.seat([alice, bob], { rounds: 1, allowMidGameJoin: true, catchUpScore: 'lowest' });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('drawing_started').length === 2));
+  const scores = alice.payloads('round_ended')[0].leaderboard.map(entry => entry.score);
+
+  dave.joinRoom(roomId);
+  harness.flush();
+
+  // Lands in Bob's turn: phase, masked word, timer and canvas, but not the word
+  const joined = dave.payloads('room_joined')[0];
+  assert.strictEqual(joined.midGame, true);
+  assert.strictEqual(joined.game.phase, 'drawing');
+  assert.strictEqual(joined.game.drawerId, bob.playerId);
+  assert.strictEqual(joined.word, undefined);
+  assert.ok(joined.timer.remaining > 0);
+  assert.strictEqual(dave.payloads('canvas_state')[0].strokes.length, 1);
+
+  const entry = alice.payloads('leaderboard_update').pop().leaderboard.find(row => row.playerId === dave.playerId);
+  assert.strictEqual(entry.score, Math.min(...scores));
+
+  // Appended to the rotation: Dave draws the last turn of the round
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  assert.deepStrictEqual(alice.payloads('round_started').map(round => round.drawerId),
+    [alice.playerId, bob.playerId, dave.playerId]);
+});
+
+test('rooms without mid-game joining turn players away once the game started', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const dave = harness.addBot('Dave');
+  const roomId = harness.seat([alice, bob], { rounds: 1 });
+
+  alice.startGame();
+  dave.joinRoom(roomId);
+  harness.flush();
+  assert.deepStrictEqual(dave.payloads('room_error'), [{ error: 'Room is not accepting players' }]);
+});
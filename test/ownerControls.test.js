@@ -0,0 +1,171 @@
+// =============================================================================
+// OWNER CONTROLS TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: pause_game, resume_game, skip_turn and kick_player end to end
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+/**
+ * Seat bots and run the first turn into the drawing phase
+ * @param {Object} harness - Harness
+ * @param {Array} bots - Bots; bots[0] owns the room and draws first
+ */
+function startDrawing(harness, bots) {
+  harness.seat(bots, { rounds: 1, drawTime: 60 });
+  bots[0].startGame();
+  assert.ok(harness.runUntil(() => bots[1].has('drawing_started')));
+  harness.flush();
+}
+
+test('paused turns keep their time and reject guesses until resumed', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  startDrawing(harness, [alice, bob]);
+
+  harness.advance(10000);
+  alice.client.emit('pause_game');
+  harness.flush();
+
+  const paused = bob.payloads('game_paused')[0];
+  assert.strictEqual(paused.reason, 'paused_by_owner');
+  assert.strictEqual(paused.timer.paused, true);
+  assert.strictEqual(paused.timer.remaining, 50);
+
+  harness.advance(5 * 60 * 1000);
+  bob.guess(harness.table.word);
+  harness.flush();
+  assert.ok(!bob.has('round_ended'), 'clock stands still while paused');
+  assert.ok(!bob.has('correct_guess'));
+  assert.deepStrictEqual(bob.payloads('game_error').map(error => error.error), ['Game is paused']);
+
+  alice.client.emit('resume_game');
+  harness.flush();
+  assert.strictEqual(bob.payloads('game_resumed')[0].timer.remaining, 50);
+
+  harness.advance(49999);
+  assert.ok(!bob.has('round_ended'));
+  harness.advance(1);
+  assert.strictEqual(bob.payloads('round_ended')[0].reason, 'time_up');
+});
+
+/**
+ * Score of Bob's correct guess after 10 seconds of drawing time
+ * @param {number} pauseMs - How long Alice pauses the turn 5 seconds in (0 = no pause)
+ * @returns {Object} Bob's correct_guess payload
+ */
+function guessAfterTenSeconds(pauseMs) {
+  const harness = createHarness();
+  try {
+    const alice = harness.addBot('Alice');
+    const bob = harness.addBot('Bob', { guessDelay: null });
+    startDrawing(harness, [alice, bob]);
+
+    harness.advance(5000);
+    if (pauseMs > 0) {
+      alice.client.emit('pause_game');
+      harness.advance(pauseMs);
+      alice.client.emit('resume_game');
+    }
+    harness.advance(5000);
+
+    bob.guess(harness.table.word);
+    harness.flush();
+    return bob.payloads('correct_guess')[0];
+  } finally {
+    harness.close();
+  }
+}
+
+test('paused time does not count against the guesser', () => {
+  const unpaused = guessAfterTenSeconds(0);
+  const paused = guessAfterTenSeconds(2 * 60 * 1000);
+
+  // The word (and so its difficulty bonus) differs between games; the time part must not
+  assert.ok(unpaused.breakdown.timeBonus > 0);
+  assert.strictEqual(paused.breakdown.base, unpaused.breakdown.base);
+  assert.strictEqual(paused.breakdown.timeBonus, unpaused.breakdown.timeBonus);
+});
+
+test('only the owner can pause, resume or skip', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  startDrawing(harness, [alice, bob]);
+
+  bob.client.emit('pause_game');
+  bob.client.emit('skip_turn');
+  harness.flush();
+
+  assert.deepStrictEqual(bob.payloads('game_error').map(error => error.error), [
+    'Only room owner can control the game',
+    'Only room owner can control the game'
+  ]);
+  assert.ok(!alice.has('game_paused'));
+  assert.ok(!alice.has('round_ended'));
+});
+
+test('skipping a turn gives the drawer nothing and moves on', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: 1000 });
+  const cara = harness.addBot('Cara', { guessDelay: null });
+  startDrawing(harness, [alice, bob, cara]);
+
+  // Bob guesses, then the owner skips her own turn
+  harness.advance(2000);
+  alice.client.emit('skip_turn');
+  harness.flush();
+
+  const ended = cara.payloads('round_ended')[0];
+  assert.strictEqual(ended.reason, 'skipped');
+  assert.strictEqual(ended.drawerScore, 0);
+  const scores = Object.fromEntries(ended.leaderboard.map(entry => [entry.playerId, entry.score]));
+  assert.strictEqual(scores[alice.playerId], 0);
+  assert.ok(scores[bob.playerId] > 0, 'guessers keep their points');
+
+  assert.ok(harness.runUntil(() => bob.has('word_options')), 'next drawer is up');
+});
+
+test('kicked players are told why and banned players cannot come back', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob');
+  const cara = harness.addBot('Cara');
+  const roomId = harness.seat([alice, bob, cara]);
+
+  alice.client.emit('kick_player', { playerId: bob.playerId });
+  alice.client.emit('kick_player', { playerId: cara.playerId, ban: true });
+  harness.flush();
+
+  assert.deepStrictEqual(alice.payloads('player_kicked').map(kick => kick.reason), ['kicked', 'banned']);
+  assert.strictEqual(bob.payloads('room_left')[0].reason, 'kicked');
+  assert.strictEqual(cara.payloads('room_left')[0].reason, 'banned');
+
+  bob.joinRoom(roomId);
+  cara.joinRoom(roomId);
+  cara.client.emit('spectate_room', { roomId });
+  harness.flush();
+
+  assert.ok(bob.has('room_joined'), 'a plain kick allows rejoining');
+  assert.deepStrictEqual(cara.payloads('room_error').map(error => error.error), [
+    'You are banned from this room',
+    'You are banned from this room'
+  ]);
+
+  bob.client.emit('kick_player', { playerId: alice.playerId });
+  harness.flush();
+  assert.strictEqual(bob.payloads('room_error')[0].error, 'Only room owner can kick players');
+});
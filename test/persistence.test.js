@@ -0,0 +1,156 @@
+// =============================================================================
+// PERSISTENCE TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Snapshot a running game, restore it into a fresh server and check
+// that players, scores and timers pick up where they left off; auto-save and
+// file store writes
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../src/storage');
+
+const SRC_DIR = path.join(__dirname, '..', 'src') + path.sep;
+const HARNESS_DIR = path.join(__dirname, 'harness') + path.sep;
+
+/**
+ * Load the server and harness from scratch, as a restarted process would
+ * @returns {Object} { persistence, transport, createHarness }
+ */
+function loadFreshServer() {
+  Object.keys(require.cache).forEach(file => {
+    if (file.startsWith(SRC_DIR) || file.startsWith(HARNESS_DIR)) {
+      delete require.cache[file];
+    }
+  });
+
+  return {
+    persistence: require('../src/persistence'),
+    transport: require('../src/index'),
+    createHarness: require('./harness').createHarness
+  };
+}
+
+/**
+ * Scores by player ID
+ * @param {Array} leaderboard - Leaderboard entries
+ * @returns {Object} playerId -> score
+ */
+function scoresOf(leaderboard) {
+  return Object.fromEntries(leaderboard.map(entry => [entry.playerId, entry.score]));
+}
+
+test('a game in progress survives a restart with its scores and timers', (t) => {
+  const store = createMemoryStore();
+
+  // First process: Alice draws, Cara guesses right, Bob is still guessing when the snapshot is taken
+  const before = loadFreshServer();
+  before.persistence.setStore(store);
+  const harness = before.createHarness();
+  const alice = harness.addBot('Alice');
+  const bob = harness.addBot('Bob', { guessDelay: null });
+  const cara = harness.addBot('Cara', { guessDelay: 2000 });
+  const roomId = harness.seat([alice, bob, cara], { rounds: 1, drawTime: 60 });
+  const tokens = [alice, bob, cara].map(bot => bot.payloads('connected')[0].sessionToken);
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => cara.has('correct_guess')));
+  harness.advance(3000);
+
+  assert.ok(before.persistence.saveSnapshot());
+  const savedAt = harness.clock.now();
+  const scores = scoresOf(alice.payloads('leaderboard_update').pop().leaderboard);
+  const timer = store.load('state').timers[roomId];
+  harness.close();
+
+  // Second process: restore, then everyone resumes their session
+  const after = loadFreshServer();
+  after.persistence.setStore(store);
+  const restarted = after.createHarness({ start: savedAt });
+  t.after(() => {
+    after.persistence.stopAutoSave();
+    restarted.close();
+  });
+  after.transport.restorePersistedState();
+
+  const clients = tokens.map(sessionToken => {
+    const client = restarted.connect();
+    client.emit('resume_session', { sessionToken });
+    return client;
+  });
+  restarted.flush();
+
+  const resumed = clients.map(client => client.received.find(entry => entry.event === 'session_resumed').payload);
+  resumed.forEach(snapshot => {
+    assert.strictEqual(snapshot.room.id, roomId);
+    assert.strictEqual(snapshot.game.phase, 'drawing');
+    assert.deepStrictEqual(scoresOf(snapshot.leaderboard), scores);
+    assert.strictEqual(snapshot.timer.deadline, timer.deadline);
+  });
+  assert.ok(resumed[0].word, 'the drawer still knows the word');
+  assert.ok(!resumed[1].word, 'Bob still has to guess');
+
+  // The drawing timer runs out at the original deadline, not a fresh 60 seconds later
+  const ended = () => clients[0].received.some(entry => entry.event === 'round_ended');
+  assert.ok(restarted.runUntil(ended));
+  assert.ok(Math.abs(restarted.clock.now() - timer.deadline) < 1000, 'turn ends at the saved deadline');
+  const round = clients[0].received.find(entry => entry.event === 'round_ended').payload;
+  assert.strictEqual(round.reason, 'time_up');
+  assert.strictEqual(scoresOf(round.leaderboard)[resumed[2].player.id], scores[resumed[2].player.id]);
+});
+
+test('auto-save runs on the game clock, and only for stores that outlive the process', (t) => {
+  const { persistence, createHarness } = loadFreshServer();
+  const harness = createHarness();
+  t.after(() => {
+    persistence.stopAutoSave();
+    harness.close();
+  });
+
+  // Snapshots in memory are lost with the process anyway
+  const memory = createMemoryStore();
+  persistence.setStore(memory);
+  persistence.startAutoSave();
+  harness.advance(persistence.SNAPSHOT_INTERVAL * 2);
+  assert.strictEqual(memory.load('state'), null);
+
+  const durable = { ...createMemoryStore(), durable: true };
+  persistence.setStore(durable);
+  persistence.startAutoSave();
+  harness.advance(persistence.SNAPSHOT_INTERVAL);
+  assert.strictEqual(durable.load('state').savedAt, harness.clock.now());
+
+  persistence.stopAutoSave();
+  durable.remove('state');
+  harness.advance(persistence.SNAPSHOT_INTERVAL * 2);
+  assert.strictEqual(durable.load('state'), null, 'stopped');
+});
+
+test('the file store replaces snapshots atomically', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scribble-store-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const store = createFileStore(directory);
+  store.save('state', { version: 1, rooms: ['ABC123'] });
+
+  // A crash between writing the temp file and renaming it leaves the last snapshot intact
+  fs.writeFileSync(path.join(directory, 'state.json.tmp'), '{"version": 1, "roo');
+  assert.deepStrictEqual(store.load('state'), { version: 1, rooms: ['ABC123'] });
+
+  store.save('state', { version: 1, rooms: [] });
+  assert.deepStrictEqual(store.load('state'), { version: 1, rooms: [] });
+  assert.deepStrictEqual(fs.readdirSync(directory), ['state.json']);
+
+  // Unsafe characters never escape the directory; corrupt files read as missing
+  store.save('../escape', { ok: true });
+  assert.ok(fs.existsSync(path.join(directory, '___escape.json')));
+  fs.writeFileSync(path.join(directory, 'state.json'), 'not json');
+  assert.strictEqual(store.load('state'), null);
+
+  store.remove('state');
+  assert.strictEqual(store.load('state'), null);
+});
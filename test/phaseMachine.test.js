@@ -0,0 +1,81 @@
+// =============================================================================
+// PHASE MACHINE TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: The phase transition table, its guards and hooks, and the
+// phase_changed events a game emits
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const gameEngine = require('../src/gameEngine');
+const { createHarness } = require('./harness');
+
+const { PHASES } = gameEngine;
+
+/**
+ * Minimal room in a running game
+ * @param {string} phase - Current phase
+ * @param {Object} game - Extra game fields
+ * @returns {Object} Room object
+ */
+function roomIn(phase, game = {}) {
+  return {
+    id: 'PHASE1',
+    status: gameEngine.ROOM_STATUS.IN_GAME,
+    players: ['alice', 'bob'],
+    game: { phase: phase, drawerId: 'alice', selectedWord: null, ...game }
+  };
+}
+
+test('transitions missing from the table or failing a guard are rejected', () => {
+  assert.deepStrictEqual(gameEngine.canTransition(roomIn(PHASES.DRAWING), PHASES.WORD_SELECT),
+    { valid: false, error: 'Illegal phase transition: drawing → word_select' });
+  assert.strictEqual(gameEngine.canTransition(roomIn(PHASES.GAME_END), PHASES.WORD_SELECT).valid, false);
+
+  // Guards: drawing needs a word, word selection needs the drawer in the room
+  assert.deepStrictEqual(gameEngine.canTransition(roomIn(PHASES.WORD_SELECT), PHASES.DRAWING),
+    { valid: false, error: 'No word selected' });
+  assert.strictEqual(gameEngine.canTransition(roomIn(PHASES.WORD_SELECT, { selectedWord: 'cat' }), PHASES.DRAWING).valid, true);
+  assert.deepStrictEqual(gameEngine.canTransition(roomIn(PHASES.ROUND_END, { drawerId: 'cara' }), PHASES.WORD_SELECT),
+    { valid: false, error: 'Drawer is not in the room' });
+
+  const room = roomIn(PHASES.DRAWING);
+  assert.strictEqual(gameEngine.transitionPhase(room, PHASES.GAME_END).success, false);
+  assert.strictEqual(room.game.phase, PHASES.DRAWING, 'a rejected transition changes nothing');
+});
+
+test('hooks run exit first, then change listeners, then entry', () => {
+  const calls = [];
+  gameEngine.onPhaseExit(PHASES.ROUND_END, (room, context) => calls.push(['exit', room.game.phase, context.reason]));
+  gameEngine.onPhaseChange((room, from, to) => calls.push(['change', from, to]));
+  gameEngine.onPhaseEnter(PHASES.GAME_END, (room) => calls.push(['enter', room.game.phase]));
+
+  const room = roomIn(PHASES.ROUND_END);
+  assert.strictEqual(gameEngine.transitionPhase(room, PHASES.GAME_END, { reason: 'completed' }).success, true);
+  assert.deepStrictEqual(calls, [
+    ['exit', PHASES.ROUND_END, 'completed'],
+    ['change', PHASES.ROUND_END, PHASES.GAME_END],
+    ['enter', PHASES.GAME_END]
+  ]);
+});
+
+test('a game announces every phase change in order', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  harness.seat([alice, bob], { rounds: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+
+  const turn = [[PHASES.WORD_SELECT, PHASES.DRAWING], [PHASES.DRAWING, PHASES.ROUND_END]];
+  assert.deepStrictEqual(bob.payloads('phase_changed').map(change => [change.from, change.to]), [
+    [PHASES.IDLE, PHASES.WORD_SELECT],
+    ...turn,
+    [PHASES.ROUND_END, PHASES.WORD_SELECT],
+    ...turn,
+    [PHASES.ROUND_END, PHASES.GAME_END]
+  ]);
+});
@@ -0,0 +1,81 @@
+// =============================================================================
+// RANDOMNESS TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Fisher–Yates shuffles, seeded sources, secure IDs and seeded replays
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const random = require('../src/random');
+const { createHarness } = require('./harness');
+
+test('shuffles are permutations and every order is about equally likely', () => {
+  const source = random.createSeededRandom('shuffle');
+  const counts = {};
+  for (let i = 0; i < 6000; i++) {
+    const order = random.shuffle(['a', 'b', 'c'], source).join('');
+    counts[order] = (counts[order] || 0) + 1;
+  }
+
+  assert.deepStrictEqual(Object.keys(counts).sort(), ['abc', 'acb', 'bac', 'bca', 'cab', 'cba']);
+  Object.values(counts).forEach(count => assert.ok(count > 850 && count < 1150, `skewed count ${count}`));
+});
+
+test('seeded sources repeat and secure strings use the alphabet', () => {
+  const first = random.createSeededRandom('replay');
+  const second = random.createSeededRandom('replay');
+  const other = random.createSeededRandom('other');
+  const a = [first(), first(), first()];
+
+  assert.deepStrictEqual([second(), second(), second()], a);
+  assert.notDeepStrictEqual([other(), other(), other()], a);
+  assert.ok(a.every(value => value >= 0 && value < 1));
+
+  const id = random.secureString(6, 'AB');
+  assert.match(id, /^[AB]{6}$/);
+});
+
+/**
+ * Play a seeded game where every word is auto-selected and record what happened
+ * @param {Object} settings - Room settings
+ * @returns {Object} { turns, settings } - turns as { drawer, options, word } by bot name
+ */
+function playSeededGame(settings) {
+  const harness = createHarness();
+  try {
+    const bots = ['Alice', 'Bob', 'Cara', 'Dave'].map(name => harness.addBot(name, { selectDelay: null }));
+    harness.seat(bots, settings);
+    bots[0].startGame();
+    assert.ok(harness.runUntil(() => bots[0].has('game_ended')));
+
+    const names = Object.fromEntries(bots.map(bot => [bot.playerId, bot.name]));
+    const turns = [];
+    bots[0].client.received.forEach(({ event, payload }) => {
+      if (event === 'round_ended') {
+        turns.push({ drawer: names[payload.drawerId], word: payload.selectedWord });
+      }
+    });
+    const offers = bots.reduce((all, bot) => all.concat(bot.payloads('word_options').map(offer => offer.options)), []);
+    return { turns, offers: offers.sort(), settings: bots[0].payloads('room_created')[0].room.settings };
+  } finally {
+    harness.close();
+  }
+}
+
+test('a seed replays drawer order, word options and auto-selection', () => {
+  const settings = { rounds: 2, drawerOrder: 'random', seed: 'bug-1234' };
+  const first = playSeededGame(settings);
+  const second = playSeededGame(settings);
+
+  assert.strictEqual(first.turns.length, 8);
+  assert.deepStrictEqual(second.turns, first.turns);
+  assert.deepStrictEqual(second.offers, first.offers);
+
+  // The seed itself never reaches clients
+  assert.strictEqual(first.settings.seed, undefined);
+  assert.strictEqual(first.settings.seeded, true);
+
+  const other = playSeededGame({ ...settings, seed: 'bug-5678' });
+  assert.notDeepStrictEqual(other.turns, first.turns);
+});
@@ -0,0 +1,86 @@
+// =============================================================================
+// ROOM BROWSER TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Public room listing over Socket.IO and HTTP, and quick match
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { app } = require('../src/index');
+const { createHarness } = require('./harness');
+
+test('only public rooms that can take players are listed', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara, dave] = ['Alice', 'Bob', 'Cara', 'Dave'].map(name => harness.addBot(name));
+  harness.seat([alice], { visibility: 'private' });
+  const publicId = harness.seat([bob, cara], { visibility: 'public', maxPlayers: 4 });
+  harness.seat([dave], { visibility: 'public', maxPlayers: 2 });
+
+  alice.client.emit('list_public_rooms');
+  harness.flush();
+
+  const rooms = alice.payloads('public_rooms')[0].rooms;
+  assert.deepStrictEqual(rooms.map(room => room.id), [publicId, dave.roomId]);
+  assert.strictEqual(rooms[0].playerCount, 2);
+  assert.strictEqual(rooms[0].maxPlayers, 4);
+  assert.strictEqual(rooms[0].language, 'en');
+  assert.deepStrictEqual(rooms[0].wordPacks.map(pack => pack.id), ['default']);
+
+  // Rooms that started (without mid-game joining) disappear from the list
+  bob.startGame();
+  alice.client.emit('list_public_rooms');
+  harness.flush();
+  assert.deepStrictEqual(alice.payloads('public_rooms')[1].rooms.map(room => room.id), [dave.roomId]);
+});
+
+test('GET /api/rooms returns the public room list', async (t) => {
+  const harness = createHarness();
+  const server = http.createServer(app);
+  t.after(() => {
+    server.close();
+    harness.close();
+  });
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const roomId = harness.seat([alice], { visibility: 'public' });
+  harness.seat([bob]);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/rooms?language=en`);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(body.rooms.map(room => room.id), [roomId]);
+
+  const other = await fetch(`http://127.0.0.1:${server.address().port}/api/rooms?language=xx`);
+  assert.deepStrictEqual((await other.json()).rooms, []);
+});
+
+test('quick match fills the fullest public waiting room or opens a new one', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara, dave, erin] = ['Alice', 'Bob', 'Cara', 'Dave', 'Erin'].map(name => harness.addBot(name));
+  harness.seat([alice], { visibility: 'public' });
+  const fuller = harness.seat([bob, cara], { visibility: 'public' });
+
+  dave.client.emit('quick_match');
+  harness.flush();
+  assert.strictEqual(dave.roomId, fuller);
+
+  // No public room for this language yet - quick match opens one
+  erin.client.emit('quick_match', { language: 'xx' });
+  harness.flush();
+  const created = erin.payloads('room_created')[0];
+  assert.ok(created, 'a room is created');
+  assert.strictEqual(created.room.settings.visibility, 'public');
+  assert.strictEqual(created.room.settings.language, 'en', 'a language without word packs keeps the default');
+
+  dave.client.emit('quick_match');
+  harness.flush();
+  assert.strictEqual(dave.payloads('room_error')[0].error, 'Already in a room');
+});
@@ -0,0 +1,115 @@
+// =============================================================================
+// SCORING TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Difficulty-aware scores and the breakdowns sent with them, and the
+// scoring strategies with their drawer reward curve
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const scoreEngine = require('../src/scoreEngine');
+const { createHarness } = require('./harness');
+
+/**
+ * Play the opening turn with the drawer picking one option by index
+ * @param {number} pick - Option index (0 easy, 1 medium, 2 hard)
+ * @returns {Object} { guess, round } - correct_guess and round_ended payloads
+ */
+function openingTurnPicking(pick) {
+  const harness = createHarness();
+  try {
+    const alice = harness.addBot('Alice', { pickWord: options => options[pick] });
+    const bob = harness.addBot('Bob', { guessDelay: 20000 });
+    harness.seat([alice, bob], { wordPacks: ['animals'], rounds: 1, drawTime: 80 });
+
+    alice.startGame();
+    assert.ok(harness.runUntil(() => alice.has('round_ended')));
+    return { guess: bob.payloads('correct_guess')[0], round: alice.payloads('round_ended')[0] };
+  } finally {
+    harness.close();
+  }
+}
+
+test('harder and longer words add a difficulty bonus on top of base and time', () => {
+  assert.deepStrictEqual(scoreEngine.calculateScoreBreakdown(80, 40, false, 'easy', 'cat'),
+    { base: 100, timeBonus: 50, difficultyBonus: 0, total: 150 });
+
+  const medium = scoreEngine.calculateScoreBreakdown(80, 40, false, 'medium', 'giraffe');
+  const hard = scoreEngine.calculateScoreBreakdown(80, 40, false, 'hard', 'giraffe');
+  const longer = scoreEngine.calculateScoreBreakdown(80, 40, false, 'hard', 'kaleidoscope');
+  assert.ok(medium.difficultyBonus > 0);
+  assert.ok(hard.difficultyBonus > medium.difficultyBonus);
+  assert.ok(longer.difficultyBonus > hard.difficultyBonus);
+  assert.strictEqual(longer.total, longer.base + longer.timeBonus + longer.difficultyBonus);
+});
+
+test('picking the hard word pays guesser and drawer more, with the breakdown in the payloads', () => {
+  const easy = openingTurnPicking(0);
+  const hard = openingTurnPicking(2);
+
+  [easy, hard].forEach(({ guess, round }) => {
+    const { base, timeBonus, difficultyBonus, total } = guess.breakdown;
+    assert.strictEqual(guess.score, total);
+    assert.strictEqual(total, base + timeBonus + difficultyBonus);
+    assert.strictEqual(round.drawerBreakdown.total, round.drawerBreakdown.base + round.drawerBreakdown.difficultyBonus);
+  });
+
+  // Same guess time, so only the difficulty bonus differs
+  assert.strictEqual(hard.guess.breakdown.base, easy.guess.breakdown.base);
+  assert.strictEqual(hard.guess.breakdown.timeBonus, easy.guess.breakdown.timeBonus);
+  assert.strictEqual(easy.guess.breakdown.difficultyBonus, 0);
+  assert.ok(hard.guess.breakdown.difficultyBonus > 0);
+  assert.ok(hard.round.drawerBreakdown.total > easy.round.drawerBreakdown.total);
+});
+
+/**
+ * Play the opening turn on an easy word: Bob guesses after 20s, Cara after 40s
+ * @param {Object} settings - Room settings
+ * @param {Object} caraScript - Overrides for Cara's bot script
+ * @returns {Object} { bob, cara, drawer } - score breakdowns
+ */
+function openingTurnScored(settings, caraScript = {}) {
+  const harness = createHarness();
+  try {
+    const alice = harness.addBot('Alice');
+    const bob = harness.addBot('Bob', { guessDelay: 20000 });
+    const cara = harness.addBot('Cara', { guessDelay: 40000, ...caraScript });
+    harness.seat([alice, bob, cara], { wordPacks: ['animals'], rounds: 1, drawTime: 80, ...settings });
+
+    alice.startGame();
+    assert.ok(harness.runUntil(() => alice.has('round_ended')));
+    const guesses = alice.payloads('correct_guess');
+    const breakdownOf = bot => (guesses.find(guess => guess.playerId === bot.playerId) || {}).breakdown;
+    return { bob: breakdownOf(bob), cara: breakdownOf(cara), drawer: alice.payloads('round_ended')[0].drawerBreakdown };
+  } finally {
+    harness.close();
+  }
+}
+
+test('each strategy scores guessers its own way', () => {
+  const pick = ({ base, timeBonus }) => ({ base, timeBonus });
+
+  // Time linear: the bonus shrinks with time elapsed
+  const linear = openingTurnScored({});
+  assert.deepStrictEqual([pick(linear.bob), pick(linear.cara)], [{ base: 100, timeBonus: 75 }, { base: 100, timeBonus: 50 }]);
+
+  // Classic: guessing order counts, time does not
+  const classic = openingTurnScored({ scoringStrategy: 'classic' });
+  assert.deepStrictEqual([pick(classic.bob), pick(classic.cara)], [{ base: 200, timeBonus: 0 }, { base: 160, timeBonus: 0 }]);
+
+  const fixed = openingTurnScored({ scoringStrategy: 'fixed' });
+  assert.deepStrictEqual([pick(fixed.bob), pick(fixed.cara)], [{ base: 100, timeBonus: 0 }, { base: 100, timeBonus: 0 }]);
+});
+
+test('the drawer is paid for how many guessers got it and how fast', () => {
+  // Both guessed at an average speed of 0.625: 200 x 1 x (0.5 + 0.5 x 0.625)
+  assert.strictEqual(openingTurnScored({}).drawer.base, 162);
+
+  // Only Bob guessed, at speed 0.75: 200 x 1/2 x (0.5 + 0.5 x 0.75)
+  assert.strictEqual(openingTurnScored({}, { guessDelay: null }).drawer.base, 87);
+
+  // Fixed pays per guesser, whatever the speed
+  assert.strictEqual(openingTurnScored({ scoringStrategy: 'fixed' }).drawer.base, 200);
+  assert.strictEqual(openingTurnScored({ scoringStrategy: 'fixed' }, { guessDelay: null }).drawer.base, 100);
+});
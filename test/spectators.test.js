@@ -0,0 +1,76 @@
+// =============================================================================
+// SPECTATOR TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Watching a running game without playing in it, and promotion to
+// player between games
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+test('spectators watch a running game but never guess, chat, draw or score', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const dave = harness.addBot('Dave', { guessDelay: null });
+  const roomId = harness.seat([alice, bob], { rounds: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => bob.has('drawing_started')));
+  dave.client.emit('spectate_room', { roomId });
+  harness.flush();
+
+  // Caught up on the running turn, canvas included
+  const snapshot = dave.payloads('room_spectating')[0];
+  assert.strictEqual(snapshot.game.phase, 'drawing');
+  assert.strictEqual(dave.payloads('canvas_state')[0].strokes.length, 1);
+
+  dave.guess(harness.table.word);
+  dave.client.emit('chat', { message: 'hello' });
+  harness.flush();
+  assert.deepStrictEqual(dave.payloads('game_error'), [{ error: 'Spectators cannot guess' }, { error: 'Spectators cannot chat' }]);
+  assert.ok(!alice.payloads('correct_guess').some(guess => guess.playerId === dave.playerId));
+
+  // Follows the game to the end without ever drawing or showing up on the leaderboard
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  assert.ok(dave.has('round_ended') && dave.has('game_ended'));
+  assert.ok(dave.payloads('draw_start').length > 0, 'later turns stream strokes');
+  assert.ok(!alice.payloads('round_started').some(round => round.drawerId === dave.playerId));
+  assert.ok(!alice.payloads('game_ended')[0].leaderboard.some(entry => entry.playerId === dave.playerId));
+});
+
+test('the owner promotes spectators to players between games only', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  const dave = harness.addBot('Dave');
+  const roomId = harness.seat([alice, bob], { rounds: 1 });
+  const promote = (bot) => {
+    const errors = bot.payloads('room_error').length;
+    bot.client.emit('promote_spectator', { playerId: dave.playerId });
+    harness.flush();
+    return bot.payloads('room_error')[errors];
+  };
+
+  alice.startGame();
+  dave.client.emit('spectate_room', { roomId });
+  harness.flush();
+  assert.deepStrictEqual(promote(alice), { error: 'Cannot promote spectators during a game' });
+
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  assert.deepStrictEqual(promote(bob), { error: 'Only room owner can promote spectators' });
+  assert.strictEqual(promote(alice), undefined);
+  assert.deepStrictEqual(bob.payloads('spectator_promoted'), [{ playerId: dave.playerId }]);
+
+  // Dave plays in the next game, drawing included
+  alice.client.emit('play_again');
+  harness.flush();
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('game_ended').length === 2));
+  assert.ok(alice.payloads('round_started').some(round => round.drawerId === dave.playerId));
+  assert.ok(alice.payloads('game_ended')[1].leaderboard.some(entry => entry.playerId === dave.playerId));
+});
@@ -0,0 +1,98 @@
+// =============================================================================
+// TIMER ENGINE TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Deadline-driven timers on a manual clock - ticks, expiry, pause,
+// resume and extension
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const clock = require('../src/clock');
+const timerEngine = require('../src/timerEngine');
+const { createManualClock } = require('./harness/manualClock');
+
+/**
+ * Start a recorded timer on a fresh manual clock
+ * @param {Object} t - Test context
+ * @param {number} duration - Seconds
+ * @returns {Object} { manualClock, ticks, expired }
+ */
+function startRecordedTimer(t, duration) {
+  const manualClock = createManualClock({ start: 1000000 });
+  clock.setClock(manualClock);
+  const originalLog = console.log;
+  console.log = () => {};
+  t.after(() => {
+    timerEngine.clearAllTimers();
+    clock.resetClock();
+    console.log = originalLog;
+  });
+
+  const record = { manualClock, ticks: [], expired: 0 };
+  timerEngine.startTimer('ROOM01', 'drawing', duration,
+    (roomId, remaining, info) => record.ticks.push({ remaining, deadline: info.deadline }),
+    () => { record.expired++; });
+  return record;
+}
+
+test('ticks count down once per second and land on zero at the deadline', (t) => {
+  const record = startRecordedTimer(t, 3);
+  const deadline = record.manualClock.now() + 3000;
+
+  record.manualClock.advance(2999);
+  assert.deepStrictEqual(record.ticks.map(tick => tick.remaining), [2, 1]);
+  assert.strictEqual(record.expired, 0);
+
+  record.manualClock.advance(1);
+  assert.deepStrictEqual(record.ticks.map(tick => tick.remaining), [2, 1, 0]);
+  assert.ok(record.ticks.every(tick => tick.deadline === deadline), 'ticks carry the server deadline');
+  assert.strictEqual(record.expired, 1);
+  assert.strictEqual(timerEngine.hasActiveTimer('ROOM01'), false);
+});
+
+test('paused timers keep their remaining time and resume from it', (t) => {
+  const record = startRecordedTimer(t, 10);
+
+  record.manualClock.advance(2500);
+  const paused = timerEngine.pauseTimer('ROOM01');
+  assert.strictEqual(paused.success, true);
+  assert.strictEqual(paused.timer.paused, true);
+  assert.strictEqual(paused.timer.remaining, 8);
+  assert.strictEqual(timerEngine.pauseTimer('ROOM01').success, false);
+
+  // Nothing happens while paused, however long
+  const ticksBefore = record.ticks.length;
+  record.manualClock.advance(60000);
+  assert.strictEqual(record.ticks.length, ticksBefore);
+  assert.strictEqual(record.expired, 0);
+
+  const resumed = timerEngine.resumeTimer('ROOM01');
+  assert.strictEqual(resumed.success, true);
+  assert.strictEqual(resumed.timer.deadline, record.manualClock.now() + 7500);
+
+  record.manualClock.advance(7499);
+  assert.strictEqual(record.expired, 0);
+  record.manualClock.advance(1);
+  assert.strictEqual(record.expired, 1);
+});
+
+test('extending moves the deadline of running and paused timers', (t) => {
+  const record = startRecordedTimer(t, 5);
+
+  record.manualClock.advance(1000);
+  const extended = timerEngine.extendTimer('ROOM01', 10);
+  assert.strictEqual(extended.success, true);
+  assert.strictEqual(extended.timer.remaining, 14);
+  assert.strictEqual(extended.timer.duration, 15);
+
+  timerEngine.pauseTimer('ROOM01');
+  assert.strictEqual(timerEngine.extendTimer('ROOM01', 1).timer.remaining, 15);
+  assert.strictEqual(timerEngine.extendTimer('ROOM01', -1).success, false);
+  timerEngine.resumeTimer('ROOM01');
+
+  record.manualClock.advance(14999);
+  assert.strictEqual(record.expired, 0);
+  record.manualClock.advance(1);
+  assert.strictEqual(record.expired, 1);
+});
@@ -0,0 +1,152 @@
+// =============================================================================
+// VOTE KICK TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: vote_kick / cast_vote tallies, timeouts and rejoin blocking
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+/**
+ * Cast a ballot as a bot
+ * @param {Object} bot - Bot
+ * @param {Object} started - vote_started payload
+ * @param {boolean} kick - Ballot
+ */
+function vote(bot, started, kick) {
+  bot.client.emit('cast_vote', { voteId: started.voteId, kick: kick });
+}
+
+test('a majority of players kicks the target and keeps them out', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara, dave] = ['Alice', 'Bob', 'Cara', 'Dave'].map(name => harness.addBot(name));
+  const roomId = harness.seat([alice, bob, cara, dave]);
+
+  bob.client.emit('vote_kick', { playerId: dave.playerId });
+  harness.flush();
+
+  const started = dave.payloads('vote_started')[0];
+  assert.strictEqual(started.targetId, dave.playerId);
+  assert.strictEqual(started.initiatorId, bob.playerId);
+  assert.strictEqual(started.required, 3);
+  assert.strictEqual(started.yes, 1);
+
+  vote(cara, started, true);
+  harness.flush();
+  assert.deepStrictEqual(alice.payloads('vote_updated').map(update => update.yes), [2]);
+
+  // The target has no say
+  vote(dave, started, false);
+  vote(alice, started, true);
+  harness.flush();
+
+  assert.strictEqual(dave.payloads('game_error')[0].error, 'Cannot vote on yourself');
+  assert.strictEqual(alice.payloads('vote_ended')[0].result, 'passed');
+  assert.strictEqual(dave.payloads('room_left')[0].reason, 'vote_kicked');
+  assert.strictEqual(alice.payloads('player_kicked')[0].playerId, dave.playerId);
+
+  dave.joinRoom(roomId);
+  harness.flush();
+  assert.strictEqual(dave.payloads('room_error')[0].error, 'You are banned from this room');
+});
+
+test('a vote-kicked player stays out after resuming their session on a new connection', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  const roomId = harness.seat([alice, bob, cara]);
+
+  const payloadsOf = (client, eventName) => client.received
+    .filter(entry => entry.event === eventName)
+    .map(entry => entry.payload);
+  const join = (client) => {
+    client.emit('join_room', { roomId });
+    harness.flush();
+  };
+
+  const troll = harness.connect();
+  join(troll);
+  const { playerId: trollId, sessionToken } = payloadsOf(troll, 'connected')[0];
+
+  bob.client.emit('vote_kick', { playerId: trollId });
+  harness.flush();
+  const started = alice.payloads('vote_started')[0];
+  vote(alice, started, true);
+  vote(cara, started, true);
+  harness.flush();
+  assert.strictEqual(payloadsOf(troll, 'room_left')[0].reason, 'vote_kicked');
+
+  // Taking the session over from a new connection doesn't lift the ban
+  const again = harness.connect();
+  again.emit('resume_session', { sessionToken });
+  harness.flush();
+  assert.strictEqual(payloadsOf(again, 'session_resumed')[0].player.id, trollId);
+  join(again);
+  assert.deepStrictEqual(payloadsOf(again, 'room_error'), [{ error: 'You are banned from this room' }]);
+
+  // Bans never cover anyone else, even on the same network
+  const neighbour = harness.connect();
+  join(neighbour);
+  assert.strictEqual(payloadsOf(neighbour, 'room_joined').length, 1, 'other players can still join');
+});
+
+test('a vote fails once the majority is out of reach', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara]);
+
+  alice.client.emit('vote_kick', { playerId: cara.playerId });
+  harness.flush();
+  vote(bob, alice.payloads('vote_started')[0], false);
+  harness.flush();
+
+  assert.strictEqual(cara.payloads('vote_ended')[0].result, 'failed');
+  assert.ok(!cara.has('room_left'));
+});
+
+test('undecided votes time out and a new vote can start', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara]);
+
+  alice.client.emit('vote_kick', { playerId: cara.playerId });
+  bob.client.emit('vote_kick', { playerId: alice.playerId });
+  harness.flush();
+  assert.strictEqual(bob.payloads('game_error')[0].error, 'A vote is already running');
+
+  harness.advance(29999);
+  assert.ok(!alice.has('vote_ended'));
+  harness.advance(1);
+  assert.strictEqual(alice.payloads('vote_ended')[0].result, 'timeout');
+
+  bob.client.emit('vote_kick', { playerId: alice.playerId });
+  harness.flush();
+  assert.strictEqual(cara.payloads('vote_started').length, 2);
+});
+
+test('votes need three players and are cancelled when the target leaves', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob, cara] = ['Alice', 'Bob', 'Cara'].map(name => harness.addBot(name));
+  harness.seat([alice, bob, cara]);
+
+  alice.client.emit('vote_kick', { playerId: cara.playerId });
+  harness.flush();
+  cara.leave();
+  harness.flush();
+  assert.strictEqual(alice.payloads('vote_ended')[0].result, 'cancelled');
+
+  alice.client.emit('vote_kick', { playerId: bob.playerId });
+  harness.flush();
+  assert.strictEqual(alice.payloads('game_error')[0].error, 'Vote kick needs at least 3 players');
+});
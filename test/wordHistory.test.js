@@ -0,0 +1,78 @@
+// =============================================================================
+// WORD HISTORY TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Offered words don't repeat within a game or across remembered games,
+// and auto-selection picks from the options the drawer saw
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+/**
+ * Every word offered to any of the bots, in order
+ * @param {Array} bots - Bots
+ * @returns {Array} Offered words
+ */
+function offeredWords(bots) {
+  return bots.reduce((all, bot) => all.concat(...bot.payloads('word_options').map(offer => offer.options)), []);
+}
+
+test('no word is offered twice in a game or in the remembered games', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  // 46 animals: two games of 6 turns x 3 options fit without repeats
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  harness.seat([alice, bob], { wordPacks: ['animals'], rounds: 3, wordHistoryGames: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  const firstGame = offeredWords([alice, bob]);
+  assert.strictEqual(firstGame.length, 18);
+  assert.strictEqual(new Set(firstGame).size, 18);
+
+  alice.client.emit('play_again');
+  harness.flush();
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('game_ended').length === 2));
+  const bothGames = offeredWords([alice, bob]);
+  assert.strictEqual(bothGames.length, 36);
+  assert.strictEqual(new Set(bothGames).size, 36);
+});
+
+test('a game that runs out of unused words still gets full option sets', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  // 10 turns x 3 options need more than the 46 animals allow after the first game
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  harness.seat([alice, bob], { wordPacks: ['animals'], rounds: 5, wordHistoryGames: 1 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+  alice.client.emit('play_again');
+  harness.flush();
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.payloads('game_ended').length === 2));
+
+  const offers = [alice, bob].reduce((all, bot) => all.concat(bot.payloads('word_options')), []);
+  assert.strictEqual(offers.length, 20);
+  assert.ok(offers.every(offer => offer.options.length === 3 && new Set(offer.options).size === 3));
+});
+
+test('the timer picks one of the words the drawer was shown', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const alice = harness.addBot('Alice', { selectDelay: null });
+  const bob = harness.addBot('Bob');
+  harness.seat([alice, bob]);
+  alice.startGame();
+
+  assert.ok(harness.runUntil(() => alice.has('drawing_started')));
+  const shown = alice.payloads('word_options')[0].options;
+  assert.strictEqual(bob.payloads('word_selected')[0].autoSelected, true);
+  assert.ok(shown.includes(alice.payloads('drawing_started')[0].word));
+});
@@ -0,0 +1,60 @@
+// =============================================================================
+// WORD PACK TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: Loading packs from disk and offering the drawer one word per
+// difficulty tier from the room's packs
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const wordPacks = require('../src/wordPacks');
+const { createHarness } = require('./harness');
+
+test('the drawer is offered one easy, one medium and one hard word from the room\'s packs', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [alice, bob] = ['Alice', 'Bob'].map(name => harness.addBot(name));
+  harness.seat([alice, bob], { wordPacks: ['animals'], rounds: 2 });
+
+  alice.startGame();
+  assert.ok(harness.runUntil(() => alice.has('game_ended')));
+
+  const animals = new Map(wordPacks.getPack('animals').words.map(entry => [entry.word, entry.difficulty]));
+  const offers = alice.payloads('word_options').concat(bob.payloads('word_options'));
+  assert.strictEqual(offers.length, 4);
+  offers.forEach(offer => {
+    assert.deepStrictEqual(offer.difficulties, ['easy', 'medium', 'hard']);
+    assert.deepStrictEqual(offer.options.map(word => animals.get(word)), offer.difficulties);
+  });
+});
+
+test('packs load from JSON files, skipping broken files and malformed words', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scribble-packs-'));
+  t.after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    wordPacks.loadPacks();
+  });
+
+  fs.writeFileSync(path.join(directory, 'space.json'), JSON.stringify({
+    id: 'space',
+    name: 'Space',
+    language: 'en',
+    words: [{ word: 'Moon', difficulty: 'easy' }, 'constellation', { word: '' }, 42, 'moon']
+  }));
+  fs.writeFileSync(path.join(directory, 'broken.json'), '{"id": "broken", "words": [');
+  fs.writeFileSync(path.join(directory, 'empty.json'), JSON.stringify({ id: 'empty', words: [] }));
+
+  const result = wordPacks.loadPacks(directory);
+  assert.strictEqual(result.loaded, 1);
+  assert.strictEqual(result.errors.length, 2);
+  assert.deepStrictEqual(wordPacks.getPack('space').words, [
+    { word: 'moon', difficulty: 'easy' },
+    { word: 'constellation', difficulty: 'hard' }
+  ]);
+  assert.deepStrictEqual(wordPacks.listPacks().map(pack => pack.id), ['space']);
+});
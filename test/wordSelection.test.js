@@ -0,0 +1,78 @@
+// =============================================================================
+// WORD SELECTION TESTS
+// Real-time Multiplayer Drawing Game Backend
+// =============================================================================
+// Purpose: select_word only accepts offered words; reroll_words allowance
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+/**
+ * Seat bots and start the game; bots[0] draws first and never picks on its own
+ * @param {Object} harness - Harness
+ * @param {Object} settings - Room settings
+ * @returns {Array} [drawer, guesser]
+ */
+function startSelection(harness, settings) {
+  const drawer = harness.addBot('Alice', { selectDelay: null });
+  const guesser = harness.addBot('Bob');
+  harness.seat([drawer, guesser], settings);
+  drawer.startGame();
+  harness.flush();
+  return [drawer, guesser];
+}
+
+test('the drawer can only pick one of the offered words', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [drawer, guesser] = startSelection(harness);
+  const offered = drawer.payloads('word_options')[0];
+  assert.strictEqual(offered.rerollsLeft, 0);
+  assert.ok(!guesser.has('word_options'));
+
+  drawer.client.emit('select_word', { word: 'definitely not offered' });
+  harness.flush();
+  assert.strictEqual(drawer.payloads('game_error')[0].error, 'Word was not offered');
+  assert.ok(!guesser.has('word_selected'));
+
+  drawer.client.emit('select_word', { word: offered.options[1].toUpperCase() });
+  harness.flush();
+  assert.strictEqual(drawer.payloads('drawing_started')[0].word, offered.options[1]);
+});
+
+test('rerolls replace the options without resetting the selection timer', (t) => {
+  const harness = createHarness();
+  t.after(() => harness.close());
+
+  const [drawer, guesser] = startSelection(harness, { wordRerolls: 1 });
+  const first = drawer.payloads('word_options')[0];
+  assert.strictEqual(first.rerollsLeft, 1);
+
+  harness.advance(5000);
+  drawer.client.emit('reroll_words');
+  guesser.client.emit('reroll_words');
+  harness.flush();
+
+  const second = drawer.payloads('word_options')[1];
+  assert.strictEqual(second.rerollsLeft, 0);
+  assert.strictEqual(second.timeout, 10000);
+  assert.ok(second.options.every(word => !first.options.includes(word)), 'a fresh set is offered');
+  assert.strictEqual(guesser.payloads('game_error')[0].error, 'Only drawer can reroll words');
+
+  drawer.client.emit('reroll_words');
+  drawer.client.emit('select_word', { word: first.options[0] });
+  harness.flush();
+  assert.deepStrictEqual(drawer.payloads('game_error').map(error => error.error), [
+    'No rerolls left',
+    'Word was not offered'
+  ]);
+
+  // The original 15 second deadline still applies
+  harness.advance(9999);
+  assert.ok(!guesser.has('word_selected'));
+  harness.advance(1);
+  assert.strictEqual(guesser.payloads('word_selected')[0].autoSelected, true);
+});